@@ -9,15 +9,21 @@ import { fileURLToPath } from 'url';
 // Routes imports
 import authRoutes from './src/routes/authRoutes.js';
 import resourceRoutes from './src/routes/resourceRoutes.js';
+import commentRoutes from './src/routes/commentRoutes.js';
+import ratingRoutes from './src/routes/ratingRoutes.js';
 import userRoutes from './src/routes/userRoutes.js';
 import adminRoutes from './src/routes/adminRoutes.js';
 import categoryRoutes from './src/routes/categoryRoutes.js';
 import searchRoutes from './src/routes/searchRoutes.js';
+import savedSearchRoutes from './src/routes/savedSearchRoutes.js';
 import helpRoutes from './src/routes/helpRoutes.js';
 import notificationRoutes from './src/routes/notificationRoutes.js';
+import uploadRoutes from './src/routes/uploadRoutes.js';
 
 // Middleware imports
-import { standardResponse, errorHandler } from './src/middleware/responseMiddleware.js';
+import requestId from './src/middleware/requestIdMiddleware.js';
+import { standardResponse, errorHandler, notFoundHandler } from './src/middleware/responseMiddleware.js';
+import { AppError } from './src/utils/helpers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,9 +34,20 @@ const app = express();
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.',
+    // Goes through errorHandler like every other error
+    handler: (req, res, next, options) => {
+        const error = new AppError('Demasiadas solicitudes desde esta IP, inténtalo más tarde', options.statusCode, 'RATE_LIMITED');
+        error.retryAfter = Math.ceil(options.windowMs / 1000);
+        next(error);
+    },
+    // Large chunked uploads send hundreds of chunk requests
+    skip: (req) => req.method === 'PUT' && /^\/api\/uploads\/[^/]+\/chunks\/\d+$/.test(req.path)
 });
 
+// Request id and response helpers first, so every later error carries the id
+app.use(requestId);
+app.use(standardResponse);
+
 // Middleware
 app.use(helmet({
     crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -43,26 +60,30 @@ app.use(cors({
         'http://localhost:3000',
         process.env.FRONTEND_URL
     ].filter(Boolean),
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Request-Id', 'Retry-After']
 }));
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
-// Response standardization middleware
-app.use(standardResponse);
-
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
+// Static files - only public assets; resource files go through
+// GET /api/resources/:id/download so access rules are enforced
+app.use('/uploads/thumbnails', express.static(path.join(__dirname, 'public/uploads/thumbnails')));
+app.use('/uploads/profiles', express.static(path.join(__dirname, 'public/uploads/profiles')));
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/resources/:id/comments', commentRoutes);
+app.use('/api/resources/:id/ratings', ratingRoutes);
 app.use('/api/resources', resourceRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/search/saved', savedSearchRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/help', helpRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // Add alias routes without /api prefix for frontend compatibility
 app.use('/auth', authRoutes);
@@ -76,12 +97,10 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// 404 handler - after every route, before the error handler
+app.use(notFoundHandler);
+
 // Global error handling middleware
 app.use(errorHandler);
 
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({ message: 'Route not found' });
-});
-
 export default app;
\ No newline at end of file
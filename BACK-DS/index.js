@@ -1,6 +1,14 @@
 import 'dotenv/config';
 import app from './app.js';
 import sequelize from './src/config/database.js';
+import { startUploadSessionSweeper } from './src/services/chunkUploadService.js';
+import { setupFullTextSearch } from './src/services/searchService.js';
+import { startSavedSearchDigestScheduler } from './src/services/savedSearchService.js';
+import { syncPermissionCatalog, startExpiredGrantSweeper } from './src/services/permissionService.js';
+import { startRefreshTokenSweeper } from './src/services/authService.js';
+import { startMailQueueWorker } from './src/services/mailService.js';
+import { startLoginThrottleSweeper } from './src/services/loginThrottleService.js';
+import { startOidcLoginRequestSweeper } from './src/services/oidcService.js';
 
 const PORT = process.env.PORT || 3001;
 
@@ -12,6 +20,33 @@ async function startServer() {
     await sequelize.sync();
     console.log('✅ Modelos sincronizados con la base de datos.');
 
+    await setupFullTextSearch();
+    console.log('✅ Búsqueda de texto completo configurada.');
+
+    await syncPermissionCatalog();
+    console.log('✅ Catálogo de permisos sincronizado.');
+
+    // Garbage-collect abandoned chunked uploads
+    startUploadSessionSweeper();
+
+    // Daily digests for saved search alerts
+    startSavedSearchDigestScheduler();
+
+    // Drop permission grants past their expiry
+    startExpiredGrantSweeper();
+
+    // Drop refresh tokens past their expiry
+    startRefreshTokenSweeper();
+
+    // Forget failed logins outside the lockout window
+    startLoginThrottleSweeper();
+
+    // Drop OIDC logins that never returned from the provider
+    startOidcLoginRequestSweeper();
+
+    // Deliver queued email and retry failed sends
+    startMailQueueWorker();
+
     app.listen(PORT, () => {
       console.log(`🚀 Servidor corriendo en http://localhost:${PORT}`);
       console.log(`📚 Documentación disponible en http://localhost:${PORT}/api/health`);
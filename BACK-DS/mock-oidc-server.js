@@ -0,0 +1,185 @@
+// Mock OpenID Connect provider for local development and testing of the OIDC login
+// Not for production: users are fixed, consent is automatic and keys live in memory.
+//
+//   npm run mock:oidc
+//
+// Then register it as an identity provider (POST /api/admin/identity-providers):
+//   { "slug": "mock", "name": "Campus (mock)", "issuer": "http://localhost:4011",
+//     "client_id": "resource-share", "client_secret": "mock-secret", "enabled": true }
+//
+// /authorize shows a page to pick a user; with `login_hint=<email>` it skips the page
+// and redirects straight back, so the whole flow can be scripted.
+import 'dotenv/config';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = process.env.MOCK_OIDC_PORT || 4011;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'resource-share';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 5 * 60;
+
+const USERS = [
+    { sub: 'mock-student-1', email: 'estudiante@campus.test', email_verified: true, given_name: 'Ana', family_name: 'Estudiante' },
+    { sub: 'mock-teacher-1', email: 'docente@campus.test', email_verified: true, given_name: 'Luis', family_name: 'Docente' },
+    { sub: 'mock-unverified-1', email: 'sin.verificar@campus.test', email_verified: false, given_name: 'Eva', family_name: 'Pendiente' }
+].map(user => ({ ...user, name: `${user.given_name} ${user.family_name}` }));
+
+// A new signing key on every start; clients pick it up from /jwks
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map(); // code -> pending authorization
+const accessTokens = new Map(); // access token -> user
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const oauthError = (res, status, error, description) =>
+    res.status(status).json({ error, error_description: description });
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        scopes_supported: ['openid', 'email', 'profile'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: ['sub', 'email', 'email_verified', 'name', 'given_name', 'family_name']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+const validateAuthorizationRequest = (query) => {
+    if (query.client_id !== CLIENT_ID) return 'client_id desconocido';
+    if (query.response_type !== 'code') return 'response_type debe ser code';
+    if (!query.redirect_uri) return 'Falta redirect_uri';
+    if (!String(query.scope || '').split(' ').includes('openid')) return 'El scope debe incluir openid';
+    if (!query.code_challenge || query.code_challenge_method !== 'S256') return 'Se requiere PKCE con S256';
+    return null;
+};
+
+const redirectWithCode = (res, query, user) => {
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        user,
+        redirectUri: query.redirect_uri,
+        codeChallenge: query.code_challenge,
+        nonce: query.nonce,
+        expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const target = new URL(query.redirect_uri);
+    target.searchParams.set('code', code);
+    if (query.state) target.searchParams.set('state', query.state);
+    res.redirect(target.toString());
+};
+
+app.get('/authorize', (req, res) => {
+    const problem = validateAuthorizationRequest(req.query);
+    if (problem) {
+        return res.status(400).send(escapeHtml(problem));
+    }
+
+    const hinted = USERS.find(user => user.email === req.query.login_hint);
+    if (hinted) {
+        return redirectWithCode(res, req.query, hinted);
+    }
+
+    // Everything except the chosen user is carried over as hidden fields
+    const hidden = Object.entries(req.query)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('');
+    const buttons = USERS
+        .map(user => `<p><button name="sub" value="${escapeHtml(user.sub)}">${escapeHtml(user.name)} &lt;${escapeHtml(user.email)}&gt;${user.email_verified ? '' : ' (correo sin verificar)'}</button></p>`)
+        .join('');
+
+    res.send(`<!DOCTYPE html><html lang="es"><head><meta charset="utf-8"><title>Mock OIDC</title></head>
+<body style="font-family:sans-serif;max-width:480px;margin:48px auto">
+<h1>Proveedor de identidad de prueba</h1>
+<p>Elige con qué usuario iniciar sesión:</p>
+<form method="post" action="/authorize">${hidden}${buttons}</form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const problem = validateAuthorizationRequest(req.body);
+    const user = USERS.find(candidate => candidate.sub === req.body.sub);
+    if (problem || !user) {
+        return res.status(400).send(escapeHtml(problem || 'Usuario desconocido'));
+    }
+    redirectWithCode(res, req.body, user);
+});
+
+// Client credentials from HTTP Basic or from the form body
+const readClient = (req) => {
+    const [scheme, encoded] = (req.get('authorization') || '').split(' ');
+    if (scheme === 'Basic' && encoded) {
+        const [id, secret] = Buffer.from(encoded, 'base64').toString().split(':').map(decodeURIComponent);
+        return { id, secret };
+    }
+    return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+app.post('/token', (req, res) => {
+    const client = readClient(req);
+    if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+        return oauthError(res, 401, 'invalid_client', 'Credenciales de cliente incorrectas');
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+        return oauthError(res, 400, 'unsupported_grant_type', 'Solo authorization_code');
+    }
+
+    // Codes are single-use
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant || grant.expiresAt < Date.now()) {
+        return oauthError(res, 400, 'invalid_grant', 'Código inválido o caducado');
+    }
+    if (grant.redirectUri !== req.body.redirect_uri) {
+        return oauthError(res, 400, 'invalid_grant', 'redirect_uri no coincide');
+    }
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return oauthError(res, 400, 'invalid_grant', 'code_verifier incorrecto');
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.user);
+
+    const idToken = jwt.sign({ ...grant.user, ...(grant.nonce && { nonce: grant.nonce }) }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: TOKEN_TTL_SECONDS
+    });
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+    const user = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+    if (!user) {
+        return oauthError(res, 401, 'invalid_token', 'Token de acceso inválido');
+    }
+    res.json(user);
+});
+
+app.listen(PORT, () => {
+    console.log(`🔐 Mock OIDC provider en ${ISSUER} (client_id ${CLIENT_ID})`);
+    USERS.forEach(user => console.log(`   - ${user.email}${user.email_verified ? '' : ' (sin verificar)'}`));
+});
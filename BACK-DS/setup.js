@@ -12,6 +12,7 @@ import { execSync } from 'child_process';
 const REQUIRED_DIRS = [
     'public/uploads/resources',
     'public/uploads/thumbnails', 
+    'public/uploads/previews',
     'public/uploads/profiles',
     'public/uploads/general'
 ];
@@ -3,243 +3,338 @@ import {
     authenticateUser, 
     generateTokenPair, 
     refreshAccessToken,
-    logoutUser 
+    logoutUser,
+    logoutAllSessions,
+    sendVerificationEmail,
+    resendVerificationEmail,
+    verifyEmailToken,
+    sendPasswordResetEmail,
+    resetPasswordWithToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge
 } from '../services/authService.js';
+import {
+    isTwoFactorEnabled,
+    isTwoFactorRequired,
+    startTwoFactorEnrollment,
+    enableTwoFactor,
+    verifySecondFactor
+} from '../services/twoFactorService.js';
+import { getUserPermissions } from '../services/permissionService.js';
+import { assertLoginAllowed, recordLoginFailure, clearLoginFailures } from '../services/loginThrottleService.js';
+import { listEnabledProviders, startOidcLogin, completeOidcLogin } from '../services/oidcService.js';
+import { asyncHandler, ValidationError, UnauthorizedError, NotFoundError, ConflictError } from '../utils/helpers.js';
+
+// Safe user object plus its resolved permissions, so the client can show or hide admin areas
+const toAuthUser = async (user) => ({
+    ...user.toSafeObject(),
+    permissions: [...await getUserPermissions({ userId: user.id, role: user.role })]
+});
+
+// Device details stored with each session's refresh tokens
+const sessionContext = (req) => ({
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+});
+
+// Password and OIDC logins end the same way. Accounts with 2FA, or whose role
+// requires it, get a challenge for the second step instead of tokens; `extra`
+// is returned in both cases
+const sendLoginResult = async (req, res, user, extra = {}) => {
+    const twoFactorEnabled = isTwoFactorEnabled(user);
+    if (twoFactorEnabled || await isTwoFactorRequired(user)) {
+        return res.success({
+            twoFactorRequired: true,
+            setupRequired: !twoFactorEnabled,
+            challengeToken: generateTwoFactorChallenge(user, twoFactorEnabled ? 'verify' : 'setup'),
+            ...extra
+        }, twoFactorEnabled
+            ? 'Introduce el código de verificación'
+            : 'Tu rol requiere activar la verificación en dos pasos');
+    }
+
+    // Failures are only forgotten once the login is complete (after the second step, with 2FA)
+    await clearLoginFailures(user.email);
+
+    const tokens = await generateTokenPair(user, sessionContext(req));
+
+    return res.success({
+        user: await toAuthUser(user),
+        ...tokens,
+        ...extra
+    }, 'Login exitoso');
+};
 
 // Register new user
-export const register = async (req, res) => {
+export const register = asyncHandler(async (req, res) => {
+    const { name, email, password, first_name, last_name } = req.body;
+    console.log('🔵 Registration attempt:', { email, passwordLength: password?.length, name, first_name, last_name });
+
+    // Validate required fields
+    if (!name || !email || !password) {
+        console.log('❌ Missing required fields');
+        throw new ValidationError('Nombre, email y contraseña son requeridos');
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+        console.log('❌ User already exists:', email);
+        throw new ConflictError('El email ya está registrado', 'EMAIL_TAKEN');
+    }
+
+    // Create user (password will be hashed automatically by User model hooks)
+    console.log('👤 Creating user in database...');
+    const user = await User.create({
+        name,
+        email,
+        password: password, // Raw password - will be hashed by beforeCreate hook
+        first_name,
+        last_name,
+        role: 'user', // other roles are only granted by an administrator
+        status: 'pending_verification'
+    });
+    console.log('✅ User created:', { id: user.id, email: user.email });
+
+    // No session until the address is confirmed; a failed send can be retried
+    // through /resend-verification
     try {
-        const { name, email, password, first_name, last_name, role = 'user' } = req.body;
-        console.log('🔵 Registration attempt:', { email, passwordLength: password?.length, name, first_name, last_name });
+        await sendVerificationEmail(user);
+    } catch (mailError) {
+        console.error('❌ Verification email error:', mailError);
+    }
 
-        // Validate required fields
-        if (!name || !email || !password) {
-            console.log('❌ Missing required fields');
-            return res.error('Nombre, email y contraseña son requeridos', 400);
-        }
+    const responseData = {
+        user: user.toSafeObject(),
+        requiresVerification: true
+    };
 
-        // Check if user already exists
-        const existingUser = await User.findOne({ where: { email } });
-        if (existingUser) {
-            console.log('❌ User already exists:', email);
-            return res.error('El email ya está registrado', 400);
-        }
+    res.success(responseData, 'Usuario registrado. Revisa tu correo para verificar tu cuenta', 201);
+});
 
-        // Create user (password will be hashed automatically by User model hooks)
-        console.log('👤 Creating user in database...');
-        const user = await User.create({
-            name,
-            email,
-            password: password, // Raw password - will be hashed by beforeCreate hook
-            first_name,
-            last_name,
-            role,
-            status: 'active'
-        });
-        console.log('✅ User created:', { id: user.id, email: user.email });
-
-        // Generate tokens
-        const tokens = generateTokenPair(user);
-        console.log('✅ Tokens generated for new user');
-
-        const safeUser = user.toSafeObject();
-        console.log('👤 Safe user object:', JSON.stringify(safeUser, null, 2));
-        console.log('🔑 Tokens:', JSON.stringify(tokens, null, 2));
-
-        const responseData = {
-            user: safeUser,
-            ...tokens
-        };
-        console.log('📤 Full response data:', JSON.stringify(responseData, null, 2));
-
-        res.success(responseData, 'Usuario registrado exitosamente', 201);
-
-    } catch (error) {
-        console.error('❌ Register error:', error);
-        res.error('Error interno del servidor', 500);
+// Login user
+// Lockouts (429 with Retry-After) and bad credentials reach the client through errorHandler
+export const login = asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    console.log('🔵 Login attempt details:');
+    console.log('  - Email:', email);
+    console.log('  - Password length:', password?.length);
+    console.log('  - Full request body keys:', Object.keys(req.body));
+
+    // Validate required fields
+    if (!email || !password) {
+        console.log('❌ Missing credentials');
+        throw new ValidationError('Email y contraseña son requeridos');
     }
-};
 
-// Login user
-export const login = async (req, res) => {
+    // Locked or throttled email/IP addresses are refused before the password is checked
+    await assertLoginAllowed(email, req.ip);
+
+    // Authenticate user
+    let user;
     try {
-        const { email, password } = req.body;
-        console.log('🔵 Login attempt details:');
-        console.log('  - Email:', email);
-        console.log('  - Password length:', password?.length);
-        console.log('  - Password preview:', password?.substring(0, 3) + '...');
-        console.log('  - Full request body keys:', Object.keys(req.body));
-
-        // Validate required fields
-        if (!email || !password) {
-            console.log('❌ Missing credentials');
-            return res.error('Email y contraseña son requeridos', 400);
+        user = await authenticateUser(email, password);
+    } catch (authError) {
+        if (authError.code === 'INVALID_CREDENTIALS') {
+            await recordLoginFailure(email, req.ip);
         }
+        throw authError;
+    }
+    console.log('✅ User authenticated:', user.email);
 
-        // Authenticate user
-        const user = await authenticateUser(email, password);
-        console.log('✅ User authenticated:', user.email);
+    return await sendLoginResult(req, res, user);
+});
 
-        // Generate tokens
-        const tokens = generateTokenPair(user);
-        console.log('✅ Tokens generated successfully');
+// Login, second step: a code for the challenge returned by login.
+// For a 'setup' challenge the code confirms enrollment, and the recovery codes come back with the tokens.
+export const loginTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
 
-        const safeUser = user.toSafeObject();
-        console.log('👤 Login safe user object:', JSON.stringify(safeUser, null, 2));
-        console.log('🔑 Login tokens:', JSON.stringify(tokens, null, 2));
+    if (!challengeToken || !code) {
+        throw new ValidationError('El código de verificación es requerido');
+    }
 
-        const responseData = {
-            user: safeUser,
-            ...tokens
-        };
-        console.log('📤 Login full response data:', JSON.stringify(responseData, null, 2));
+    const challenge = verifyTwoFactorChallenge(challengeToken);
 
-        res.success(responseData, 'Login exitoso');
+    const user = await User.findByPk(challenge.userId);
+    if (!user || user.status !== 'active') {
+        throw new UnauthorizedError('Usuario no válido o inactivo', 'USER_INACTIVE');
+    }
 
-    } catch (error) {
-        console.error('❌ Login error:', error.message);
-        
-        if (error.message === 'Credenciales inválidas' || 
-            error.message === 'Cuenta suspendida o desactivada') {
-            return res.error(error.message, 401);
+    // Wrong codes count towards the same lockout as wrong passwords, when enrolling too
+    await assertLoginAllowed(user.email, req.ip);
+
+    let recoveryCodes = null;
+    if (challenge.purpose === 'setup') {
+        try {
+            recoveryCodes = await enableTwoFactor(user, code);
+        } catch (error) {
+            if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+                await recordLoginFailure(user.email, req.ip);
+            }
+            throw error;
         }
+    } else if (!(await verifySecondFactor(user, code))) {
+        await recordLoginFailure(user.email, req.ip);
+        throw new UnauthorizedError('Código de verificación incorrecto', 'INVALID_TWO_FACTOR_CODE');
+    }
 
-        res.error('Error interno del servidor', 500);
+    await clearLoginFailures(user.email);
+    const tokens = await generateTokenPair(user, sessionContext(req));
+
+    res.success({
+        user: await toAuthUser(user),
+        ...tokens,
+        ...(recoveryCodes && { recoveryCodes })
+    }, 'Login exitoso');
+});
+
+// Identity providers shown on the login page
+export const getOidcProviders = asyncHandler(async (req, res) => {
+    res.success(await listEnabledProviders());
+});
+
+// OIDC login, first leg: the client navigates to the returned authorizationUrl
+export const startOidc = asyncHandler(async (req, res) => {
+    const result = await startOidcLogin(req.params.provider, { redirectPath: req.body.redirect });
+    res.success(result);
+});
+
+// OIDC login, second leg: the frontend callback page posts the provider's code and state.
+// Answers like login, plus the path the user started from
+export const completeOidc = asyncHandler(async (req, res) => {
+    const { user, redirectPath } = await completeOidcLogin(req.body, { ipAddress: req.ip });
+    return await sendLoginResult(req, res, user, { redirectPath });
+});
+
+// Enrollment during login, for users whose role requires 2FA ('setup' challenge)
+export const loginTwoFactorSetup = asyncHandler(async (req, res) => {
+    const { challengeToken } = req.body;
+
+    if (!challengeToken) {
+        throw new ValidationError('El desafío de verificación es requerido');
     }
-};
 
-// Get current user profile
-export const getProfile = async (req, res) => {
-    try {
-        const user = await User.findByPk(req.user.userId, {
-            attributes: { exclude: ['password'] }
-        });
+    const challenge = verifyTwoFactorChallenge(challengeToken);
+    if (challenge.purpose !== 'setup') {
+        throw new ConflictError('La verificación en dos pasos ya está activada', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
 
-        if (!user) {
-            return res.error('Usuario no encontrado', 404);
-        }
+    const user = await User.findByPk(challenge.userId);
+    if (!user || user.status !== 'active') {
+        throw new UnauthorizedError('Usuario no válido o inactivo', 'USER_INACTIVE');
+    }
 
-        res.success(user.toSafeObject(), 'Perfil obtenido exitosamente');
+    const enrollment = await startTwoFactorEnrollment(user);
 
-    } catch (error) {
-        console.error('Get profile error:', error);
-        res.error('Error interno del servidor', 500);
-    }
-};
+    res.success(enrollment, 'Escanea el código QR con tu aplicación de autenticación');
+});
 
-// Refresh access token
-export const refreshToken = async (req, res) => {
-    try {
-        const { refreshToken: token } = req.body;
+// Get current user profile
+export const getProfile = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.user.userId, {
+        attributes: { exclude: User.PRIVATE_FIELDS }
+    });
 
-        if (!token) {
-            return res.error('Refresh token requerido', 400);
-        }
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
 
-        const result = await refreshAccessToken(token);
+    res.success(await toAuthUser(user), 'Perfil obtenido exitosamente');
+});
 
-        res.success({
-            accessToken: result.accessToken,
-            user: result.user
-        }, 'Token renovado exitosamente');
+// Refresh access token
+export const refreshToken = asyncHandler(async (req, res) => {
+    const { refreshToken: token } = req.body;
 
-    } catch (error) {
-        console.error('Refresh token error:', error);
-        res.error('Refresh token inválido', 401);
+    if (!token) {
+        throw new ValidationError('Refresh token requerido');
     }
-};
 
-// Logout user
-export const logout = async (req, res) => {
-    try {
-        console.log('🚪 Logout request received');
-        
-        // If user is authenticated, try to logout from service
-        if (req.user && req.user.userId) {
-            console.log('👤 Authenticated user logout:', req.user.userId);
-            await logoutUser(req.user.userId);
-        } else {
-            console.log('👤 Anonymous logout (no user session)');
-        }
+    // The presented refresh token is consumed; clients must store the new one
+    const result = await refreshAccessToken(token, sessionContext(req));
 
-        console.log('✅ Logout successful');
-        res.success(null, 'Logout exitoso');
+    res.success({
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        user: result.user
+    }, 'Token renovado exitosamente');
+});
 
-    } catch (error) {
-        console.error('❌ Logout error:', error);
-        // Always return success for logout to avoid issues
-        res.success(null, 'Logout completado');
+// Logout user - revokes the session of the given refresh token
+export const logout = asyncHandler(async (req, res) => {
+    console.log('🚪 Logout request received');
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
+        throw new ValidationError('Refresh token requerido');
     }
-};
 
-// Forgot password
-export const forgotPassword = async (req, res) => {
-    try {
-        const { email } = req.body;
+    await logoutUser(token);
 
-        // Check if user exists
-        const user = await User.findOne({ where: { email } });
-        if (!user) {
-            // Don't reveal if email exists for security
-            return res.success(null, 'Si el email existe, recibirás un enlace de recuperación');
-        }
+    console.log('✅ Logout successful');
+    res.success(null, 'Logout exitoso');
+});
 
-        // Generate password reset token
-        const { generatePasswordResetToken } = await import('../services/authService.js');
-        const resetToken = generatePasswordResetToken(user.id);
+// Logout from every device
+export const logoutAll = asyncHandler(async (req, res) => {
+    const revoked = await logoutAllSessions(req.user.userId);
 
-        // In a real application, you would:
-        // 1. Save the token to database with expiration
-        // 2. Send email with reset link
-        
-        // For now, return the token (REMOVE IN PRODUCTION)
-        console.log(`Password reset token for ${email}: ${resetToken}`);
+    res.success({ revokedSessions: revoked }, 'Se cerraron todas las sesiones');
+});
 
-        res.success({
-            // TODO: Remove in production
-            ...(process.env.NODE_ENV === 'development' && { resetToken })
-        }, 'Si el email existe, recibirás un enlace de recuperación');
+// Verify email address from the emailed link
+export const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
 
-    } catch (error) {
-        console.error('Forgot password error:', error);
-        res.error('Error interno del servidor', 500);
+    if (!token) {
+        throw new ValidationError('Token de verificación requerido');
     }
-};
 
-// Reset password
-export const resetPassword = async (req, res) => {
-    try {
-        const { token, password } = req.body;
+    const user = await verifyEmailToken(token);
 
-        if (!token || !password) {
-            return res.error('Token y nueva contraseña son requeridos', 400);
-        }
+    res.success({ user: user.toSafeObject() }, 'Correo verificado exitosamente. Ya puedes iniciar sesión');
+});
 
-        // Verify password reset token
-        const { verifyPasswordResetToken } = await import('../services/authService.js');
-        const decoded = verifyPasswordResetToken(token);
+// Resend the verification email
+export const resendVerification = asyncHandler(async (req, res) => {
+    const { email } = req.body;
 
-        // Find user
-        const user = await User.findByPk(decoded.userId);
-        if (!user) {
-            return res.error('Usuario no encontrado', 404);
-        }
+    if (!email) {
+        throw new ValidationError('El email es requerido');
+    }
+
+    await resendVerificationEmail(email);
 
-        // Hash new password
-        const hashedPassword = await hashPassword(password);
+    // Same answer whether or not the account exists or needs verification
+    res.success(null, 'Si la cuenta está pendiente de verificación, recibirás un nuevo enlace');
+});
 
-        // Update password
-        await user.update({ password: hashedPassword });
+// Forgot password
+export const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    // Check if user exists
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+        // Don't reveal if email exists for security
+        return res.success(null, 'Si el email existe, recibirás un enlace de recuperación');
+    }
 
-        res.success(null, 'Contraseña restablecida exitosamente');
+    // Single-use link; requesting a new one replaces any previous token
+    await sendPasswordResetEmail(user);
 
-    } catch (error) {
-        console.error('Reset password error:', error);
-        
-        if (error.message.includes('Token de restablecimiento inválido')) {
-            return res.error(error.message, 400);
-        }
+    res.success(null, 'Si el email existe, recibirás un enlace de recuperación');
+});
 
-        res.error('Error interno del servidor', 500);
-    }
-};
\ No newline at end of file
+// Reset password
+// The body is validated by userValidation.resetPassword (shared password policy)
+export const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await resetPasswordWithToken(token, password);
+    // Whoever holds the mailbox owns the account again
+    await clearLoginFailures(user.email);
+
+    res.success(null, 'Contraseña restablecida. Se han cerrado todas las sesiones abiertas');
+});
\ No newline at end of file
@@ -1,5 +1,7 @@
 import { Category } from '../models/index.js';
 import Joi from 'joi';
+import { toValidationError } from '../services/validationService.js';
+import { asyncHandler, NotFoundError, ConflictError } from '../utils/helpers.js';
 
 // Validation schemas
 const createCategorySchema = Joi.object({
@@ -20,179 +22,127 @@ const updateCategorySchema = Joi.object({
 });
 
 // Get all categories (tree structure)
-export const getCategories = async (req, res) => {
-    try {
-        const { flat = false, status = 'active' } = req.query;
-
-        if (flat === 'true') {
-            // Return flat list
-            const categories = await Category.findAll({
-                where: { status },
-                order: [['level', 'ASC'], ['sort_order', 'ASC'], ['name', 'ASC']]
-            });
-            return res.json({ categories });
-        }
-
-        // Return tree structure
-        const categories = await Category.getTreeStructure();
-        res.json({ categories });
-
-    } catch (error) {
-        console.error('Get categories error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
-
-// Get category by ID or slug
-export const getCategoryById = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id);
-
-        const category = await Category.findOne({
-            where: isUUID ? { id } : { slug: id },
-            include: [
-                {
-                    model: Category,
-                    as: 'parent',
-                    attributes: ['id', 'name', 'slug']
-                },
-                {
-                    model: Category,
-                    as: 'children',
-                    where: { status: 'active' },
-                    required: false,
-                    attributes: ['id', 'name', 'slug', 'description', 'color', 'icon', 'resources_count']
-                }
-            ]
+export const getCategories = asyncHandler(async (req, res) => {
+    const { flat = false, status = 'active' } = req.query;
+
+    if (flat === 'true') {
+        // Return flat list
+        const categories = await Category.findAll({
+            where: { status },
+            order: [['level', 'ASC'], ['sort_order', 'ASC'], ['name', 'ASC']]
         });
+        return res.json({ categories });
+    }
 
-        if (!category) {
-            return res.status(404).json({ message: 'Categoría no encontrada' });
-        }
-
-        res.json({ category });
+    // Return tree structure
+    const categories = await Category.getTreeStructure();
+    res.json({ categories });
+});
 
-    } catch (error) {
-        console.error('Get category by ID error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+// Get category by ID or slug
+export const getCategoryById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id);
+
+    const category = await Category.findOne({
+        where: isUUID ? { id } : { slug: id },
+        include: [
+            {
+                model: Category,
+                as: 'parent',
+                attributes: ['id', 'name', 'slug']
+            },
+            {
+                model: Category,
+                as: 'children',
+                where: { status: 'active' },
+                required: false,
+                attributes: ['id', 'name', 'slug', 'description', 'color', 'icon', 'resources_count']
+            }
+        ]
+    });
+
+    if (!category) {
+        throw new NotFoundError('Categoría no encontrada');
     }
-};
 
-// Create new category (admin only)
-export const createCategory = async (req, res) => {
-    const { error } = createCategorySchema.validate(req.body);
+    res.json({ category });
+});
+
+// Create new category (requires categories permission)
+export const createCategory = asyncHandler(async (req, res) => {
+    const { error } = createCategorySchema.validate(req.body, { abortEarly: false });
     if (error) {
-        return res.status(400).json({
-            message: 'Error de validación',
-            errors: error.details.map(err => err.message)
-        });
+        throw toValidationError(error);
     }
 
-    try {
-        // Check if user is admin
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Solo los administradores pueden crear categorías' });
-        }
-
-        const categoryData = { ...req.body };
-
-        // Generate slug if not provided
-        if (!categoryData.slug) {
-            const category = new Category();
-            categoryData.slug = category.generateSlug(categoryData.name);
-        }
-
-        const category = await Category.create(categoryData);
-
-        res.status(201).json({
-            message: 'Categoría creada exitosamente',
-            category
-        });
+    const categoryData = { ...req.body };
 
-    } catch (error) {
-        console.error('Create category error:', error);
-        
-        if (error.name === 'SequelizeUniqueConstraintError') {
-            return res.status(409).json({ message: 'Ya existe una categoría con ese nombre o slug' });
-        }
-
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
-
-// Update category (admin only)
-export const updateCategory = async (req, res) => {
-    const { error } = updateCategorySchema.validate(req.body);
-    if (error) {
-        return res.status(400).json({
-            message: 'Error de validación',
-            errors: error.details.map(err => err.message)
-        });
+    // Generate slug if not provided
+    if (!categoryData.slug) {
+        const category = new Category();
+        categoryData.slug = category.generateSlug(categoryData.name);
     }
 
+    let category;
     try {
-        // Check if user is admin
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Solo los administradores pueden editar categorías' });
+        category = await Category.create(categoryData);
+    } catch (createError) {
+        if (createError.name === 'SequelizeUniqueConstraintError') {
+            throw new ConflictError('Ya existe una categoría con ese nombre o slug', 'CATEGORY_EXISTS');
         }
+        throw createError;
+    }
 
-        const { id } = req.params;
-        const category = await Category.findByPk(id);
+    res.status(201).json({
+        message: 'Categoría creada exitosamente',
+        category
+    });
+});
 
-        if (!category) {
-            return res.status(404).json({ message: 'Categoría no encontrada' });
-        }
+// Update category (requires categories permission)
+export const updateCategory = asyncHandler(async (req, res) => {
+    const { error } = updateCategorySchema.validate(req.body, { abortEarly: false });
+    if (error) {
+        throw toValidationError(error);
+    }
 
-        await category.update(req.body);
+    const { id } = req.params;
+    const category = await Category.findByPk(id);
 
-        res.json({
-            message: 'Categoría actualizada exitosamente',
-            category
-        });
-
-    } catch (error) {
-        console.error('Update category error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+    if (!category) {
+        throw new NotFoundError('Categoría no encontrada');
     }
-};
 
-// Delete category (admin only)
-export const deleteCategory = async (req, res) => {
-    try {
-        // Check if user is admin
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Solo los administradores pueden eliminar categorías' });
-        }
+    await category.update(req.body);
 
-        const { id } = req.params;
-        const category = await Category.findByPk(id);
+    res.json({
+        message: 'Categoría actualizada exitosamente',
+        category
+    });
+});
 
-        if (!category) {
-            return res.status(404).json({ message: 'Categoría no encontrada' });
-        }
+// Delete category (requires categories permission)
+export const deleteCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const category = await Category.findByPk(id);
 
-        // Check if category has resources
-        if (category.resources_count > 0) {
-            return res.status(409).json({ 
-                message: 'No se puede eliminar una categoría que tiene recursos asociados' 
-            });
-        }
+    if (!category) {
+        throw new NotFoundError('Categoría no encontrada');
+    }
 
-        // Check if category has children
-        const childrenCount = await Category.count({ where: { parent_id: id } });
-        if (childrenCount > 0) {
-            return res.status(409).json({ 
-                message: 'No se puede eliminar una categoría que tiene subcategorías' 
-            });
-        }
+    // Check if category has resources
+    if (category.resources_count > 0) {
+        throw new ConflictError('No se puede eliminar una categoría que tiene recursos asociados', 'CATEGORY_HAS_RESOURCES');
+    }
 
-        await category.destroy();
+    // Check if category has children
+    const childrenCount = await Category.count({ where: { parent_id: id } });
+    if (childrenCount > 0) {
+        throw new ConflictError('No se puede eliminar una categoría que tiene subcategorías', 'CATEGORY_HAS_CHILDREN');
+    }
 
-        res.json({ message: 'Categoría eliminada exitosamente' });
+    await category.destroy();
 
-    } catch (error) {
-        console.error('Delete category error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
\ No newline at end of file
+    res.json({ message: 'Categoría eliminada exitosamente' });
+});
\ No newline at end of file
@@ -0,0 +1,266 @@
+import { Resource, Comment, User } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { notifyResourceCommented, notifyCommentReplied } from '../services/notificationService.js';
+import { MAX_PAGE_LIMIT } from '../services/paginationService.js';
+import { userCan } from '../middleware/permissionMiddleware.js';
+import { asyncHandler, NotFoundError, ForbiddenError } from '../utils/helpers.js';
+
+// Minutes after creation during which an author may edit their comment
+const COMMENT_EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+
+// Maximum reply depth loaded for a thread
+const MAX_THREAD_DEPTH = 5;
+
+const authorAttributes = ['id', 'name', 'avatar_url'];
+
+// Comment moderation follows the resources.moderate permission (role default or grant)
+const canModerateComments = (req) => userCan(req, 'resources', 'moderate');
+
+// Deleted or hidden comments stay in the thread as content-free placeholders
+// so their replies keep their place
+const toThreadNode = (comment, statuses) => statuses.includes(comment.status)
+    ? { ...comment.toJSON(), replies: [] }
+    : {
+        id: comment.id,
+        resource_id: comment.resource_id,
+        parent_id: comment.parent_id,
+        status: comment.status,
+        content: null,
+        author: null,
+        created_at: comment.created_at,
+        placeholder: true,
+        replies: []
+    };
+
+// Placeholders are only kept while something visible hangs below them
+const prunePlaceholders = (nodes) => nodes.filter(node => {
+    node.replies = prunePlaceholders(node.replies);
+    return !node.placeholder || node.replies.length > 0;
+});
+
+// Root comments that are visible, or hidden/deleted with a visible reply
+const visibleRootWhere = (statuses) => {
+    const escaped = statuses.map(status => sequelize.escape(status)).join(', ');
+    return {
+        [Op.or]: [
+            { status: { [Op.in]: statuses } },
+            sequelize.literal(`EXISTS (SELECT 1 FROM comments AS reply WHERE reply.parent_id = "Comment"."id" AND reply.status IN (${escaped}))`)
+        ]
+    };
+};
+
+// Load replies level by level and attach them to their parents
+const attachReplies = async (rootComments, statuses) => {
+    const nodes = rootComments.map(comment => toThreadNode(comment, statuses));
+    let currentLevel = nodes;
+
+    for (let depth = 0; depth < MAX_THREAD_DEPTH && currentLevel.length > 0; depth++) {
+        const byId = new Map(currentLevel.map(node => [node.id, node]));
+
+        const replies = await Comment.findAll({
+            where: {
+                parent_id: { [Op.in]: [...byId.keys()] }
+            },
+            include: [{ model: User, as: 'author', attributes: authorAttributes }],
+            order: [['created_at', 'ASC']]
+        });
+
+        currentLevel = replies.map(reply => {
+            const node = toThreadNode(reply, statuses);
+            byId.get(reply.parent_id).replies.push(node);
+            return node;
+        });
+    }
+
+    // Roots were already chosen by visibleRootWhere; only prune below them
+    nodes.forEach(node => {
+        node.replies = prunePlaceholders(node.replies);
+    });
+    return nodes;
+};
+
+// Get threaded comments for a resource (root comments are paginated)
+export const getResourceComments = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { order = 'DESC' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_LIMIT);
+
+    const resource = await Resource.findByPk(id);
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
+
+    if (!resource.canBeViewedBy(req.user)) {
+        throw new ForbiddenError('Recurso no disponible');
+    }
+
+    // Moderators also see hidden and pending comments
+    const statuses = await canModerateComments(req)
+        ? ['published', 'pending', 'hidden']
+        : ['published'];
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: rootComments } = await Comment.findAndCountAll({
+        where: {
+            resource_id: id,
+            parent_id: null,
+            ...visibleRootWhere(statuses)
+        },
+        include: [{ model: User, as: 'author', attributes: authorAttributes }],
+        order: [['created_at', order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC']],
+        limit,
+        offset
+    });
+
+    const comments = await attachReplies(rootComments, statuses);
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+        comments,
+        pagination: {
+            page,
+            limit,
+            total: count,
+            totalPages,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+        }
+    });
+});
+
+// Post a comment or a reply
+export const createComment = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { content, parent_id } = req.body;
+
+    const resource = await Resource.findByPk(id);
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
+
+    // Same access rules as reading the resource; private and restricted ones stay closed
+    if (!resource.canBeViewedBy(req.user)) {
+        throw new ForbiddenError('Recurso no disponible');
+    }
+
+    if (resource.status !== 'published') {
+        throw new ForbiddenError('No se puede comentar en un recurso no publicado');
+    }
+
+    let parent = null;
+    if (parent_id) {
+        parent = await Comment.findOne({
+            where: { id: parent_id, resource_id: id }
+        });
+
+        if (!parent || parent.status !== 'published') {
+            throw new NotFoundError('Comentario padre no encontrado');
+        }
+    }
+
+    const comment = await Comment.create({
+        content,
+        parent_id: parent ? parent.id : null,
+        resource_id: id,
+        user_id: req.user.userId
+    });
+
+    await notifyResourceCommented(resource, comment);
+    if (parent && parent.user_id !== resource.user_id) {
+        await notifyCommentReplied(resource, parent, comment);
+    }
+
+    const completeComment = await Comment.findByPk(comment.id, {
+        include: [{ model: User, as: 'author', attributes: authorAttributes }]
+    });
+
+    res.status(201).json({
+        message: parent ? 'Respuesta publicada exitosamente' : 'Comentario publicado exitosamente',
+        comment: completeComment
+    });
+});
+
+// Edit own comment within the edit window
+export const updateComment = asyncHandler(async (req, res) => {
+    const { id, commentId } = req.params;
+
+    const comment = await Comment.findOne({
+        where: { id: commentId, resource_id: id }
+    });
+
+    if (!comment || comment.status === 'deleted') {
+        throw new NotFoundError('Comentario no encontrado');
+    }
+
+    if (comment.user_id !== req.user.userId) {
+        throw new ForbiddenError('No tienes permisos para editar este comentario');
+    }
+
+    if (!comment.isEditableBy(req.user.userId, COMMENT_EDIT_WINDOW_MINUTES)) {
+        throw new ForbiddenError(`Los comentarios solo pueden editarse durante ${COMMENT_EDIT_WINDOW_MINUTES} minutos`, 'COMMENT_EDIT_WINDOW_CLOSED');
+    }
+
+    await comment.update({
+        content: req.body.content,
+        edited_at: new Date()
+    });
+
+    res.json({
+        message: 'Comentario actualizado exitosamente',
+        comment
+    });
+});
+
+// Soft-delete a comment (author or moderators)
+export const deleteComment = asyncHandler(async (req, res) => {
+    const { id, commentId } = req.params;
+
+    const comment = await Comment.findOne({
+        where: { id: commentId, resource_id: id }
+    });
+
+    if (!comment || comment.status === 'deleted') {
+        throw new NotFoundError('Comentario no encontrado');
+    }
+
+    if (comment.user_id !== req.user.userId && !(await canModerateComments(req))) {
+        throw new ForbiddenError('No tienes permisos para eliminar este comentario');
+    }
+
+    // Keep the row so replies stay attached to the thread
+    await comment.update({ status: 'deleted' });
+
+    res.json({ message: 'Comentario eliminado exitosamente' });
+});
+
+// Hide or restore a comment (admins and moderators)
+export const moderateComment = asyncHandler(async (req, res) => {
+    if (!(await canModerateComments(req))) {
+        throw new ForbiddenError('Acceso denegado. Se requieren permisos de moderador.');
+    }
+
+    const { id, commentId } = req.params;
+    const { status } = req.body;
+
+    const comment = await Comment.findOne({
+        where: { id: commentId, resource_id: id }
+    });
+
+    if (!comment || comment.status === 'deleted') {
+        throw new NotFoundError('Comentario no encontrado');
+    }
+
+    await comment.update({
+        status,
+        moderated_by: req.user.userId,
+        moderated_at: new Date()
+    });
+
+    res.json({
+        message: status === 'hidden' ? 'Comentario ocultado exitosamente' : 'Comentario restaurado exitosamente',
+        comment
+    });
+});
@@ -0,0 +1,63 @@
+import {
+    listIdentityProviders,
+    createIdentityProvider,
+    updateIdentityProvider,
+    deleteIdentityProvider
+} from '../services/oidcService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// OpenID Connect providers, including disabled ones (requires security.manage)
+export const getIdentityProviders = asyncHandler(async (req, res) => {
+    const providers = await listIdentityProviders();
+
+    res.json({ providers });
+});
+
+// Body validated by identityProviderValidation.create
+export const addIdentityProvider = asyncHandler(async (req, res) => {
+    const provider = await createIdentityProvider(req.body);
+
+    await recordAuditEvent({
+        action: 'oidc.provider_created',
+        actorId: req.user.userId,
+        ipAddress: req.ip,
+        metadata: { provider: provider.slug, enabled: provider.enabled }
+    });
+
+    res.status(201).json({
+        message: 'Proveedor de identidad creado exitosamente',
+        provider
+    });
+});
+
+// Body validated by identityProviderValidation.update; an empty client_secret keeps the current one
+export const editIdentityProvider = asyncHandler(async (req, res) => {
+    const provider = await updateIdentityProvider(req.params.id, req.body);
+
+    await recordAuditEvent({
+        action: 'oidc.provider_updated',
+        actorId: req.user.userId,
+        ipAddress: req.ip,
+        metadata: { provider: provider.slug, fields: Object.keys(req.body) }
+    });
+
+    res.json({
+        message: 'Proveedor de identidad actualizado exitosamente',
+        provider
+    });
+});
+
+// Users linked through the provider keep their accounts but lose that login method
+export const removeIdentityProvider = asyncHandler(async (req, res) => {
+    const provider = await deleteIdentityProvider(req.params.id);
+
+    await recordAuditEvent({
+        action: 'oidc.provider_deleted',
+        actorId: req.user.userId,
+        ipAddress: req.ip,
+        metadata: { provider: provider.slug }
+    });
+
+    res.json({ message: 'Proveedor de identidad eliminado exitosamente' });
+});
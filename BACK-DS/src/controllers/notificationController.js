@@ -1,68 +1,77 @@
-// Notification controller - simple implementation
-export const getNotifications = async (req, res) => {
-    try {
-        // Mock notifications for now - in real app, fetch from database
-        const notifications = [
-            {
-                id: 1,
-                title: 'Nuevo recurso disponible',
-                message: 'Se ha publicado un nuevo recurso en tu categoría favorita',
-                type: 'info',
-                read: false,
-                created_at: new Date(),
-                user_id: req.user.userId
-            },
-            {
-                id: 2,
-                title: 'Recurso moderado',
-                message: 'Tu recurso "Ejemplo" ha sido aprobado',
-                type: 'success', 
-                read: false,
-                created_at: new Date(Date.now() - 24 * 60 * 60 * 1000), // 1 day ago
-                user_id: req.user.userId
-            }
-        ];
+import { Notification, User } from '../models/index.js';
+import { parsePagination } from '../services/paginationService.js';
+import { asyncHandler, NotFoundError } from '../utils/helpers.js';
 
-        res.json({
-            notifications,
-            unread_count: notifications.filter(n => !n.read).length
-        });
+// Get current user's notifications with pagination
+export const getNotifications = asyncHandler(async (req, res) => {
+    const { unread } = req.query;
+    // Plain page list; limit is capped at MAX_PAGE_LIMIT
+    const { page, limit, offset } = parsePagination({ page: req.query.page, limit: req.query.limit });
+    const whereClause = { user_id: req.user.userId };
 
-    } catch (error) {
-        console.error('Get notifications error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+    if (unread === 'true') {
+        whereClause.read_at = null;
     }
-};
 
-export const markNotificationAsRead = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const [{ count, rows: notifications }, unreadCount] = await Promise.all([
+        Notification.findAndCountAll({
+            where: whereClause,
+            include: [
+                {
+                    model: User,
+                    as: 'actor',
+                    attributes: ['id', 'name', 'avatar_url']
+                }
+            ],
+            order: [['created_at', 'DESC']],
+            limit,
+            offset
+        }),
+        Notification.getUnreadCount(req.user.userId)
+    ]);
 
-        // In a real app, update notification in database
-        console.log(`Marking notification ${id} as read for user ${req.user.userId}`);
+    const totalPages = Math.ceil(count / limit);
 
-        res.json({
-            message: 'Notificación marcada como leída',
-            notification_id: parseInt(id)
-        });
+    res.json({
+        notifications,
+        unread_count: unreadCount,
+        pagination: {
+            page,
+            limit,
+            total: count,
+            totalPages,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+        }
+    });
+});
 
-    } catch (error) {
-        console.error('Mark notification as read error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+export const markNotificationAsRead = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const notification = await Notification.findOne({
+        where: { id, user_id: req.user.userId }
+    });
+
+    if (!notification) {
+        throw new NotFoundError('Notificación no encontrada');
     }
-};
 
-export const markAllNotificationsAsRead = async (req, res) => {
-    try {
-        // In a real app, update all notifications for user in database
-        console.log(`Marking all notifications as read for user ${req.user.userId}`);
+    await notification.markAsRead();
 
-        res.json({
-            message: 'Todas las notificaciones marcadas como leídas'
-        });
+    res.json({
+        message: 'Notificación marcada como leída',
+        notification,
+        unread_count: await Notification.getUnreadCount(req.user.userId)
+    });
+});
 
-    } catch (error) {
-        console.error('Mark all notifications as read error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
\ No newline at end of file
+export const markAllNotificationsAsRead = asyncHandler(async (req, res) => {
+    const updated = await Notification.markAllAsRead(req.user.userId);
+
+    res.json({
+        message: 'Todas las notificaciones marcadas como leídas',
+        updated,
+        unread_count: 0
+    });
+});
@@ -0,0 +1,156 @@
+import { User, Permission, UserPermission } from '../models/index.js';
+import { ROLE_PERMISSIONS, getUserPermissions } from '../services/permissionService.js';
+import { asyncHandler, AppError, NotFoundError, ConflictError } from '../utils/helpers.js';
+
+const grantIncludes = [
+    {
+        model: Permission,
+        as: 'permission',
+        attributes: ['id', 'name', 'resource', 'action', 'description', 'status']
+    },
+    {
+        model: User,
+        as: 'grantor',
+        attributes: ['id', 'name', 'email']
+    }
+];
+
+// List permissions (requires permissions.manage)
+export const getPermissions = asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const where = {};
+
+    if (status === 'active' || status === 'inactive') {
+        where.status = status;
+    }
+
+    const permissions = await Permission.findAll({
+        where,
+        order: [['resource', 'ASC'], ['action', 'ASC']]
+    });
+
+    res.json({ permissions });
+});
+
+export const createPermission = asyncHandler(async (req, res) => {
+    const { resource, action, description } = req.body;
+
+    let permission;
+    try {
+        permission = await Permission.createPermission(resource, action, description || null);
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            throw new ConflictError('Ya existe un permiso para ese recurso y acción', 'PERMISSION_EXISTS');
+        }
+        throw error;
+    }
+
+    res.status(201).json({
+        message: 'Permiso creado exitosamente',
+        permission
+    });
+});
+
+// Update description or (de)activate a permission
+// Inactive permissions stay assigned but are ignored when resolving access
+export const updatePermission = asyncHandler(async (req, res) => {
+    const permission = await Permission.findByPk(req.params.id);
+
+    if (!permission) {
+        throw new NotFoundError('Permiso no encontrado');
+    }
+
+    await permission.update(req.body);
+
+    res.json({
+        message: 'Permiso actualizado exitosamente',
+        permission
+    });
+});
+
+// Grants of a user, with who granted them and when, plus the resolved permission set
+export const getUserPermissionGrants = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.params.id, {
+        attributes: ['id', 'name', 'email', 'role']
+    });
+
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
+
+    const [grants, effective] = await Promise.all([
+        UserPermission.findAll({
+            where: { user_id: user.id },
+            include: grantIncludes,
+            order: [['granted_at', 'DESC']]
+        }),
+        getUserPermissions({ userId: user.id, role: user.role })
+    ]);
+
+    res.json({
+        user,
+        roleDefaults: ROLE_PERMISSIONS[user.role] || [],
+        grants: grants.map(grant => ({
+            ...grant.toJSON(),
+            expired: Boolean(grant.isExpired())
+        })),
+        effectivePermissions: [...effective].sort()
+    });
+});
+
+// Grant a permission to a user; granting it again replaces the previous expiry
+export const grantUserPermission = asyncHandler(async (req, res) => {
+    const { permission_id, expires_at = null } = req.body;
+
+    const [user, permission] = await Promise.all([
+        User.findByPk(req.params.id),
+        Permission.findByPk(permission_id)
+    ]);
+
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
+
+    if (!permission) {
+        throw new NotFoundError('Permiso no encontrado');
+    }
+
+    if (permission.status !== 'active') {
+        throw new AppError('No se puede conceder un permiso inactivo', 400, 'PERMISSION_INACTIVE');
+    }
+
+    const grantData = {
+        granted_by: req.user.userId,
+        granted_at: new Date(),
+        expires_at
+    };
+
+    const existing = await UserPermission.findOne({
+        where: { user_id: user.id, permission_id: permission.id }
+    });
+
+    const grant = existing
+        ? await existing.update(grantData)
+        : await UserPermission.create({ user_id: user.id, permission_id: permission.id, ...grantData });
+
+    await grant.reload({ include: grantIncludes });
+
+    res.status(existing ? 200 : 201).json({
+        message: 'Permiso concedido exitosamente',
+        grant
+    });
+});
+
+export const revokeUserPermission = asyncHandler(async (req, res) => {
+    const { id, permissionId } = req.params;
+
+    const removed = await UserPermission.destroy({
+        where: { user_id: id, permission_id: permissionId }
+    });
+
+    if (!removed) {
+        throw new NotFoundError('El usuario no tiene este permiso');
+    }
+
+    res.json({ message: 'Permiso revocado exitosamente' });
+});
@@ -0,0 +1,158 @@
+import { Resource, ResourceRating, User } from '../models/index.js';
+import sequelize from '../config/database.js';
+import { parsePagination } from '../services/paginationService.js';
+import { asyncHandler, NotFoundError, ForbiddenError } from '../utils/helpers.js';
+
+// Get ratings and reviews for a resource
+export const getResourceRatings = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    // Reviews are a plain page list; only page and limit apply
+    const { page, limit, offset } = parsePagination({ page: req.query.page, limit: req.query.limit });
+
+    const resource = await Resource.findByPk(id);
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
+
+    if (!resource.canBeViewedBy(req.user)) {
+        throw new ForbiddenError('Recurso no disponible');
+    }
+
+    const [{ count, rows: ratings }, summary] = await Promise.all([
+        ResourceRating.findAndCountAll({
+            where: { resource_id: id },
+            include: [
+                {
+                    model: User,
+                    as: 'user',
+                    attributes: ['id', 'name', 'avatar_url']
+                }
+            ],
+            order: [['updated_at', 'DESC']],
+            limit,
+            offset
+        }),
+        ResourceRating.getSummary(id)
+    ]);
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+        ratings,
+        summary,
+        pagination: {
+            page,
+            limit,
+            total: count,
+            totalPages,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+        }
+    });
+});
+
+// Get current user's rating for a resource
+export const getMyRating = asyncHandler(async (req, res) => {
+    const rating = await ResourceRating.findOne({
+        where: { resource_id: req.params.id, user_id: req.user.userId }
+    });
+
+    res.json({ rating });
+});
+
+// Rate or re-rate a resource
+export const rateResource = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { rating, review } = req.body;
+    const userId = req.user.userId;
+
+    const resource = await Resource.findByPk(id);
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
+
+    if (!resource.canBeViewedBy(req.user)) {
+        throw new ForbiddenError('Recurso no disponible');
+    }
+
+    if (resource.status !== 'published') {
+        throw new ForbiddenError('Solo se pueden calificar recursos publicados');
+    }
+
+    if (resource.user_id === userId) {
+        throw new ForbiddenError('No puedes calificar tu propio recurso');
+    }
+
+    let created = false;
+    let totals;
+    const userRating = await sequelize.transaction(async (transaction) => {
+        // Lock the resource so concurrent ratings recompute the totals one after another
+        totals = await Resource.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction });
+
+        const existing = await ResourceRating.findOne({
+            where: { resource_id: id, user_id: userId },
+            transaction
+        });
+
+        let result;
+        if (existing) {
+            result = await existing.update({
+                rating,
+                review: review === undefined ? existing.review : review
+            }, { transaction });
+        } else {
+            result = await ResourceRating.create({
+                resource_id: id,
+                user_id: userId,
+                rating,
+                review
+            }, { transaction });
+            created = true;
+        }
+
+        await totals.updateRating({ transaction });
+        return result;
+    });
+
+    res.status(created ? 201 : 200).json({
+        message: created ? 'Calificación registrada exitosamente' : 'Calificación actualizada exitosamente',
+        rating: userRating,
+        rating_average: totals.rating_average,
+        rating_count: totals.rating_count
+    });
+});
+
+// Withdraw own rating
+export const removeRating = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const resource = await Resource.findByPk(id);
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
+
+    let totals;
+    const removed = await sequelize.transaction(async (transaction) => {
+        totals = await Resource.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction });
+
+        const deleted = await ResourceRating.destroy({
+            where: { resource_id: id, user_id: req.user.userId },
+            transaction
+        });
+
+        if (deleted > 0) {
+            await totals.updateRating({ transaction });
+        }
+        return deleted > 0;
+    });
+
+    if (!removed) {
+        throw new NotFoundError('No has calificado este recurso');
+    }
+
+    res.json({
+        message: 'Calificación eliminada exitosamente',
+        rating_average: totals.rating_average,
+        rating_count: totals.rating_count
+    });
+});
@@ -1,173 +1,163 @@
 import { Resource, Category, User, Comment, ResourceLike } from '../models/index.js';
 import { Op } from 'sequelize';
-import { processUploadedFiles, deleteFile } from '../services/uploadService.js';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+    applyUploadedFiles,
+    cleanupUploadedFiles,
+    deleteFile,
+    resolveUploadPath,
+    queueResourceProcessing
+} from '../services/uploadService.js';
+import { normalizeTags, asyncHandler, NotFoundError, ForbiddenError } from '../utils/helpers.js';
+import { notifyResourceLiked } from '../services/notificationService.js';
+import { parsePagination, resolveSortOrder, paginate } from '../services/paginationService.js';
+import { listQueryValidation } from '../services/validationService.js';
+import { userCan } from '../middleware/permissionMiddleware.js';
+
+// Stored paths of uploaded files are never listed; files go through /download
+const LISTING_ATTRIBUTES = { exclude: ['file_path', 'search_vector'] };
 
 // Get all resources with pagination and filters
-export const getResources = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 20,
-            category,
-            type,
-            author,
-            search,
-            sort = 'created_at',
-            order = 'DESC',
-            status = 'published'
-        } = req.query;
-
-        const offset = (parseInt(page) - 1) * parseInt(limit);
-        const whereClause = { status };
-
-        // Add filters
-        if (category) {
-            whereClause.category_id = category;
-        }
+export const getResources = asyncHandler(async (req, res) => {
+    const {
+        category,
+        type,
+        author,
+        search,
+        minRating,
+        sort,
+        order,
+        status
+    } = req.query; // validated by listQueryValidation.resources
+
+    const pagination = parsePagination(req.query);
+    // Private, restricted and unpublished rows only for those who may view them
+    const whereClause = { status, [Op.and]: [Resource.visibleTo(req.user)] };
+
+    // Add filters
+    if (category) {
+        whereClause.category_id = category;
+    }
 
-        if (type) {
-            whereClause.type = type;
-        }
+    if (type) {
+        whereClause.type = type;
+    }
 
-        if (author) {
-            whereClause.author_id = author;
-        }
+    if (author) {
+        whereClause.user_id = author;
+    }
 
-        // Add search
-        if (search) {
-            whereClause[Op.or] = [
-                { title: { [Op.iLike]: `%${search}%` } },
-                { description: { [Op.iLike]: `%${search}%` } },
-                { content: { [Op.iLike]: `%${search}%` } }
-            ];
-        }
+    // Add search
+    if (search) {
+        whereClause[Op.or] = [
+            { title: { [Op.iLike]: `%${search}%` } },
+            { description: { [Op.iLike]: `%${search}%` } },
+            { content: { [Op.iLike]: `%${search}%` } }
+        ];
+    }
 
-        const { count, rows: resources } = await Resource.findAndCountAll({
-            where: whereClause,
-            include: [
-                {
-                    model: User,
-                    as: 'author',
-                    attributes: ['id', 'name', 'profile_picture']
-                },
-                {
-                    model: Category,
-                    as: 'category',
-                    attributes: ['id', 'name', 'slug', 'color']
-                }
-            ],
-            order: [[sort, order.toUpperCase()]],
-            limit: parseInt(limit),
-            offset,
-            distinct: true
-        });
+    // Minimum average rating
+    if (minRating !== undefined) {
+        whereClause.rating_average = { [Op.gte]: parseFloat(minRating) };
+    }
 
-        const totalPages = Math.ceil(count / parseInt(limit));
+    const orderBy = resolveSortOrder(listQueryValidation.resources.sort, sort, order);
 
-        res.json({
-            resources,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: count,
-                totalPages,
-                hasNext: parseInt(page) < totalPages,
-                hasPrev: parseInt(page) > 1
+    const { rows: resources, pagination: pageInfo } = await paginate(Resource, {
+        where: whereClause,
+        attributes: LISTING_ATTRIBUTES,
+        include: [
+            {
+                model: User,
+                as: 'author',
+                attributes: ['id', 'name', 'avatar_url']
+            },
+            {
+                model: Category,
+                as: 'category',
+                attributes: ['id', 'name', 'slug', 'color']
             }
-        });
+        ]
+    }, { order: orderBy, pagination });
 
-    } catch (error) {
-        console.error('Get resources error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
+    res.json({
+        resources,
+        pagination: pageInfo
+    });
+});
 
 // Get single resource by ID
-export const getResourceById = async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        const resource = await Resource.findByPk(id, {
-            include: [
-                {
-                    model: User,
-                    as: 'author',
-                    attributes: ['id', 'name', 'profile_picture', 'bio']
-                },
-                {
-                    model: Category,
-                    as: 'category',
-                    attributes: ['id', 'name', 'slug', 'color']
-                },
-                {
-                    model: Comment,
-                    as: 'comments',
-                    include: [{
-                        model: User,
-                        as: 'author',
-                        attributes: ['id', 'name', 'profile_picture']
-                    }],
-                    where: { parent_id: null },
-                    required: false
-                }
-            ]
-        });
+export const getResourceById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const resource = await Resource.findByPk(id, {
+        include: [
+            {
+                model: User,
+                as: 'author',
+                attributes: ['id', 'name', 'avatar_url', 'bio']
+            },
+            {
+                model: Category,
+                as: 'category',
+                attributes: ['id', 'name', 'slug', 'color']
+            }
+        ]
+    });
 
-        if (!resource) {
-            return res.status(404).json({ message: 'Recurso no encontrado' });
-        }
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
 
-        // Check if resource is published or user has permission
-        if (resource.status !== 'published') {
-            if (!req.user || (req.user.userId !== resource.author_id && req.user.role !== 'admin')) {
-                return res.status(403).json({ message: 'Recurso no disponible' });
-            }
-        }
+    // Check if resource is published or user has permission
+    if (!resource.canBeViewedBy(req.user)) {
+        throw new ForbiddenError('Recurso no disponible');
+    }
 
-        // Increment view count
-        await resource.increment('views');
+    // Increment view count
+    await resource.increment('views_count');
 
-        res.json({ resource });
+    // Comments are served paginated by GET /api/resources/:id/comments
+    const commentsCount = await Comment.count({
+        where: { resource_id: id, status: 'published' }
+    });
 
-    } catch (error) {
-        console.error('Get resource error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
+    res.json({
+        resource,
+        comments_count: commentsCount
+    });
+});
 
 // Create new resource
-export const createResource = async (req, res) => {
+export const createResource = asyncHandler(async (req, res) => {
     try {
         const resourceData = {
-            ...req.body,
-            author_id: req.user.userId,
+            ...Resource.pickWritableFields(req.body),
+            tags: normalizeTags(req.body.tags),
+            user_id: req.user.userId,
             status: 'under_review' // Default status for new resources
         };
 
         // Process uploaded files
         if (req.files && Object.keys(req.files).length > 0) {
-            const processedFiles = processUploadedFiles(req.files);
-            
-            if (processedFiles.resource_file) {
-                resourceData.file_url = processedFiles.resource_file.path;
-                resourceData.file_size = processedFiles.resource_file.size;
-                resourceData.file_type = processedFiles.resource_file.mimetype;
-            }
-            
-            if (processedFiles.thumbnail) {
-                resourceData.thumbnail_url = processedFiles.thumbnail.path;
-            }
+            applyUploadedFiles(resourceData, req.files);
         }
 
         const resource = await Resource.create(resourceData);
 
+        // Thumbnails and previews are generated in the background
+        if (resource.file_path) {
+            queueResourceProcessing(resource.id);
+        }
+
         // Fetch the complete resource with associations
         const completeResource = await Resource.findByPk(resource.id, {
             include: [
                 {
                     model: User,
                     as: 'author',
-                    attributes: ['id', 'name', 'profile_picture']
+                    attributes: ['id', 'name', 'avatar_url']
                 },
                 {
                     model: Category,
@@ -183,68 +173,66 @@ export const createResource = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Create resource error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+        // Don't leave orphaned files behind when the insert fails
+        await cleanupUploadedFiles(req.files);
+        throw error;
     }
-};
+});
 
 // Update resource
-export const updateResource = async (req, res) => {
+export const updateResource = asyncHandler(async (req, res) => {
     try {
         const { id } = req.params;
 
         const resource = await Resource.findByPk(id);
 
         if (!resource) {
-            return res.status(404).json({ message: 'Recurso no encontrado' });
+            throw new NotFoundError('Recurso no encontrado');
         }
 
-        // Check permissions
-        if (resource.author_id !== req.user.userId && req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'No tienes permisos para editar este recurso' });
+        // Owners can edit their own resources; others need resources.update
+        if (resource.user_id !== req.user.userId && !(await userCan(req, 'resources', 'update'))) {
+            throw new ForbiddenError('No tienes permisos para editar este recurso');
         }
 
-        const updateData = { ...req.body };
+        const updateData = Resource.pickWritableFields(req.body);
+        if (updateData.tags !== undefined) {
+            updateData.tags = normalizeTags(updateData.tags);
+        }
 
         // Process uploaded files
+        const previousFilePath = resource.file_path;
+        const previousThumbnail = resource.thumbnail_url;
+        let uploaded = {};
         if (req.files && Object.keys(req.files).length > 0) {
-            const processedFiles = processUploadedFiles(req.files);
-            
-            if (processedFiles.resource_file) {
-                // Delete old file
-                if (resource.file_url) {
-                    await deleteFile(resource.file_url);
-                }
-                
-                updateData.file_url = processedFiles.resource_file.path;
-                updateData.file_size = processedFiles.resource_file.size;
-                updateData.file_type = processedFiles.resource_file.mimetype;
-            }
-            
-            if (processedFiles.thumbnail) {
-                // Delete old thumbnail
-                if (resource.thumbnail_url) {
-                    await deleteFile(resource.thumbnail_url);
-                }
-                
-                updateData.thumbnail_url = processedFiles.thumbnail.path;
-            }
+            uploaded = applyUploadedFiles(updateData, req.files, resource.metadata);
         }
 
-        // If content is updated, set status back to review (except for admins)
-        if (updateData.content && req.user.role !== 'admin') {
+        // If content or file is updated, set status back to review (except for moderators)
+        if ((updateData.content || uploaded.resourceFile) && !(await userCan(req, 'resources', 'moderate'))) {
             updateData.status = 'under_review';
         }
 
         await resource.update(updateData);
 
+        // Old files are only removed once the new ones are saved
+        if (uploaded.resourceFile && previousFilePath) {
+            await deleteFile(previousFilePath);
+        }
+        if (uploaded.thumbnail && previousThumbnail) {
+            await deleteFile(previousThumbnail);
+        }
+        if (uploaded.resourceFile) {
+            queueResourceProcessing(resource.id);
+        }
+
         // Fetch updated resource with associations
         const updatedResource = await Resource.findByPk(id, {
             include: [
                 {
                     model: User,
                     as: 'author',
-                    attributes: ['id', 'name', 'profile_picture']
+                    attributes: ['id', 'name', 'avatar_url']
                 },
                 {
                     model: Category,
@@ -260,169 +248,229 @@ export const updateResource = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Update resource error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+        // Uploaded files are discarded whenever the update doesn't go through
+        await cleanupUploadedFiles(req.files);
+        throw error;
     }
-};
+});
 
 // Delete resource
-export const deleteResource = async (req, res) => {
-    try {
-        const { id } = req.params;
+export const deleteResource = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        const resource = await Resource.findByPk(id);
+    const resource = await Resource.findByPk(id);
 
-        if (!resource) {
-            return res.status(404).json({ message: 'Recurso no encontrado' });
-        }
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
 
-        // Check permissions
-        if (resource.author_id !== req.user.userId && req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'No tienes permisos para eliminar este recurso' });
-        }
+    // Owners can delete their own resources; others need resources.delete
+    if (resource.user_id !== req.user.userId && !(await userCan(req, 'resources', 'delete'))) {
+        throw new ForbiddenError('No tienes permisos para eliminar este recurso');
+    }
 
-        // Delete associated files
-        if (resource.file_url) {
-            await deleteFile(resource.file_url);
-        }
-        if (resource.thumbnail_url) {
-            await deleteFile(resource.thumbnail_url);
-        }
+    // Delete associated files
+    if (resource.file_path) {
+        await deleteFile(resource.file_path);
+    }
+    if (resource.thumbnail_url) {
+        await deleteFile(resource.thumbnail_url);
+    }
+    if (resource.metadata?.preview_url) {
+        await deleteFile(resource.metadata.preview_url);
+    }
 
-        await resource.destroy();
+    await resource.destroy();
 
-        res.json({
-            message: 'Recurso eliminado exitosamente'
-        });
+    res.json({
+        message: 'Recurso eliminado exitosamente'
+    });
+});
 
-    } catch (error) {
-        console.error('Delete resource error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+// Download resource file (streams the file, supports Range requests)
+export const downloadResource = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+
+    const resource = await Resource.findByPk(id);
+
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
+
+    if (!resource.canBeViewedBy(req.user)) {
+        throw new ForbiddenError('Recurso no disponible');
+    }
+
+    // file_url is an external link; only stored uploads are served
+    const filePath = resolveUploadPath(resource.file_path);
+    if (!filePath) {
+        throw new NotFoundError('El recurso no tiene un archivo descargable');
     }
-};
 
-// Like/Unlike resource
-export const toggleResourceLike = async (req, res) => {
     try {
-        const { id } = req.params;
-        const userId = req.user.userId;
+        await fs.access(filePath);
+    } catch {
+        throw new NotFoundError('Archivo no encontrado');
+    }
 
-        const resource = await Resource.findByPk(id);
-        if (!resource) {
-            return res.status(404).json({ message: 'Recurso no encontrado' });
-        }
+    const downloadName = resource.metadata?.original_name ||
+        `${resource.title}${path.extname(filePath)}`;
 
-        const existingLike = await ResourceLike.findOne({
-            where: { resource_id: id, user_id: userId }
-        });
+    // Count a download once, not for every partial range request
+    const range = req.headers.range;
+    const isFirstChunk = !range || /^bytes=0-/.test(range);
+
+    const headers = {};
+    if (resource.metadata?.mimetype) {
+        headers['Content-Type'] = resource.metadata.mimetype;
+    }
 
-        let liked;
-        if (existingLike) {
-            // Unlike
-            await existingLike.destroy();
-            await resource.decrement('likes_count');
-            liked = false;
-        } else {
-            // Like
-            await ResourceLike.create({ resource_id: id, user_id: userId });
-            await resource.increment('likes_count');
-            liked = true;
+    res.download(filePath, downloadName, { headers, acceptRanges: true }, async (error) => {
+        if (error) {
+            return next(error);
         }
 
-        res.json({
-            message: liked ? 'Recurso marcado como favorito' : 'Recurso removido de favoritos',
-            liked,
-            likes_count: resource.likes_count + (liked ? 1 : -1)
-        });
+        if (isFirstChunk) {
+            await resource.incrementDownloads().catch(err => {
+                console.error('Increment downloads error:', err);
+            });
+        }
+    });
+});
 
-    } catch (error) {
-        console.error('Toggle like error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+// Like/Unlike resource
+export const toggleResourceLike = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Resources the user can't view answer as missing, so likes don't reveal that they exist
+    const resource = await Resource.findByPk(id);
+    if (!resource || !resource.canBeViewedBy(req.user)) {
+        throw new NotFoundError('Recurso no encontrado');
     }
-};
 
-// Get user's own resources
-export const getUserResources = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 20,
-            status,
-            sort = 'created_at',
-            order = 'DESC'
-        } = req.query;
-
-        const offset = (parseInt(page) - 1) * parseInt(limit);
-        const whereClause = { author_id: req.user.userId };
-
-        if (status) {
-            whereClause.status = status;
-        }
+    const existingLike = await ResourceLike.findOne({
+        where: { resource_id: id, user_id: userId }
+    });
+
+    let liked;
+    if (existingLike) {
+        // Unlike
+        await existingLike.destroy();
+        await resource.decrement('likes_count');
+        liked = false;
+    } else {
+        // Like
+        await ResourceLike.create({ resource_id: id, user_id: userId });
+        await resource.increment('likes_count');
+        liked = true;
+
+        await notifyResourceLiked(resource, userId);
+    }
 
-        const { count, rows: resources } = await Resource.findAndCountAll({
-            where: whereClause,
-            include: [
-                {
-                    model: Category,
-                    as: 'category',
-                    attributes: ['id', 'name', 'slug', 'color']
-                }
-            ],
-            order: [[sort, order.toUpperCase()]],
-            limit: parseInt(limit),
-            offset
-        });
+    res.json({
+        message: liked ? 'Recurso marcado como favorito' : 'Recurso removido de favoritos',
+        liked,
+        likes_count: resource.likes_count + (liked ? 1 : -1)
+    });
+});
 
-        const totalPages = Math.ceil(count / parseInt(limit));
+// Send a stored image of the resource after the same access check as the download
+const sendResourceImage = async (req, res, storedPathOf) => {
+    const resource = await Resource.findByPk(req.params.id);
 
-        res.json({
-            resources,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: count,
-                totalPages,
-                hasNext: parseInt(page) < totalPages,
-                hasPrev: parseInt(page) > 1
-            }
-        });
+    if (!resource) {
+        throw new NotFoundError('Recurso no encontrado');
+    }
 
-    } catch (error) {
-        console.error('Get user resources error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+    if (!resource.canBeViewedBy(req.user)) {
+        throw new ForbiddenError('Recurso no disponible');
+    }
+
+    const filePath = resolveUploadPath(storedPathOf(resource));
+    if (!filePath) {
+        throw new NotFoundError('Imagen no disponible');
     }
-};
 
-// Get featured resources
-export const getFeaturedResources = async (req, res) => {
     try {
-        const { limit = 10 } = req.query;
+        await fs.access(filePath);
+    } catch {
+        throw new NotFoundError('Imagen no disponible');
+    }
 
-        const resources = await Resource.findAll({
-            where: { 
-                status: 'published',
-                is_featured: true
-            },
-            include: [
-                {
-                    model: User,
-                    as: 'author',
-                    attributes: ['id', 'name', 'profile_picture']
-                },
-                {
-                    model: Category,
-                    as: 'category',
-                    attributes: ['id', 'name', 'slug', 'color']
-                }
-            ],
-            order: [['featured_at', 'DESC']],
-            limit: parseInt(limit)
-        });
+    // Only the browser may cache images of non-public resources
+    res.set('Cache-Control', resource.visibility === 'public' ? 'public, max-age=3600' : 'private, max-age=3600');
+    res.sendFile(filePath);
+};
 
-        res.json({ resources });
+// Thumbnail (generated or uploaded) of a resource
+export const getResourceThumbnail = asyncHandler(async (req, res) => {
+    await sendResourceImage(req, res, resource => resource.thumbnail_url);
+});
 
-    } catch (error) {
-        console.error('Get featured resources error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+// Large preview generated from the resource file
+export const getResourcePreview = asyncHandler(async (req, res) => {
+    await sendResourceImage(req, res, resource => resource.metadata?.preview_url);
+});
+
+// Get user's own resources
+export const getUserResources = asyncHandler(async (req, res) => {
+    const {
+        status,
+        sort,
+        order
+    } = req.query; // validated by listQueryValidation.userResources
+
+    const pagination = parsePagination(req.query);
+    const whereClause = { user_id: req.user.userId };
+
+    if (status) {
+        whereClause.status = status;
     }
-};
\ No newline at end of file
+
+    const { rows: resources, pagination: pageInfo } = await paginate(Resource, {
+        where: whereClause,
+        include: [
+            {
+                model: Category,
+                as: 'category',
+                attributes: ['id', 'name', 'slug', 'color']
+            }
+        ]
+    }, { order: resolveSortOrder(listQueryValidation.userResources.sort, sort, order), pagination });
+
+    res.json({
+        resources,
+        pagination: pageInfo
+    });
+});
+
+// Get featured resources
+export const getFeaturedResources = asyncHandler(async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const resources = await Resource.findAll({
+        where: {
+            status: 'published',
+            visibility: 'public',
+            featured: true
+        },
+        attributes: LISTING_ATTRIBUTES,
+        include: [
+            {
+                model: User,
+                as: 'author',
+                attributes: ['id', 'name', 'avatar_url']
+            },
+            {
+                model: Category,
+                as: 'category',
+                attributes: ['id', 'name', 'slug', 'color']
+            }
+        ],
+        order: [['published_at', 'DESC']],
+        limit
+    });
+
+    res.json({ resources });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { SavedSearch } from '../models/index.js';
+import { asyncHandler, NotFoundError, ConflictError } from '../utils/helpers.js';
+
+const findOwnSavedSearch = (id, userId) => SavedSearch.findOne({
+    where: { id, user_id: userId }
+});
+
+// Names are unique per user
+const rethrowDuplicateName = (error) => {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new ConflictError('Ya tienes una búsqueda guardada con ese nombre', 'SAVED_SEARCH_EXISTS');
+    }
+    throw error;
+};
+
+// List the current user's saved searches
+export const getSavedSearches = asyncHandler(async (req, res) => {
+    const savedSearches = await SavedSearch.findAll({
+        where: { user_id: req.user.userId },
+        order: [['name', 'ASC']]
+    });
+
+    res.json({ savedSearches });
+});
+
+export const getSavedSearch = asyncHandler(async (req, res) => {
+    const savedSearch = await findOwnSavedSearch(req.params.id, req.user.userId);
+
+    if (!savedSearch) {
+        throw new NotFoundError('Búsqueda guardada no encontrada');
+    }
+
+    res.json({ savedSearch });
+});
+
+export const createSavedSearch = asyncHandler(async (req, res) => {
+    const { name, filters, alert_frequency } = req.body;
+
+    const savedSearch = await SavedSearch.create({
+        user_id: req.user.userId,
+        name,
+        filters, // page/limit are stripped by the validation schema
+        alert_frequency,
+        // Alerts only cover resources published after the search was saved
+        last_alerted_at: new Date()
+    }).catch(rethrowDuplicateName);
+
+    res.status(201).json({
+        message: 'Búsqueda guardada exitosamente',
+        savedSearch
+    });
+});
+
+export const updateSavedSearch = asyncHandler(async (req, res) => {
+    const savedSearch = await findOwnSavedSearch(req.params.id, req.user.userId);
+
+    if (!savedSearch) {
+        throw new NotFoundError('Búsqueda guardada no encontrada');
+    }
+
+    const updateData = { ...req.body };
+
+    // Turning alerts on shouldn't replay everything published while they were off
+    if (updateData.alert_frequency && updateData.alert_frequency !== savedSearch.alert_frequency) {
+        updateData.last_alerted_at = new Date();
+    }
+
+    await savedSearch.update(updateData).catch(rethrowDuplicateName);
+
+    res.json({
+        message: 'Búsqueda guardada actualizada exitosamente',
+        savedSearch
+    });
+});
+
+export const deleteSavedSearch = asyncHandler(async (req, res) => {
+    const savedSearch = await findOwnSavedSearch(req.params.id, req.user.userId);
+
+    if (!savedSearch) {
+        throw new NotFoundError('Búsqueda guardada no encontrada');
+    }
+
+    await savedSearch.destroy();
+
+    res.json({ message: 'Búsqueda guardada eliminada exitosamente' });
+});
@@ -1,299 +1,201 @@
-import { Resource, Category, User } from '../models/index.js';
+import { Resource, Category, User, SearchQuery } from '../models/index.js';
 import { Op } from 'sequelize';
+import {
+    buildFullTextSearch,
+    withHighlights,
+    logSearchQuery,
+    findSuggestions,
+    getDidYouMean,
+    buildAdvancedSearch,
+    getSearchFacets
+} from '../services/searchService.js';
+import { parsePagination, resolveSortOrder, paginate } from '../services/paginationService.js';
+import { listQueryValidation } from '../services/validationService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Default window (days) for trending searches
+const POPULAR_SEARCHES_WINDOW_DAYS = parseInt(process.env.POPULAR_SEARCHES_WINDOW_DAYS) || 7;
 
 // Search resources
-export const searchResources = async (req, res) => {
-    try {
-        const {
-            q: searchQuery,
-            category,
-            type,
-            page = 1,
-            limit = 20,
-            sort = 'relevance',
-            order = 'DESC',
-            dateFrom,
-            dateTo
-        } = req.query;
-
-        if (!searchQuery || searchQuery.trim().length < 2) {
-            return res.status(400).json({ message: 'La consulta de búsqueda debe tener al menos 2 caracteres' });
-        }
-
-        const offset = (parseInt(page) - 1) * parseInt(limit);
-        const whereClause = {
-            status: 'published' // Only search published resources
-        };
-
-        // Build search conditions
-        const searchConditions = [];
-        const searchTerm = searchQuery.trim();
-
-        searchConditions.push(
-            { title: { [Op.iLike]: `%${searchTerm}%` } },
-            { description: { [Op.iLike]: `%${searchTerm}%` } },
-            { content: { [Op.iLike]: `%${searchTerm}%` } },
-            { tags: { [Op.contains]: [searchTerm] } }
-        );
-
-        whereClause[Op.or] = searchConditions;
-
-        // Add filters
-        if (category) {
-            whereClause.category_id = category;
-        }
-
-        if (type) {
-            whereClause.type = type;
-        }
-
-        // Add date filters
-        if (dateFrom || dateTo) {
-            whereClause.published_at = {};
-            if (dateFrom) whereClause.published_at[Op.gte] = new Date(dateFrom);
-            if (dateTo) whereClause.published_at[Op.lte] = new Date(dateTo);
-        }
+export const searchResources = asyncHandler(async (req, res) => {
+    const {
+        q: searchQuery,
+        category,
+        type,
+        sort,
+        order,
+        dateFrom,
+        dateTo,
+        minRating
+    } = req.query; // validated by validateSearch
+
+    const pagination = parsePagination(req.query, { maxLimit: listQueryValidation.search.maxLimit });
+    // Published resources the user may view, as in GET /api/resources
+    const whereClause = {
+        status: 'published',
+        [Op.and]: [Resource.visibleTo(req.user)]
+    };
+
+    // Full-text match against the weighted search_vector
+    const textSearch = buildFullTextSearch(searchQuery.trim());
+    Object.assign(whereClause, textSearch.where);
+
+    // Add filters
+    if (category) {
+        whereClause.category_id = category;
+    }
 
-        // Determine sort order
-        let orderBy;
-        switch (sort) {
-            case 'date':
-                orderBy = [['published_at', order.toUpperCase()]];
-                break;
-            case 'title':
-                orderBy = [['title', order.toUpperCase()]];
-                break;
-            case 'views':
-                orderBy = [['views', order.toUpperCase()]];
-                break;
-            case 'likes':
-                orderBy = [['likes_count', order.toUpperCase()]];
-                break;
-            default: // 'relevance'
-                orderBy = [['created_at', 'DESC']]; // Fallback to creation date
-        }
+    if (type) {
+        whereClause.type = type;
+    }
 
-        const { count, rows: resources } = await Resource.findAndCountAll({
-            where: whereClause,
-            include: [
-                {
-                    model: User,
-                    as: 'author',
-                    attributes: ['id', 'name', 'profile_picture']
-                },
-                {
-                    model: Category,
-                    as: 'category',
-                    attributes: ['id', 'name', 'slug', 'color']
-                }
-            ],
-            order: orderBy,
-            limit: parseInt(limit),
-            offset,
-            distinct: true
-        });
+    // Add date filters
+    if (dateFrom || dateTo) {
+        whereClause.published_at = {};
+        if (dateFrom) whereClause.published_at[Op.gte] = new Date(dateFrom);
+        if (dateTo) whereClause.published_at[Op.lte] = new Date(dateTo);
+    }
 
-        const totalPages = Math.ceil(count / parseInt(limit));
+    // Minimum average rating
+    if (minRating !== undefined) {
+        whereClause.rating_average = { [Op.gte]: parseFloat(minRating) };
+    }
 
-        res.json({
-            query: searchQuery,
-            resources,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: count,
-                totalPages,
-                hasNext: parseInt(page) < totalPages,
-                hasPrev: parseInt(page) > 1
+    // 'relevance' - ts_rank, newest first on ties
+    // ts_rank is a float4; cursor values are cast back so ties compare exactly
+    const orderBy = sort === 'relevance'
+        ? [
+            { attribute: 'rank', expression: textSearch.rank, cast: 'real', direction: 'DESC' },
+            ['published_at', 'DESC']
+        ]
+        : resolveSortOrder(listQueryValidation.search.sort, sort, order);
+
+    const { rows: resources, pagination: pageInfo } = await paginate(Resource, {
+        where: whereClause,
+        attributes: { include: textSearch.attributes },
+        include: [
+            {
+                model: User,
+                as: 'author',
+                attributes: ['id', 'name', 'avatar_url']
             },
-            filters: {
-                category,
-                type,
-                dateFrom,
-                dateTo,
-                sort,
-                order
+            {
+                model: Category,
+                as: 'category',
+                attributes: ['id', 'name', 'slug', 'color']
             }
-        });
-
-    } catch (error) {
-        console.error('Search resources error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
-
-// Get search suggestions
-export const getSearchSuggestions = async (req, res) => {
-    try {
-        const { q: query } = req.query;
-
-        if (!query || query.trim().length < 2) {
-            return res.json({ suggestions: [] });
-        }
+        ]
+    }, { order: orderBy, pagination });
 
-        const searchTerm = query.trim();
+    // Without a total, an empty first page still tells us the search found nothing
+    const resultsCount = pageInfo.total ?? resources.length;
 
-        // Get resource titles and categories as suggestions
-        const [resourceSuggestions, categorySuggestions] = await Promise.all([
-            Resource.findAll({
-                where: {
-                    status: 'published',
-                    title: { [Op.iLike]: `%${searchTerm}%` }
-                },
-                attributes: ['id', 'title'],
-                limit: 5,
-                order: [['views', 'DESC']]
-            }),
-            Category.findAll({
-                where: {
-                    name: { [Op.iLike]: `%${searchTerm}%` }
-                },
-                attributes: ['id', 'name', 'slug'],
-                limit: 3
-            })
-        ]);
-
-        const suggestions = [
-            ...resourceSuggestions.map(r => ({
-                type: 'resource',
-                id: r.id,
-                text: r.title,
-                url: `/resources/${r.id}`
-            })),
-            ...categorySuggestions.map(c => ({
-                type: 'category',
-                id: c.id,
-                text: c.name,
-                url: `/search?category=${c.slug}`
-            }))
-        ];
-
-        res.json({ suggestions });
-
-    } catch (error) {
-        console.error('Get search suggestions error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
-
-// Get popular search terms
-export const getPopularSearches = async (req, res) => {
-    try {
-        // Get most viewed resources as popular searches
-        const popularResources = await Resource.findAll({
-            where: { status: 'published' },
-            attributes: ['title', 'views'],
-            order: [['views', 'DESC']],
-            limit: 10
+    // Log once per search, not for every page of the same results
+    if (pagination.isFirstPage) {
+        logSearchQuery({
+            query: searchQuery,
+            userId: req.user?.userId,
+            resultsCount,
+            source: 'basic',
+            filters: { category, type, dateFrom, dateTo, minRating }
         });
-
-        const popularSearches = popularResources.map(resource => ({
-            term: resource.title,
-            views: resource.views
-        }));
-
-        res.json({ popularSearches });
-
-    } catch (error) {
-        console.error('Get popular searches error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
     }
-};
 
-// Advanced search with multiple filters
-export const advancedSearch = async (req, res) => {
-    try {
-        const {
-            query,
-            categories = [],
-            types = [],
-            authors = [],
-            tags = [],
+    // Offer a correction when nothing matched (e.g. "matematcas")
+    const didYouMean = pagination.isFirstPage && resources.length === 0
+        ? await getDidYouMean(searchQuery.trim())
+        : null;
+
+    res.json({
+        query: searchQuery,
+        didYouMean,
+        resources: resources.map(withHighlights),
+        pagination: pageInfo,
+        filters: {
+            category,
+            type,
             dateFrom,
             dateTo,
-            minViews,
-            maxViews,
-            page = 1,
-            limit = 20,
-            sort = 'relevance',
-            order = 'DESC'
-        } = req.body;
-
-        const offset = (parseInt(page) - 1) * parseInt(limit);
-        const whereClause = {
-            status: 'published'
-        };
-
-        // Text search
-        if (query && query.trim().length >= 2) {
-            const searchTerm = query.trim();
-            whereClause[Op.or] = [
-                { title: { [Op.iLike]: `%${searchTerm}%` } },
-                { description: { [Op.iLike]: `%${searchTerm}%` } },
-                { content: { [Op.iLike]: `%${searchTerm}%` } }
-            ];
+            minRating,
+            sort,
+            order
         }
+    });
+});
 
-        // Category filter
-        if (categories.length > 0) {
-            whereClause.category_id = { [Op.in]: categories };
-        }
+// Get typo-tolerant search suggestions (resources, tags and categories)
+export const getSearchSuggestions = asyncHandler(async (req, res) => {
+    const { q: query, limit = 10 } = req.query;
 
-        // Type filter
-        if (types.length > 0) {
-            whereClause.type = { [Op.in]: types };
-        }
+    if (!query || query.trim().length < 2) {
+        return res.json({ suggestions: [] });
+    }
 
-        // Author filter
-        if (authors.length > 0) {
-            whereClause.author_id = { [Op.in]: authors };
-        }
+    const suggestions = await findSuggestions(query.trim(), {
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 20)
+    });
 
-        // Tags filter
-        if (tags.length > 0) {
-            whereClause.tags = { [Op.overlap]: tags };
-        }
+    res.json({ suggestions });
+});
 
-        // Date range filter
-        if (dateFrom || dateTo) {
-            whereClause.published_at = {};
-            if (dateFrom) whereClause.published_at[Op.gte] = new Date(dateFrom);
-            if (dateTo) whereClause.published_at[Op.lte] = new Date(dateTo);
-        }
+// Get trending search terms over a window of days (?days=7&limit=10)
+export const getPopularSearches = asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || POPULAR_SEARCHES_WINDOW_DAYS, 1), 365);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
-        // Views range filter
-        if (minViews !== undefined || maxViews !== undefined) {
-            whereClause.views = {};
-            if (minViews !== undefined) whereClause.views[Op.gte] = parseInt(minViews);
-            if (maxViews !== undefined) whereClause.views[Op.lte] = parseInt(maxViews);
-        }
+    const popularSearches = await SearchQuery.getTrending({ since, limit });
 
-        // Determine sort order
-        let orderBy;
-        switch (sort) {
-            case 'date':
-                orderBy = [['published_at', order.toUpperCase()]];
-                break;
-            case 'title':
-                orderBy = [['title', order.toUpperCase()]];
-                break;
-            case 'views':
-                orderBy = [['views', order.toUpperCase()]];
-                break;
-            case 'likes':
-                orderBy = [['likes_count', order.toUpperCase()]];
-                break;
-            default:
-                orderBy = [['created_at', 'DESC']];
+    res.json({
+        popularSearches,
+        window: {
+            days,
+            from: since
         }
+    });
+});
 
-        const { count, rows: resources } = await Resource.findAndCountAll({
+// Advanced search with multiple filters
+export const advancedSearch = asyncHandler(async (req, res) => {
+    const {
+        query,
+        categories = [],
+        types = [],
+        authors = [],
+        tags = [],
+        years = [],
+        dateFrom,
+        dateTo,
+        minViews,
+        maxViews,
+        page = 1,
+        limit,
+        sort,
+        order
+    } = req.body; // validated by listQueryValidation.advancedSearch
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { baseWhere, facetFilters, whereClause, textSearch } = await buildAdvancedSearch(req.body, { viewer: req.user });
+
+    // 'relevance' only applies when there is a text query
+    let orderBy;
+    if (sort !== 'relevance') {
+        orderBy = resolveSortOrder(listQueryValidation.advancedSearch.sort, sort, order);
+    } else {
+        orderBy = textSearch
+            ? [...textSearch.order, ['published_at', 'DESC']]
+            : [['created_at', 'DESC']];
+    }
+
+    const [{ count, rows: resources }, facets] = await Promise.all([
+        Resource.findAndCountAll({
             where: whereClause,
+            ...(textSearch && { attributes: { include: textSearch.attributes } }),
             include: [
                 {
                     model: User,
                     as: 'author',
-                    attributes: ['id', 'name', 'profile_picture']
+                    attributes: ['id', 'name', 'avatar_url']
                 },
                 {
                     model: Category,
@@ -305,37 +207,49 @@ export const advancedSearch = async (req, res) => {
             limit: parseInt(limit),
             offset,
             distinct: true
-        });
+        }),
+        getSearchFacets(baseWhere, facetFilters)
+    ]);
 
-        const totalPages = Math.ceil(count / parseInt(limit));
+    const totalPages = Math.ceil(count / parseInt(limit));
 
-        res.json({
-            resources,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: count,
-                totalPages,
-                hasNext: parseInt(page) < totalPages,
-                hasPrev: parseInt(page) > 1
-            },
-            appliedFilters: {
-                query,
-                categories,
-                types,
-                authors,
-                tags,
-                dateFrom,
-                dateTo,
-                minViews,
-                maxViews,
-                sort,
-                order
-            }
+    if (textSearch && parseInt(page) === 1) {
+        logSearchQuery({
+            query,
+            userId: req.user?.userId,
+            resultsCount: count,
+            source: 'advanced',
+            filters: { categories, types, authors, tags, years, dateFrom, dateTo }
         });
-
-    } catch (error) {
-        console.error('Advanced search error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
     }
-};
\ No newline at end of file
+
+    const didYouMean = textSearch && count === 0 ? await getDidYouMean(query.trim()) : null;
+
+    res.json({
+        didYouMean,
+        resources: textSearch ? resources.map(withHighlights) : resources,
+        facets,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: count,
+            totalPages,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+        },
+        appliedFilters: {
+            query,
+            categories,
+            types,
+            authors,
+            tags,
+            years,
+            dateFrom,
+            dateTo,
+            minViews,
+            maxViews,
+            sort,
+            order
+        }
+    });
+});
\ No newline at end of file
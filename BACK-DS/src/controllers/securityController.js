@@ -0,0 +1,108 @@
+import { Op } from 'sequelize';
+import { User, AuditLog } from '../models/index.js';
+import {
+    TWO_FACTOR_ENFORCEABLE_ROLES,
+    getTwoFactorRequiredRoles,
+    setTwoFactorRequiredRoles
+} from '../services/twoFactorService.js';
+import { listLoginThrottles, clearLoginThrottle } from '../services/loginThrottleService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { parsePagination, resolveSortOrder, paginate } from '../services/paginationService.js';
+import { listQueryValidation } from '../services/validationService.js';
+import { asyncHandler, NotFoundError } from '../utils/helpers.js';
+
+// Staff accounts per role that have not enrolled in 2FA yet
+const countStaffWithoutTwoFactor = async () => {
+    const rows = await User.count({
+        where: {
+            role: { [Op.in]: TWO_FACTOR_ENFORCEABLE_ROLES },
+            status: 'active',
+            two_factor_enabled_at: null
+        },
+        group: ['role']
+    });
+
+    return Object.fromEntries(TWO_FACTOR_ENFORCEABLE_ROLES.map(role => [
+        role,
+        Number(rows.find(row => row.role === role)?.count || 0)
+    ]));
+};
+
+// Account security settings (requires security.manage)
+export const getSecuritySettings = asyncHandler(async (req, res) => {
+    res.json({
+        settings: {
+            two_factor_required_roles: await getTwoFactorRequiredRoles()
+        },
+        enforceableRoles: TWO_FACTOR_ENFORCEABLE_ROLES,
+        withoutTwoFactor: await countStaffWithoutTwoFactor()
+    });
+});
+
+// Users of a newly required role are asked to enroll at their next login
+export const updateSecuritySettings = asyncHandler(async (req, res) => {
+    const previousRoles = await getTwoFactorRequiredRoles();
+    const roles = await setTwoFactorRequiredRoles(req.body.two_factor_required_roles, req.user.userId);
+
+    await recordAuditEvent({
+        action: 'security.two_factor_roles_updated',
+        actorId: req.user.userId,
+        ipAddress: req.ip,
+        metadata: { from: previousRoles, to: roles }
+    });
+
+    res.json({
+        message: 'Configuración de seguridad actualizada',
+        settings: {
+            two_factor_required_roles: roles
+        },
+        withoutTwoFactor: await countStaffWithoutTwoFactor()
+    });
+});
+
+// Locked emails/IPs and those with recent failed logins
+export const getLoginLocks = asyncHandler(async (req, res) => {
+    const locks = await listLoginThrottles();
+
+    res.json({ locks });
+});
+
+// Unlock an email or IP and reset its failure count
+export const clearLoginLock = asyncHandler(async (req, res) => {
+    const cleared = await clearLoginThrottle(req.params.id, {
+        actorId: req.user.userId,
+        ipAddress: req.ip
+    });
+
+    if (!cleared) {
+        throw new NotFoundError('Bloqueo no encontrado');
+    }
+
+    res.json({ message: 'Bloqueo eliminado exitosamente' });
+});
+
+// Security audit log, newest first
+export const getAuditLog = asyncHandler(async (req, res) => {
+    const { action, user, sort, order } = req.query; // validated by listQueryValidation.auditLog
+
+    const pagination = parsePagination(req.query);
+    const where = {};
+
+    if (action) where.action = action;
+    if (user) {
+        where[Op.or] = [{ actor_id: user }, { target_user_id: user }];
+    }
+
+    const { rows: entries, pagination: pageInfo } = await paginate(AuditLog, {
+        where,
+        include: [
+            { model: User, as: 'actor', attributes: ['id', 'name', 'email'] },
+            { model: User, as: 'targetUser', attributes: ['id', 'name', 'email'] }
+        ]
+    }, { order: resolveSortOrder(listQueryValidation.auditLog.sort, sort, order), pagination });
+
+    res.json({
+        entries,
+        pagination: pageInfo
+    });
+});
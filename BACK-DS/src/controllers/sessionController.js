@@ -0,0 +1,32 @@
+import { listUserSessions, revokeUserSession, logoutAllSessions } from '../services/authService.js';
+import { asyncHandler, NotFoundError } from '../utils/helpers.js';
+
+// List the current user's active sessions (devices where they are logged in)
+export const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await listUserSessions(req.user.userId, req.user.sessionId);
+
+    res.json({ sessions });
+});
+
+// Revoke a single session; its tokens stop working on the next request
+export const revokeSession = asyncHandler(async (req, res) => {
+    const revoked = await revokeUserSession(req.user.userId, req.params.id);
+
+    if (!revoked) {
+        throw new NotFoundError('Sesión no encontrada');
+    }
+
+    res.json({ message: 'Sesión cerrada exitosamente' });
+});
+
+// Revoke every session except the one making the request
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const revoked = await logoutAllSessions(req.user.userId, {
+        exceptSessionId: req.user.sessionId
+    });
+
+    res.json({
+        message: 'Se cerraron las demás sesiones',
+        revokedSessions: revoked
+    });
+});
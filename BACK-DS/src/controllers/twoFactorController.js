@@ -0,0 +1,68 @@
+import { User } from '../models/index.js';
+import {
+    getTwoFactorStatus,
+    startTwoFactorEnrollment,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from '../services/twoFactorService.js';
+import { asyncHandler, NotFoundError } from '../utils/helpers.js';
+
+// Current user's 2FA state
+export const getTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
+
+    res.success(await getTwoFactorStatus(user), 'Estado de la verificación en dos pasos');
+});
+
+// Start enrollment: returns the secret, its otpauth:// URI and a QR code (data URL)
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
+
+    const enrollment = await startTwoFactorEnrollment(user);
+
+    res.success(enrollment, 'Escanea el código QR con tu aplicación de autenticación');
+});
+
+// Finish enrollment with the first code from the app; the recovery codes are only returned here
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
+
+    const recoveryCodes = await enableTwoFactor(user, req.body.code);
+
+    res.success({ recoveryCodes }, 'Verificación en dos pasos activada');
+});
+
+// Turn 2FA off (password and current code required)
+export const removeTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
+
+    const { password, code } = req.body;
+    await disableTwoFactor(user, { password, code });
+
+    res.success(null, 'Verificación en dos pasos desactivada');
+});
+
+// Replace the recovery codes (current code required)
+export const renewRecoveryCodes = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user, req.body.code);
+
+    res.success({ recoveryCodes }, 'Códigos de recuperación regenerados');
+});
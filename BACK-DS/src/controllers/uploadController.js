@@ -0,0 +1,128 @@
+import { Resource, User, Category } from '../models/index.js';
+import {
+    createUploadSession,
+    getActiveSession,
+    getReceivedChunks,
+    saveChunk,
+    assembleUpload,
+    claimUploadSession,
+    releaseUploadSession,
+    completeUploadSession,
+    abortUploadSession
+} from '../services/chunkUploadService.js';
+import { applyUploadedFiles, cleanupUploadedFiles, queueResourceProcessing } from '../services/uploadService.js';
+import { normalizeTags, asyncHandler } from '../utils/helpers.js';
+
+const sessionSummary = (session, receivedChunks) => ({
+    id: session.id,
+    filename: session.filename,
+    mimetype: session.mimetype,
+    size: parseInt(session.size),
+    chunk_size: session.chunk_size,
+    total_chunks: session.total_chunks,
+    received_chunks: receivedChunks,
+    status: session.status,
+    expires_at: session.expires_at
+});
+
+// Start a chunked upload session
+export const initUpload = asyncHandler(async (req, res) => {
+    const session = await createUploadSession(req.user.userId, req.body);
+
+    res.status(201).json({
+        message: 'Sesión de carga creada exitosamente',
+        upload: sessionSummary(session, [])
+    });
+});
+
+// Receive one chunk (raw body)
+export const uploadChunk = asyncHandler(async (req, res) => {
+    const session = await getActiveSession(req.params.uploadId, req.user.userId);
+    const index = Number(req.params.index);
+
+    await saveChunk(session, index, req.body, req.get('X-Chunk-Checksum'));
+
+    res.json({
+        message: 'Fragmento recibido',
+        index,
+        expires_at: session.expires_at
+    });
+});
+
+// Report which chunks were received so the client can resume
+export const getUploadStatus = asyncHandler(async (req, res) => {
+    const session = await getActiveSession(req.params.uploadId, req.user.userId);
+    const receivedChunks = await getReceivedChunks(session);
+
+    res.json({ upload: sessionSummary(session, receivedChunks) });
+});
+
+// Assemble the chunks and create the resource
+export const completeUpload = asyncHandler(async (req, res) => {
+    let files = req.files;
+    let session = null;
+
+    try {
+        session = await getActiveSession(req.params.uploadId, req.user.userId);
+
+        const resourceData = {
+            ...Resource.pickWritableFields(req.body),
+            tags: normalizeTags(req.body.tags),
+            user_id: req.user.userId,
+            status: 'under_review' // Default status for new resources
+        };
+
+        // Validate metadata before assembling so a bad title doesn't cost the upload
+        // (type is derived from the assembled file)
+        await Resource.build(resourceData).validate({ skip: ['type'] });
+
+        // Only one complete request per session gets to assemble the file
+        await claimUploadSession(session);
+
+        const assembledFile = await assembleUpload(session);
+        files = { ...req.files, resource_file: [assembledFile] };
+
+        applyUploadedFiles(resourceData, files);
+        resourceData.metadata.checksum = assembledFile.checksum;
+
+        const resource = await Resource.create(resourceData);
+        await completeUploadSession(session, resource.id);
+        queueResourceProcessing(resource.id);
+
+        const completeResource = await Resource.findByPk(resource.id, {
+            include: [
+                {
+                    model: User,
+                    as: 'author',
+                    attributes: ['id', 'name', 'avatar_url']
+                },
+                {
+                    model: Category,
+                    as: 'category',
+                    attributes: ['id', 'name', 'slug', 'color']
+                }
+            ]
+        });
+
+        res.status(201).json({
+            message: 'Recurso creado exitosamente',
+            resource: completeResource
+        });
+
+    } catch (error) {
+        // Chunks are kept, so the client can retry the finalize step
+        await cleanupUploadedFiles(files);
+        if (session?.status === 'completing') {
+            await releaseUploadSession(session);
+        }
+        throw error;
+    }
+});
+
+// Cancel an upload and discard its chunks
+export const abortUpload = asyncHandler(async (req, res) => {
+    const session = await getActiveSession(req.params.uploadId, req.user.userId);
+    await abortUploadSession(session);
+
+    res.json({ message: 'Carga cancelada exitosamente' });
+});
@@ -1,5 +1,8 @@
 import { User } from '../models/index.js';
 import Joi from 'joi';
+import { logoutAllSessions } from '../services/authService.js';
+import { toValidationError } from '../services/validationService.js';
+import { asyncHandler, ValidationError, UnauthorizedError, NotFoundError } from '../utils/helpers.js';
 
 const updateProfileSchema = Joi.object({
     name: Joi.string().min(2).optional(),
@@ -11,181 +14,131 @@ const updateProfileSchema = Joi.object({
 });
 
 // Get user profile (same as auth profile but separate for organization)
-export const getUserProfile = async (req, res) => {
-    try {
-        const user = await User.findByPk(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: 'Usuario no encontrado' });
-        }
-
-        res.json(user.toSafeObject());
-    } catch (error) {
-        console.error('Get user profile error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+export const getUserProfile = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
     }
-};
+
+    res.json(user.toSafeObject());
+});
 
 // Update user profile
-export const updateUserProfile = async (req, res) => {
-    const { error } = updateProfileSchema.validate(req.body);
+export const updateUserProfile = asyncHandler(async (req, res) => {
+    const { error } = updateProfileSchema.validate(req.body, { abortEarly: false });
     if (error) {
-        return res.status(400).json({
-            message: 'Error de validación',
-            errors: error.details.map(err => err.message)
-        });
+        throw toValidationError(error);
     }
 
-    try {
-        const user = await User.findByPk(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: 'Usuario no encontrado' });
-        }
-
-        const updateData = { ...req.body };
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
 
-        // Handle avatar upload
-        if (req.file) {
-            updateData.avatar_url = `/uploads/${req.file.filename}`;
-        }
+    const updateData = { ...req.body };
 
-        await user.update(updateData);
+    // Handle avatar upload
+    if (req.file) {
+        updateData.avatar_url = `/uploads/${req.file.filename}`;
+    }
 
-        res.json({
-            message: 'Perfil actualizado exitosamente',
-            user: user.toSafeObject()
-        });
+    await user.update(updateData);
 
-    } catch (error) {
-        console.error('Update user profile error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
+    res.json({
+        message: 'Perfil actualizado exitosamente',
+        user: user.toSafeObject()
+    });
+});
 
 // Change password
-export const changePassword = async (req, res) => {
-    const schema = Joi.object({
-        currentPassword: Joi.string().required(),
-        newPassword: Joi.string().min(6).required()
-    });
+// The body is validated by userValidation.changePassword (shared password policy)
+export const changePassword = asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findByPk(req.user.userId);
 
-    const { error } = schema.validate(req.body);
-    if (error) {
-        return res.status(400).json({
-            message: 'Error de validación',
-            errors: error.details.map(err => err.message)
-        });
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
     }
 
-    try {
-        const { currentPassword, newPassword } = req.body;
-        const user = await User.findByPk(req.user.userId);
+    // Verify current password
+    const validPassword = await user.comparePassword(currentPassword);
+    if (!validPassword) {
+        throw new UnauthorizedError('Contraseña actual incorrecta', 'INVALID_CURRENT_PASSWORD');
+    }
 
-        if (!user) {
-            return res.status(404).json({ message: 'Usuario no encontrado' });
-        }
+    // Update password (also invalidates any pending reset link)
+    await user.update({ password: newPassword });
 
-        // Verify current password
-        const validPassword = await user.comparePassword(currentPassword);
-        if (!validPassword) {
-            return res.status(401).json({ message: 'Contraseña actual incorrecta' });
-        }
+    // Sign out every other device; the current session stays open
+    await logoutAllSessions(user.id, { exceptSessionId: req.user.sessionId });
 
-        // Update password
-        await user.update({ password: newPassword });
+    res.json({ message: 'Contraseña actualizada exitosamente' });
+});
 
-        res.json({ message: 'Contraseña actualizada exitosamente' });
+// Get user settings/preferences
+export const getUserSettings = asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.user.userId, {
+        attributes: ['preferences', 'id']
+    });
 
-    } catch (error) {
-        console.error('Change password error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
     }
-};
 
-// Get user settings/preferences
-export const getUserSettings = async (req, res) => {
-    try {
-        const user = await User.findByPk(req.user.userId, {
-            attributes: ['preferences', 'id']
-        });
-
-        if (!user) {
-            return res.status(404).json({ message: 'Usuario no encontrado' });
-        }
-
-        res.json({ 
-            preferences: user.preferences || {},
-            userId: user.id 
-        });
-
-    } catch (error) {
-        console.error('Get user settings error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
-    }
-};
+    res.json({ 
+        preferences: user.preferences || {},
+        userId: user.id 
+    });
+});
 
 // Update user settings/preferences
-export const updateUserSettings = async (req, res) => {
+export const updateUserSettings = asyncHandler(async (req, res) => {
     const schema = Joi.object({
         preferences: Joi.object().required()
     });
 
-    const { error } = schema.validate(req.body);
+    const { error } = schema.validate(req.body, { abortEarly: false });
     if (error) {
-        return res.status(400).json({
-            message: 'Error de validación',
-            errors: error.details.map(err => err.message)
-        });
+        throw toValidationError(error);
     }
 
-    try {
-        const user = await User.findByPk(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: 'Usuario no encontrado' });
-        }
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
+    }
+
+    await user.update({ preferences: req.body.preferences });
 
-        await user.update({ preferences: req.body.preferences });
+    res.json({ 
+        message: 'Configuración actualizada exitosamente',
+        preferences: user.preferences 
+    });
+});
 
-        res.json({ 
-            message: 'Configuración actualizada exitosamente',
-            preferences: user.preferences 
-        });
+// Upload user avatar
+export const uploadAvatar = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new ValidationError('No se proporcionó archivo', [{ field: 'profile_picture', message: 'El archivo es requerido' }]);
+    }
 
-    } catch (error) {
-        console.error('Update user settings error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('Usuario no encontrado');
     }
-};
 
-// Upload user avatar
-export const uploadAvatar = async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ message: 'No se proporcionó archivo' });
-        }
-
-        const user = await User.findByPk(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: 'Usuario no encontrado' });
-        }
-
-        // Delete old avatar if exists
-        if (user.profile_picture) {
-            const { deleteFile } = await import('../services/uploadService.js');
-            await deleteFile(user.profile_picture);
-        }
-
-        // Update user with new avatar path
-        const avatarPath = req.file.path.replace(/\\/g, '/').replace(process.cwd().replace(/\\/g, '/') + '/public', '');
-        await user.update({ profile_picture: avatarPath });
-
-        res.json({
-            message: 'Avatar actualizado exitosamente',
-            avatar_url: avatarPath,
-            user: user.toSafeObject()
-        });
-
-    } catch (error) {
-        console.error('Upload avatar error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+    // Delete old avatar if exists
+    if (user.profile_picture) {
+        const { deleteFile } = await import('../services/uploadService.js');
+        await deleteFile(user.profile_picture);
     }
-};
\ No newline at end of file
+
+    // Update user with new avatar path
+    const avatarPath = req.file.path.replace(/\\/g, '/').replace(process.cwd().replace(/\\/g, '/') + '/public', '');
+    await user.update({ profile_picture: avatarPath });
+
+    res.json({
+        message: 'Avatar actualizado exitosamente',
+        avatar_url: avatarPath,
+        user: user.toSafeObject()
+    });
+});
\ No newline at end of file
@@ -1,8 +0,0 @@
-const adminMiddleware = (req, res, next) => {
-    if (!req.user || req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Access denied. Admin role required.' });
-    }
-    next();
-};
-
-export default adminMiddleware;
\ No newline at end of file
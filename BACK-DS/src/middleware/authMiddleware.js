@@ -1,42 +1,46 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/index.js';
+import { isSessionActive } from '../services/authService.js';
+import { UnauthorizedError } from '../utils/helpers.js';
 
+// Failures go to errorHandler as 401s; JWT library errors are mapped there too
 const authMiddleware = async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ message: 'Token de autenticación requerido' });
+            throw new UnauthorizedError('Token de autenticación requerido', 'TOKEN_REQUIRED');
         }
 
         const token = authHeader.slice(7); // Remove 'Bearer ' prefix
         
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret_key');
+
+        // Only access tokens authenticate; 2FA challenge and password reset tokens carry a `type`
+        if (decoded.type) {
+            throw new UnauthorizedError('Token inválido', 'INVALID_TOKEN');
+        }
         
         // Verify user still exists and is active
         const user = await User.findByPk(decoded.userId);
         if (!user || user.status !== 'active') {
-            return res.status(401).json({ message: 'Usuario no válido o inactivo' });
+            throw new UnauthorizedError('Usuario no válido o inactivo', 'USER_INACTIVE');
+        }
+
+        // Tokens of a logged-out or revoked session stop working immediately
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+            throw new UnauthorizedError('Sesión cerrada o revocada', 'SESSION_REVOKED');
         }
 
         req.user = {
             userId: user.id,
             role: user.role,
-            email: user.email
+            email: user.email,
+            sessionId: decoded.sid || null
         };
         
         next();
     } catch (error) {
-        console.error('Authentication error:', error);
-        
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ message: 'Token inválido' });
-        }
-        
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ message: 'Token expirado' });
-        }
-        
-        return res.status(401).json({ message: 'Error de autenticación' });
+        next(error);
     }
 };
 
@@ -52,12 +56,14 @@ export const optionalAuth = async (req, res, next) => {
         const token = authHeader.slice(7);
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret_key');
         
-        const user = await User.findByPk(decoded.userId);
-        if (user && user.status === 'active') {
+        const user = decoded.type ? null : await User.findByPk(decoded.userId);
+        const sessionActive = !decoded.sid || await isSessionActive(decoded.sid);
+        if (user && user.status === 'active' && sessionActive) {
             req.user = {
                 userId: user.id,
                 role: user.role,
-                email: user.email
+                email: user.email,
+                sessionId: decoded.sid || null
             };
         } else {
             req.user = null;
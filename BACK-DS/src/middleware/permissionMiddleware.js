@@ -0,0 +1,40 @@
+import { getUserPermissions, permissionName } from '../services/permissionService.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/helpers.js';
+
+// Resolve the user's permissions once per request; later checks reuse the result
+const loadPermissions = (req) => {
+    if (!req.permissionsPromise) {
+        req.permissionsPromise = getUserPermissions(req.user);
+    }
+    return req.permissionsPromise;
+};
+
+// In-controller check, e.g. "owner or resources.update"
+export const userCan = async (req, resource, action) => {
+    if (!req.user) {
+        return false;
+    }
+    const permissions = await loadPermissions(req);
+    return permissions.has(permissionName(resource, action));
+};
+
+// Route guard - requires authMiddleware before it
+export const can = (resource, action) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                throw new UnauthorizedError('Token de autenticación requerido', 'TOKEN_REQUIRED');
+            }
+
+            if (!(await userCan(req, resource, action))) {
+                throw new ForbiddenError();
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+export default can;
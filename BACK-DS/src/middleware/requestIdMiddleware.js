@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+
+// Accept ids from a proxy or the client only when they are short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,64}$/;
+
+// Tags every request with an id; it is echoed in X-Request-Id, in every error
+// body and in the server log, so a client report can be matched to the log line
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+export default requestId;
@@ -1,5 +1,18 @@
 // Response standardization middleware
-// Ensures consistent API response format across all endpoints
+// Every error leaves through errorHandler with the same envelope:
+//   { success: false, message, code, details, requestId }
+// Successful responses are not normalized: some controllers use res.success
+// ({ success, data, message }) and others send their payload with res.json.
+import { AppError, NotFoundError, defaultErrorCode } from '../utils/helpers.js';
+
+// Build the error body sent to clients
+export const buildErrorBody = (req, { message, code, details = null }) => ({
+    success: false,
+    message,
+    code,
+    details,
+    requestId: req.id || null
+});
 
 export const standardResponse = (req, res, next) => {
     // Success response helper
@@ -11,111 +24,120 @@ export const standardResponse = (req, res, next) => {
         });
     };
 
-    // Error response helper
-    res.error = (message = 'An error occurred', statusCode = 400, data = null) => {
-        return res.status(statusCode).json({
-            success: false,
-            data: data,
-            message: message
-        });
+    // Error response helper - same envelope as errorHandler; `details` is optional
+    res.error = (message = 'Se produjo un error', statusCode = 400, details = null, code = defaultErrorCode(statusCode)) => {
+        return res.status(statusCode).json(buildErrorBody(req, { message, code, details }));
     };
 
     next();
 };
 
-// Global error handler middleware
-export const errorHandler = (err, req, res, next) => {
-    console.error('Error:', err);
-
-    // Validation errors (Joi/express-validator)
-    if (err.name === 'ValidationError') {
-        return res.status(400).json({
-            success: false,
-            message: 'Validation error',
-            data: err.details || err.message
-        });
+const MULTER_ERRORS = {
+    LIMIT_FILE_SIZE: 'El archivo supera el tamaño máximo permitido',
+    LIMIT_FILE_COUNT: 'Demasiados archivos en la solicitud',
+    LIMIT_UNEXPECTED_FILE: 'Campo de archivo no esperado'
+};
+
+// Map known library errors to AppError; anything else is unexpected (500)
+const toAppError = (err) => {
+    if (err instanceof AppError) {
+        return err;
     }
 
-    // Sequelize validation errors
-    if (err.name === 'SequelizeValidationError') {
-        const errors = err.errors.map(error => ({
+    // Sequelize unique constraint errors (subclass of ValidationError, so check first)
+    if (err.name === 'SequelizeUniqueConstraintError') {
+        const details = (err.errors || []).map(error => ({
             field: error.path,
-            message: error.message
+            message: `El valor de ${error.path} ya está en uso`
         }));
-        return res.status(400).json({
-            success: false,
-            message: 'Validation error',
-            data: errors
-        });
+        return new AppError('El recurso ya existe', 409, 'UNIQUE_CONSTRAINT', details);
     }
 
-    // Sequelize unique constraint errors
-    if (err.name === 'SequelizeUniqueConstraintError') {
-        return res.status(409).json({
-            success: false,
-            message: 'Resource already exists',
-            data: err.errors
-        });
+    // Sequelize validation errors (model validators, allowNull, ...)
+    if (err.name === 'SequelizeValidationError') {
+        const details = (err.errors || []).map(error => ({
+            field: error.path,
+            message: error.message
+        }));
+        return new AppError('Error de validación', 400, 'VALIDATION_ERROR', details);
     }
 
     // Sequelize foreign key constraint errors
     if (err.name === 'SequelizeForeignKeyConstraintError') {
-        return res.status(400).json({
-            success: false,
-            message: 'Invalid reference to related resource',
-            data: null
-        });
+        const details = err.fields ? Object.keys(err.fields).map(field => ({ field, message: 'Referencia inexistente' })) : null;
+        return new AppError('Referencia inválida a un recurso relacionado', 400, 'FOREIGN_KEY_CONSTRAINT', details);
     }
 
-    // JWT errors
-    if (err.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-            success: false,
-            message: 'Invalid token',
-            data: null
-        });
+    // Invalid UUIDs and similar input that reaches the database
+    if (err.name === 'SequelizeDatabaseError' && err.parent?.code === '22P02') {
+        return new AppError('Identificador o valor con formato inválido', 400, 'INVALID_INPUT');
     }
 
+    // JWT errors
     if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({
-            success: false,
-            message: 'Token expired',
-            data: null
-        });
+        return new AppError('Token expirado', 401, 'TOKEN_EXPIRED');
+    }
+
+    if (err.name === 'JsonWebTokenError') {
+        return new AppError('Token inválido', 401, 'INVALID_TOKEN');
     }
 
     // Multer errors (file upload)
-    if (err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(400).json({
-            success: false,
-            message: 'File too large',
-            data: null
-        });
+    if (err.name === 'MulterError') {
+        const message = MULTER_ERRORS[err.code] || 'Error al subir el archivo';
+        const details = err.field ? [{ field: err.field, message }] : null;
+        return new AppError(message, 400, err.code, details);
     }
 
-    if (err.code === 'LIMIT_FILE_COUNT') {
-        return res.status(400).json({
-            success: false,
-            message: 'Too many files',
-            data: null
-        });
+    // body-parser errors
+    if (err.type === 'entity.parse.failed') {
+        return new AppError('El cuerpo de la solicitud no es JSON válido', 400, 'INVALID_JSON');
     }
 
-    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-        return res.status(400).json({
-            success: false,
-            message: 'Unexpected file field',
-            data: null
-        });
+    if (err.type === 'entity.too.large') {
+        return new AppError('El cuerpo de la solicitud es demasiado grande', 413, 'PAYLOAD_TOO_LARGE');
     }
 
-    // Default error response
-    const statusCode = err.statusCode || err.status || 500;
-    const message = err.message || 'Internal server error';
+    return null;
+};
+
+// Unmatched routes - registered after all routers, before errorHandler
+export const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Ruta no encontrada: ${req.method} ${req.originalUrl}`, 'ROUTE_NOT_FOUND'));
+};
 
-    res.status(statusCode).json({
-        success: false,
-        message: message,
-        data: null
-    });
-};
\ No newline at end of file
+// Global error handler middleware - Express needs all four arguments
+export const errorHandler = (err, req, res, next) => {
+    // Streaming responses (downloads) can fail after the headers went out
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const appError = toAppError(err);
+
+    if (!appError) {
+        // Unexpected errors are logged in full but never leak to the client
+        console.error(`Error [${req.id}] ${req.method} ${req.originalUrl}:`, err);
+        return res.status(500).json(buildErrorBody(req, {
+            message: 'Error interno del servidor',
+            code: 'INTERNAL_ERROR'
+        }));
+    }
+
+    if (appError.statusCode >= 500) {
+        console.error(`Error [${req.id}] ${req.method} ${req.originalUrl}:`, err);
+    }
+
+    // Throttling errors (login lockouts, ...) say when to try again
+    let details = appError.details;
+    if (appError.retryAfter) {
+        res.set('Retry-After', String(appError.retryAfter));
+        details = details || { retryAfter: appError.retryAfter };
+    }
+
+    res.status(appError.statusCode).json(buildErrorBody(req, {
+        message: appError.message,
+        code: appError.code,
+        details
+    }));
+};
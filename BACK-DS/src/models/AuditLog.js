@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Append-only record of security-relevant events (lockouts, unlocks...)
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  action: {
+    type: DataTypes.STRING(50), // e.g. login.locked, login.unlocked
+    allowNull: false
+  },
+  actor_id: {
+    type: DataTypes.UUID, // user who performed the action; null for the system
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  target_user_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  ip_address: {
+    type: DataTypes.STRING(45)
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['action'] },
+    { fields: ['target_user_id'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+export default AuditLog;
@@ -46,6 +46,19 @@ const Comment = sequelize.define('Comment', {
   likes_count: {
     type: DataTypes.INTEGER,
     defaultValue: 0
+  },
+  edited_at: {
+    type: DataTypes.DATE
+  },
+  moderated_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  moderated_at: {
+    type: DataTypes.DATE
   }
 }, {
   tableName: 'comments',
@@ -77,6 +90,14 @@ Comment.prototype.isReply = function() {
   return this.parent_id !== null;
 };
 
+Comment.prototype.isEditableBy = function(userId, windowMinutes) {
+  if (this.user_id !== userId || this.status !== 'published') {
+    return false;
+  }
+  const windowMs = windowMinutes * 60 * 1000;
+  return Date.now() - new Date(this.created_at).getTime() <= windowMs;
+};
+
 Comment.prototype.getRepliesCount = async function() {
   return await Comment.count({
     where: {
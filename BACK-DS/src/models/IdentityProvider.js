@@ -0,0 +1,74 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// OpenID Connect identity providers (e.g. the campus SSO), configured by administrators.
+// Endpoints and signing keys come from the issuer's discovery document.
+const IdentityProvider = sequelize.define('IdentityProvider', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  slug: {
+    type: DataTypes.STRING(50), // used in login URLs
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z0-9-]+$/
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100), // button label on the login page
+    allowNull: false
+  },
+  issuer: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  client_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  client_secret: {
+    type: DataTypes.STRING(500) // null for public clients (PKCE only)
+  },
+  scopes: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'openid email profile'
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  allow_provisioning: {
+    type: DataTypes.BOOLEAN, // create accounts for unknown users on first login
+    allowNull: false,
+    defaultValue: true
+  },
+  default_role: {
+    type: DataTypes.ENUM('user', 'moderator'),
+    allowNull: false,
+    defaultValue: 'user'
+  },
+  allowed_domains: {
+    type: DataTypes.JSONB, // email domains accepted from this provider; empty = any
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'identity_providers',
+  timestamps: true,
+  underscored: true
+});
+
+// The client secret never leaves the server
+IdentityProvider.prototype.toSafeObject = function() {
+  const provider = this.toJSON();
+  provider.has_client_secret = Boolean(provider.client_secret);
+  delete provider.client_secret;
+  return provider;
+};
+
+export default IdentityProvider;
@@ -0,0 +1,50 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Failed login counters, one row per email address and one per IP address.
+// The counter restarts when the failures are older than the tracking window.
+const LoginThrottle = sequelize.define('LoginThrottle', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  scope: {
+    type: DataTypes.ENUM('email', 'ip'),
+    allowNull: false
+  },
+  identifier: {
+    type: DataTypes.STRING, // lower-cased email or IP address
+    allowNull: false
+  },
+  failed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_failed_at: {
+    type: DataTypes.DATE
+  },
+  locked_until: {
+    type: DataTypes.DATE
+  },
+  lockouts: {
+    type: DataTypes.INTEGER, // lockouts since the counter was last cleared
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'login_throttles',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['scope', 'identifier'] },
+    { fields: ['locked_until'] }
+  ]
+});
+
+LoginThrottle.prototype.isLocked = function() {
+  return Boolean(this.locked_until && this.locked_until > new Date());
+};
+
+export default LoginThrottle;
@@ -0,0 +1,63 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Outbound email queue; rendered messages wait here until a transport accepts them.
+// text and html are emptied once a message is sent or failed for good.
+const MailMessage = sequelize.define('MailMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  to: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  template: {
+    type: DataTypes.STRING(50) // template name, for tracing
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  html: {
+    type: DataTypes.TEXT
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  last_error: {
+    type: DataTypes.TEXT
+  },
+  sent_at: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'mail_messages',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['status', 'next_attempt_at'] }
+  ]
+});
+
+export default MailMessage;
@@ -0,0 +1,112 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actor_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(
+      'resource_approved',
+      'resource_rejected',
+      'resource_liked',
+      'resource_commented',
+      'comment_replied',
+      'saved_search_match',
+      'saved_search_digest',
+      'system'
+    ),
+    allowNull: false,
+    defaultValue: 'system'
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 200],
+      notEmpty: true
+    }
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.JSONB,
+    defaultValue: {} // e.g. { resource_id, comment_id, reason }
+  },
+  read_at: {
+    type: DataTypes.DATE
+  },
+  read: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.read_at !== null && this.read_at !== undefined;
+    }
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['user_id', 'read_at'] },
+    { fields: ['type'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+// Instance methods
+Notification.prototype.isRead = function() {
+  return this.read;
+};
+
+Notification.prototype.markAsRead = async function() {
+  if (!this.read_at) {
+    this.read_at = new Date();
+    await this.save();
+  }
+  return this;
+};
+
+// Class methods
+Notification.getUnreadCount = function(userId) {
+  return this.count({
+    where: {
+      user_id: userId,
+      read_at: null
+    }
+  });
+};
+
+Notification.markAllAsRead = async function(userId) {
+  const [updated] = await this.update(
+    { read_at: new Date() },
+    {
+      where: {
+        user_id: userId,
+        read_at: null
+      }
+    }
+  );
+  return updated;
+};
+
+export default Notification;
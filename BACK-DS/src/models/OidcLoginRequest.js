@@ -0,0 +1,54 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Pending OpenID Connect logins, from the redirect to the provider until the callback.
+// Only the hashes of `state` and of the browser binding are stored; the PKCE verifier and
+// nonce never leave the server.
+const OidcLoginRequest = sequelize.define('OidcLoginRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  state_hash: {
+    type: DataTypes.STRING(64), // SHA-256 of the `state` parameter
+    allowNull: false,
+    unique: true
+  },
+  browser_binding_hash: {
+    type: DataTypes.STRING(64) // SHA-256 of the secret kept by the browser that started the login
+  },
+  provider_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'identity_providers',
+      key: 'id'
+    }
+  },
+  code_verifier: {
+    type: DataTypes.STRING(128),
+    allowNull: false
+  },
+  nonce: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  redirect_path: {
+    type: DataTypes.STRING(500) // frontend path to return to after login
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'oidc_login_requests',
+  timestamps: true,
+  underscored: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['expires_at'] }
+  ]
+});
+
+export default OidcLoginRequest;
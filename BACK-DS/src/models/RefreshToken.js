@@ -0,0 +1,63 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// One row per issued refresh token; the id is the token's `jti` claim.
+// Every rotation keeps the family_id of the login that started the chain.
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  family_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE
+  },
+  revoked_reason: {
+    type: DataTypes.ENUM('rotated', 'logout', 'logout_all', 'reuse_detected')
+  },
+  replaced_by: {
+    type: DataTypes.UUID // token issued when this one was rotated
+  },
+  user_agent: {
+    type: DataTypes.STRING(500)
+  },
+  ip_address: {
+    type: DataTypes.STRING(45)
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['family_id'] },
+    { fields: ['expires_at'] }
+  ]
+});
+
+// Instance methods
+RefreshToken.prototype.isExpired = function() {
+  return this.expires_at < new Date();
+};
+
+RefreshToken.prototype.isRevoked = function() {
+  return Boolean(this.revoked_at);
+};
+
+export default RefreshToken;
@@ -41,15 +41,29 @@ const Resource = sequelize.define('Resource', {
     }
   },
   file_path: {
-    type: DataTypes.STRING
+    type: DataTypes.STRING,
+    validate: {
+      // Set by the server from the stored upload, e.g. /uploads/resources/x.pdf
+      isUploadPath(value) {
+        if (value && (!value.startsWith('/uploads/') || value.split(/[\\/]/).includes('..'))) {
+          throw new Error('file_path debe ser una ruta de /uploads');
+        }
+      }
+    }
   },
   file_size: {
-    type: DataTypes.INTEGER // in bytes
+    type: DataTypes.BIGINT // in bytes (chunked uploads can exceed 2GB)
   },
   thumbnail_url: {
     type: DataTypes.STRING,
     validate: {
-      isUrl: true
+      // Absolute URL or a local upload path such as /uploads/thumbnails/x.png
+      // ('..' segments are refused so the path cannot leave /uploads)
+      isUrlOrUploadPath(value) {
+        if (value && (!/^(https?:\/\/\S+|\/uploads\/\S+)$/.test(value) || value.split(/[\\/]/).includes('..'))) {
+          throw new Error('thumbnail_url debe ser una URL o una ruta de /uploads');
+        }
+      }
     }
   },
   status: {
@@ -99,6 +113,11 @@ const Resource = sequelize.define('Resource', {
   },
   archived_at: {
     type: DataTypes.DATE
+  },
+  search_vector: {
+    // Weighted title/tags/description/content, maintained by a database trigger
+    // (see services/searchService.js)
+    type: DataTypes.TSVECTOR
   }
 }, {
   tableName: 'resources',
@@ -114,8 +133,12 @@ const Resource = sequelize.define('Resource', {
     { fields: ['published_at'] },
     { fields: ['created_at'] },
     { fields: ['user_id'] },
-    { fields: ['category_id'] }
-  ]
+    { fields: ['category_id'] },
+    { fields: ['search_vector'], using: 'GIN' }
+  ],
+  defaultScope: {
+    attributes: { exclude: ['search_vector'] }
+  }
 });
 
 // Instance methods
@@ -125,15 +148,17 @@ Resource.prototype.incrementViews = async function() {
 };
 
 Resource.prototype.incrementDownloads = async function() {
-  this.downloads_count += 1;
-  return await this.save();
+  // Atomic increment - concurrent downloads must not overwrite each other
+  return await this.increment('downloads_count');
 };
 
-Resource.prototype.updateRating = async function(newRating) {
-  const totalRating = (this.rating_average * this.rating_count) + newRating;
-  this.rating_count += 1;
-  this.rating_average = totalRating / this.rating_count;
-  return await this.save();
+// Recompute rating aggregates from resource_ratings so that new ratings,
+// changed ratings and withdrawn ratings all end up consistent
+Resource.prototype.updateRating = async function(options = {}) {
+  const summary = await sequelize.models.ResourceRating.getSummary(this.id, options);
+  this.rating_average = summary.average;
+  this.rating_count = summary.count;
+  return await this.save(options);
 };
 
 Resource.prototype.isPublished = function() {
@@ -144,6 +169,51 @@ Resource.prototype.isVisible = function() {
   return this.visibility === 'public' && this.isPublished();
 };
 
+// Access rules shared by detail, comments and download endpoints
+// user is the req.user object ({ userId, role }) or null
+Resource.prototype.canBeViewedBy = function(user) {
+  if (user && (user.userId === this.user_id || user.role === 'admin')) {
+    return true;
+  }
+
+  if (this.status !== 'published' || this.visibility === 'private') {
+    return false;
+  }
+
+  // Restricted resources are only available to registered users
+  if (this.visibility === 'restricted') {
+    return !!user;
+  }
+
+  return true;
+};
+
+// Fields clients may set on create/update. Files, thumbnails, metadata, status,
+// featured and the counters are managed by the server
+Resource.WRITABLE_FIELDS = ['title', 'description', 'content', 'type', 'category_id', 'tags', 'visibility', 'file_url'];
+
+Resource.pickWritableFields = function(body = {}) {
+  return Object.fromEntries(
+    this.WRITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+};
+
+// Query form of canBeViewedBy, for listings
+Resource.visibleTo = function(user) {
+  const { Op } = sequelize.Sequelize;
+
+  if (user?.role === 'admin') {
+    return {};
+  }
+
+  const visible = {
+    status: 'published',
+    visibility: user ? { [Op.in]: ['public', 'restricted'] } : 'public'
+  };
+
+  return user ? { [Op.or]: [visible, { user_id: user.userId }] } : visible;
+};
+
 // Class methods
 Resource.getPublished = function() {
   return this.findAll({
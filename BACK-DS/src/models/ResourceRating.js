@@ -0,0 +1,85 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const ResourceRating = sequelize.define('ResourceRating', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resource_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'resources',
+      key: 'id'
+    }
+  },
+  rating: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 5
+    }
+  },
+  review: {
+    type: DataTypes.TEXT,
+    validate: {
+      len: [0, 500]
+    }
+  }
+}, {
+  tableName: 'resource_ratings',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'resource_id']
+    },
+    { fields: ['resource_id'] },
+    { fields: ['rating'] }
+  ]
+});
+
+// Class methods
+ResourceRating.getSummary = async function(resourceId, options = {}) {
+  const rows = await this.findAll({
+    attributes: [
+      'rating',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    where: { resource_id: resourceId },
+    group: ['rating'],
+    raw: true,
+    ...options
+  });
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let sum = 0;
+
+  rows.forEach(row => {
+    const count = parseInt(row.count);
+    distribution[row.rating] = count;
+    total += count;
+    sum += row.rating * count;
+  });
+
+  return {
+    average: total > 0 ? Math.round((sum / total) * 100) / 100 : 0,
+    count: total,
+    distribution
+  };
+};
+
+export default ResourceRating;
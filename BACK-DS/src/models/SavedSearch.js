@@ -0,0 +1,52 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const SavedSearch = sequelize.define('SavedSearch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  filters: {
+    type: DataTypes.JSONB, // body accepted by POST /api/search/advanced
+    allowNull: false,
+    defaultValue: {}
+  },
+  alert_frequency: {
+    type: DataTypes.ENUM('none', 'immediate', 'daily'),
+    allowNull: false,
+    defaultValue: 'none'
+  },
+  last_alerted_at: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'saved_searches',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'name']
+    },
+    { fields: ['alert_frequency'] }
+  ]
+});
+
+export default SavedSearch;
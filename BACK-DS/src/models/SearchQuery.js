@@ -0,0 +1,101 @@
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const SearchQuery = sequelize.define('SearchQuery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  query: {
+    type: DataTypes.STRING(200), // normalized: lowercase, no accents, single spaces
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID, // null for anonymous searches
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  results_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  source: {
+    type: DataTypes.ENUM('basic', 'advanced'),
+    allowNull: false,
+    defaultValue: 'basic'
+  },
+  filters: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'search_queries',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['query'] },
+    { fields: ['created_at'] },
+    { fields: ['results_count'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+// Class methods
+// Most searched terms since a date (only searches that found something)
+SearchQuery.getTrending = async function({ since, limit = 10 } = {}) {
+  const rows = await this.findAll({
+    attributes: [
+      'query',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'searches'],
+      [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('user_id'))), 'users'],
+      [sequelize.fn('MAX', sequelize.col('created_at')), 'last_searched_at']
+    ],
+    where: {
+      created_at: { [Op.gte]: since },
+      results_count: { [Op.gt]: 0 }
+    },
+    group: ['query'],
+    order: [[sequelize.literal('searches'), 'DESC'], [sequelize.literal('last_searched_at'), 'DESC']],
+    limit,
+    raw: true
+  });
+
+  return rows.map(row => ({
+    term: row.query,
+    searches: parseInt(row.searches),
+    users: parseInt(row.users),
+    last_searched_at: row.last_searched_at
+  }));
+};
+
+// Queries that returned nothing in a date range - content gaps
+SearchQuery.getZeroResultQueries = async function({ from, to, limit = 20 } = {}) {
+  const rows = await this.findAll({
+    attributes: [
+      'query',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'searches'],
+      [sequelize.fn('MAX', sequelize.col('created_at')), 'last_searched_at']
+    ],
+    where: {
+      created_at: { [Op.between]: [from, to] },
+      results_count: 0
+    },
+    group: ['query'],
+    order: [[sequelize.literal('searches'), 'DESC'], [sequelize.literal('last_searched_at'), 'DESC']],
+    limit,
+    raw: true
+  });
+
+  return rows.map(row => ({
+    term: row.query,
+    searches: parseInt(row.searches),
+    last_searched_at: row.last_searched_at
+  }));
+};
+
+export default SearchQuery;
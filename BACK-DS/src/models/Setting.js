@@ -0,0 +1,27 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Platform-wide settings changed at runtime by administrators, one row per key
+const Setting = sequelize.define('Setting', {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true
+  },
+  value: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'settings',
+  timestamps: true,
+  underscored: true
+});
+
+export default Setting;
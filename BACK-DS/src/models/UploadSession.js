@@ -0,0 +1,91 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const UploadSession = sequelize.define('UploadSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  filename: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 255],
+      notEmpty: true
+    }
+  },
+  mimetype: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.BIGINT, // in bytes
+    allowNull: false
+  },
+  chunk_size: {
+    type: DataTypes.INTEGER, // in bytes
+    allowNull: false
+  },
+  total_chunks: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  checksum: {
+    type: DataTypes.STRING // optional sha256 (hex) of the whole file
+  },
+  status: {
+    // 'completing' while one request assembles the file (see claimUploadSession)
+    type: DataTypes.ENUM('pending', 'completing', 'completed', 'aborted'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  resource_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'resources',
+      key: 'id'
+    }
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'upload_sessions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['status'] },
+    { fields: ['expires_at'] }
+  ]
+});
+
+// Instance methods
+UploadSession.prototype.isExpired = function() {
+  return this.expires_at < new Date();
+};
+
+UploadSession.prototype.isActive = function() {
+  return this.status === 'pending' && !this.isExpired();
+};
+
+// Expected byte length of a given chunk (the last one may be shorter)
+UploadSession.prototype.getChunkLength = function(index) {
+  const size = parseInt(this.size);
+  if (index === this.total_chunks - 1) {
+    return size - (this.total_chunks - 1) * this.chunk_size;
+  }
+  return this.chunk_size;
+};
+
+export default UploadSession;
@@ -81,13 +81,29 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE
   },
   reset_password_token: {
-    type: DataTypes.STRING
+    type: DataTypes.STRING // SHA-256 of the token sent by email
   },
   reset_password_expires: {
     type: DataTypes.DATE
   },
   verification_token: {
-    type: DataTypes.STRING
+    type: DataTypes.STRING // SHA-256 of the token sent by email
+  },
+  verification_token_expires: {
+    type: DataTypes.DATE
+  },
+  two_factor_secret: {
+    type: DataTypes.STRING // base32 TOTP secret; only active once two_factor_enabled_at is set
+  },
+  two_factor_enabled_at: {
+    type: DataTypes.DATE
+  },
+  two_factor_recovery_codes: {
+    type: DataTypes.JSONB, // SHA-256 of the unused recovery codes
+    defaultValue: []
+  },
+  two_factor_last_step: {
+    type: DataTypes.INTEGER // last accepted TOTP time step, so a code can't be replayed
   }
 }, {
   tableName: 'users',
@@ -114,6 +130,9 @@ User.beforeUpdate(async (user) => {
   if (user.changed('password')) {
     const salt = await bcrypt.genSalt(10);
     user.password = await bcrypt.hash(user.password, salt);
+    // A reset link issued for the old password must not outlive it
+    user.reset_password_token = null;
+    user.reset_password_expires = null;
   }
 });
 
@@ -129,11 +148,24 @@ User.prototype.getFullName = function() {
   return this.name;
 };
 
+// Columns never sent to clients; queries that return users exclude them
+export const PRIVATE_FIELDS = [
+  'password',
+  'reset_password_token',
+  'verification_token',
+  'two_factor_secret',
+  'two_factor_recovery_codes',
+  'two_factor_last_step'
+];
+
 User.prototype.toSafeObject = function() {
-  const { password, reset_password_token, verification_token, ...safeUser } = this.toJSON();
+  const safeUser = this.toJSON();
+  PRIVATE_FIELDS.forEach(field => delete safeUser[field]);
   return safeUser;
 };
 
+User.PRIVATE_FIELDS = PRIVATE_FIELDS;
+
 // Class methods
 User.generateVerificationToken = function() {
   return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
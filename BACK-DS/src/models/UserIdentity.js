@@ -0,0 +1,47 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Link between a local user and an account at an identity provider (its `sub` claim)
+const UserIdentity = sequelize.define('UserIdentity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  provider_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'identity_providers',
+      key: 'id'
+    }
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING // as last reported by the provider
+  },
+  last_login_at: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'user_identities',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['provider_id', 'subject'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+export default UserIdentity;
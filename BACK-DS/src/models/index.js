@@ -6,6 +6,19 @@ import Comment from './Comment.js';
 import ResourceLike from './ResourceLike.js';
 import Permission from './Permission.js';
 import UserPermission from './UserPermission.js';
+import Notification from './Notification.js';
+import ResourceRating from './ResourceRating.js';
+import UploadSession from './UploadSession.js';
+import SearchQuery from './SearchQuery.js';
+import SavedSearch from './SavedSearch.js';
+import RefreshToken from './RefreshToken.js';
+import MailMessage from './MailMessage.js';
+import Setting from './Setting.js';
+import LoginThrottle from './LoginThrottle.js';
+import AuditLog from './AuditLog.js';
+import IdentityProvider from './IdentityProvider.js';
+import UserIdentity from './UserIdentity.js';
+import OidcLoginRequest from './OidcLoginRequest.js';
 
 // ===== USER RELATIONSHIPS =====
 // User has many resources
@@ -83,6 +96,26 @@ ResourceLike.belongsTo(Resource, {
   as: 'resource'
 });
 
+// Resource has many ratings
+Resource.hasMany(ResourceRating, {
+  foreignKey: 'resource_id',
+  as: 'ratings'
+});
+ResourceRating.belongsTo(Resource, {
+  foreignKey: 'resource_id',
+  as: 'resource'
+});
+
+// User has many ratings
+User.hasMany(ResourceRating, {
+  foreignKey: 'user_id',
+  as: 'ratings'
+});
+ResourceRating.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
 // Many-to-many: Users can like many resources
 User.belongsToMany(Resource, {
   through: ResourceLike,
@@ -122,6 +155,106 @@ UserPermission.belongsTo(User, {
   as: 'grantor'
 });
 
+// ===== NOTIFICATION RELATIONSHIPS =====
+User.hasMany(Notification, {
+  foreignKey: 'user_id',
+  as: 'notifications'
+});
+Notification.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// User who triggered the notification (liker, commenter, moderator)
+Notification.belongsTo(User, {
+  foreignKey: 'actor_id',
+  as: 'actor'
+});
+
+// ===== UPLOAD SESSION RELATIONSHIPS =====
+User.hasMany(UploadSession, {
+  foreignKey: 'user_id',
+  as: 'uploadSessions'
+});
+UploadSession.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+UploadSession.belongsTo(Resource, {
+  foreignKey: 'resource_id',
+  as: 'resource'
+});
+
+// ===== SEARCH QUERY RELATIONSHIPS =====
+User.hasMany(SearchQuery, {
+  foreignKey: 'user_id',
+  as: 'searchQueries'
+});
+SearchQuery.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// ===== SAVED SEARCH RELATIONSHIPS =====
+User.hasMany(SavedSearch, {
+  foreignKey: 'user_id',
+  as: 'savedSearches'
+});
+SavedSearch.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// ===== REFRESH TOKEN RELATIONSHIPS =====
+User.hasMany(RefreshToken, {
+  foreignKey: 'user_id',
+  as: 'refreshTokens'
+});
+RefreshToken.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// ===== AUDIT LOG RELATIONSHIPS =====
+AuditLog.belongsTo(User, {
+  foreignKey: 'actor_id',
+  as: 'actor'
+});
+AuditLog.belongsTo(User, {
+  foreignKey: 'target_user_id',
+  as: 'targetUser'
+});
+
+// ===== IDENTITY PROVIDER RELATIONSHIPS =====
+// Removing a provider unlinks its accounts; the users themselves stay
+User.hasMany(UserIdentity, {
+  foreignKey: 'user_id',
+  as: 'identities',
+  onDelete: 'CASCADE'
+});
+UserIdentity.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+IdentityProvider.hasMany(UserIdentity, {
+  foreignKey: 'provider_id',
+  as: 'identities',
+  onDelete: 'CASCADE'
+});
+UserIdentity.belongsTo(IdentityProvider, {
+  foreignKey: 'provider_id',
+  as: 'provider'
+});
+IdentityProvider.hasMany(OidcLoginRequest, {
+  foreignKey: 'provider_id',
+  as: 'loginRequests',
+  onDelete: 'CASCADE'
+});
+OidcLoginRequest.belongsTo(IdentityProvider, {
+  foreignKey: 'provider_id',
+  as: 'provider'
+});
+
 export {
   User,
   Resource,
@@ -129,7 +262,20 @@ export {
   Comment,
   ResourceLike,
   Permission,
-  UserPermission
+  UserPermission,
+  Notification,
+  ResourceRating,
+  UploadSession,
+  SearchQuery,
+  SavedSearch,
+  RefreshToken,
+  MailMessage,
+  Setting,
+  LoginThrottle,
+  AuditLog,
+  IdentityProvider,
+  UserIdentity,
+  OidcLoginRequest
 };
 
 export default {
@@ -139,5 +285,18 @@ export default {
   Comment,
   ResourceLike,
   Permission,
-  UserPermission
+  UserPermission,
+  Notification,
+  ResourceRating,
+  UploadSession,
+  SearchQuery,
+  SavedSearch,
+  RefreshToken,
+  MailMessage,
+  Setting,
+  LoginThrottle,
+  AuditLog,
+  IdentityProvider,
+  UserIdentity,
+  OidcLoginRequest
 };
\ No newline at end of file
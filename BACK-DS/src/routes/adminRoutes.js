@@ -5,31 +5,73 @@ import {
     updateUser,
     getResourcesForModeration,
     moderateResource,
-    getReports,
-    requireAdmin
+    getReports
 } from '../controllers/adminController.js';
+import {
+    getPermissions,
+    createPermission,
+    updatePermission,
+    getUserPermissionGrants,
+    grantUserPermission,
+    revokeUserPermission
+} from '../controllers/permissionController.js';
+import {
+    getSecuritySettings,
+    updateSecuritySettings,
+    getLoginLocks,
+    clearLoginLock,
+    getAuditLog
+} from '../controllers/securityController.js';
+import {
+    getIdentityProviders,
+    addIdentityProvider,
+    editIdentityProvider,
+    removeIdentityProvider
+} from '../controllers/identityProviderController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { can } from '../middleware/permissionMiddleware.js';
+import { listQueryValidation, createListQueryMiddleware, permissionValidation, securityValidation, identityProviderValidation, createValidationMiddleware } from '../services/validationService.js';
 
 const router = Router();
 
-// Apply auth middleware and admin check to all routes
+// Apply auth middleware to all routes; each route checks its own permission
 router.use(authMiddleware);
-router.use(requireAdmin);
 
 // Dashboard routes
-router.get('/dashboard/stats', getDashboardStats);
-router.get('/dashboard', getDashboardStats); // Alias for frontend compatibility
+router.get('/dashboard/stats', can('dashboard', 'read'), getDashboardStats);
+router.get('/dashboard', can('dashboard', 'read'), getDashboardStats); // Alias for frontend compatibility
 
 // User management routes
-router.get('/users', getUsers);
-router.patch('/users/:id', updateUser);
+router.get('/users', can('users', 'read'), createListQueryMiddleware(listQueryValidation.users), getUsers);
+router.patch('/users/:id', can('users', 'update'), updateUser);
+
+// Permission management routes
+router.get('/permissions', can('permissions', 'manage'), getPermissions);
+router.post('/permissions', can('permissions', 'manage'), createValidationMiddleware(permissionValidation.create), createPermission);
+router.patch('/permissions/:id', can('permissions', 'manage'), createValidationMiddleware(permissionValidation.update), updatePermission);
+router.get('/users/:id/permissions', can('permissions', 'manage'), getUserPermissionGrants);
+router.post('/users/:id/permissions', can('permissions', 'manage'), createValidationMiddleware(permissionValidation.grant), grantUserPermission);
+router.delete('/users/:id/permissions/:permissionId', can('permissions', 'manage'), revokeUserPermission);
+
+// Account security routes
+router.get('/security', can('security', 'manage'), getSecuritySettings);
+router.put('/security', can('security', 'manage'), createValidationMiddleware(securityValidation.settings), updateSecuritySettings);
+router.get('/security/locks', can('security', 'manage'), getLoginLocks);
+router.delete('/security/locks/:id', can('security', 'manage'), clearLoginLock);
+router.get('/audit-log', can('security', 'manage'), createListQueryMiddleware(listQueryValidation.auditLog), getAuditLog);
+
+// OpenID Connect identity providers
+router.get('/identity-providers', can('security', 'manage'), getIdentityProviders);
+router.post('/identity-providers', can('security', 'manage'), createValidationMiddleware(identityProviderValidation.create), addIdentityProvider);
+router.patch('/identity-providers/:id', can('security', 'manage'), createValidationMiddleware(identityProviderValidation.update), editIdentityProvider);
+router.delete('/identity-providers/:id', can('security', 'manage'), removeIdentityProvider);
 
 // Resource moderation routes
-router.get('/resources/moderation', getResourcesForModeration);
-router.patch('/resources/:id/moderate', moderateResource);
-router.post('/moderate/:id', moderateResource); // Alias for frontend compatibility
+router.get('/resources/moderation', can('resources', 'moderate'), createListQueryMiddleware(listQueryValidation.moderation), getResourcesForModeration);
+router.patch('/resources/:id/moderate', can('resources', 'moderate'), moderateResource);
+router.post('/moderate/:id', can('resources', 'moderate'), moderateResource); // Alias for frontend compatibility
 
 // Reports route
-router.get('/reports', getReports);
+router.get('/reports', can('reports', 'read'), getReports);
 
 export default router;
\ No newline at end of file
@@ -2,28 +2,61 @@ import { Router } from 'express';
 import { 
     register, 
     login, 
+    loginTwoFactor,
+    loginTwoFactorSetup,
     getProfile, 
     logout, 
+    logoutAll,
     refreshToken, 
     forgotPassword, 
-    resetPassword 
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    getOidcProviders,
+    startOidc,
+    completeOidc
 } from '../controllers/authController.js';
+import {
+    getTwoFactor,
+    setupTwoFactor,
+    confirmTwoFactor,
+    removeTwoFactor,
+    renewRecoveryCodes
+} from '../controllers/twoFactorController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { userValidation, oidcValidation, createValidationMiddleware } from '../services/validationService.js';
 
 const router = Router();
 
 // Public routes
-router.post('/register', register);
+router.post('/register', createValidationMiddleware(userValidation.register), register);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/login/2fa/setup', loginTwoFactorSetup);
 router.post('/refresh-token', refreshToken);
 router.post('/forgot-password', forgotPassword);
-router.post('/reset-password', resetPassword);
+router.post('/reset-password', createValidationMiddleware(userValidation.resetPassword), resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
 
-// Logout route - public (no authentication required)
+// OpenID Connect login (authorization code + PKCE)
+router.get('/oidc/providers', getOidcProviders);
+router.post('/oidc/callback', createValidationMiddleware(oidcValidation.callback), completeOidc);
+router.post('/oidc/:provider/start', createValidationMiddleware(oidcValidation.start), startOidc);
+
+// Logout route - public, identified by the refresh token in the body
 router.post('/logout', logout);
 
 // Protected routes
 router.use(authMiddleware);
 router.get('/profile', getProfile);
+router.post('/logout-all', logoutAll);
+
+// Two-factor authentication management
+router.get('/2fa', getTwoFactor);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', confirmTwoFactor);
+router.post('/2fa/disable', removeTwoFactor);
+router.post('/2fa/recovery-codes', renewRecoveryCodes);
 
 export default router;
\ No newline at end of file
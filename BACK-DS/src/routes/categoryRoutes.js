@@ -7,6 +7,7 @@ import {
     deleteCategory
 } from '../controllers/categoryController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { can } from '../middleware/permissionMiddleware.js';
 
 const router = Router();
 
@@ -14,9 +15,9 @@ const router = Router();
 router.get('/', getCategories);
 router.get('/:id', getCategoryById);
 
-// Protected routes (admin only)
-router.post('/', authMiddleware, createCategory);
-router.put('/:id', authMiddleware, updateCategory);
-router.delete('/:id', authMiddleware, deleteCategory);
+// Protected routes
+router.post('/', authMiddleware, can('categories', 'create'), createCategory);
+router.put('/:id', authMiddleware, can('categories', 'update'), updateCategory);
+router.delete('/:id', authMiddleware, can('categories', 'delete'), deleteCategory);
 
 export default router;
\ No newline at end of file
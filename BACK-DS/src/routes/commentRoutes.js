@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import {
+    getResourceComments,
+    createComment,
+    updateComment,
+    deleteComment,
+    moderateComment
+} from '../controllers/commentController.js';
+import authMiddleware, { optionalAuth } from '../middleware/authMiddleware.js';
+import { commentValidation, createValidationMiddleware } from '../services/validationService.js';
+
+// Mounted under /api/resources/:id/comments
+const router = Router({ mergeParams: true });
+
+// Public routes
+router.get('/', optionalAuth, getResourceComments);
+
+// Protected routes
+router.post('/', authMiddleware, createValidationMiddleware(commentValidation.create), createComment);
+router.put('/:commentId', authMiddleware, createValidationMiddleware(commentValidation.update), updateComment);
+router.delete('/:commentId', authMiddleware, deleteComment);
+router.patch('/:commentId/moderate', authMiddleware, createValidationMiddleware(commentValidation.moderate), moderateComment);
+
+export default router;
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import {
+    getResourceRatings,
+    getMyRating,
+    rateResource,
+    removeRating
+} from '../controllers/ratingController.js';
+import authMiddleware, { optionalAuth } from '../middleware/authMiddleware.js';
+import { ratingValidation, createValidationMiddleware } from '../services/validationService.js';
+
+// Mounted under /api/resources/:id/ratings
+const router = Router({ mergeParams: true });
+
+// Public routes
+router.get('/', optionalAuth, getResourceRatings);
+
+// Protected routes
+router.get('/me', authMiddleware, getMyRating);
+router.put('/me', authMiddleware, createValidationMiddleware(ratingValidation.rate), rateResource);
+router.delete('/me', authMiddleware, removeRating);
+
+export default router;
@@ -7,22 +7,36 @@ import {
     updateResource,
     deleteResource,
     toggleResourceLike,
-    getUserResources
+    getUserResources,
+    downloadResource,
+    getResourceThumbnail,
+    getResourcePreview
 } from '../controllers/resourceController.js';
 import authMiddleware, { optionalAuth } from '../middleware/authMiddleware.js';
+import { upload } from '../services/uploadService.js';
+import { listQueryValidation, createListQueryMiddleware } from '../services/validationService.js';
 
 const router = Router();
 
+// Resource file plus optional thumbnail in a single multipart request
+const resourceUpload = upload.fields([
+    { name: 'resource_file', maxCount: 1 },
+    { name: 'thumbnail', maxCount: 1 }
+]);
+
 // Public routes
-router.get('/', optionalAuth, getResources);
+router.get('/', optionalAuth, createListQueryMiddleware(listQueryValidation.resources), getResources);
 router.get('/featured', getFeaturedResources);
 router.get('/:id', optionalAuth, getResourceById);
+router.get('/:id/download', optionalAuth, downloadResource);
+router.get('/:id/thumbnail', optionalAuth, getResourceThumbnail);
+router.get('/:id/preview', optionalAuth, getResourcePreview);
 
 // Protected routes
-router.post('/', authMiddleware, createResource);
-router.put('/:id', authMiddleware, updateResource);
+router.post('/', authMiddleware, resourceUpload, createResource);
+router.put('/:id', authMiddleware, resourceUpload, updateResource);
 router.delete('/:id', authMiddleware, deleteResource);
 router.post('/:id/like', authMiddleware, toggleResourceLike);
-router.get('/my/resources', authMiddleware, getUserResources);
+router.get('/my/resources', authMiddleware, createListQueryMiddleware(listQueryValidation.userResources), getUserResources);
 
 export default router;
\ No newline at end of file
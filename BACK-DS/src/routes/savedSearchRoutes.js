@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import {
+    getSavedSearches,
+    getSavedSearch,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch
+} from '../controllers/savedSearchController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { savedSearchValidation, createValidationMiddleware } from '../services/validationService.js';
+
+const router = Router();
+
+// Saved searches belong to the authenticated user
+router.use(authMiddleware);
+
+router.get('/', getSavedSearches);
+router.post('/', createValidationMiddleware(savedSearchValidation.create), createSavedSearch);
+router.get('/:id', getSavedSearch);
+router.put('/:id', createValidationMiddleware(savedSearchValidation.update), updateSavedSearch);
+router.delete('/:id', deleteSavedSearch);
+
+export default router;
@@ -6,6 +6,11 @@ import {
     advancedSearch
 } from '../controllers/searchController.js';
 import authMiddleware, { optionalAuth } from '../middleware/authMiddleware.js';
+import {
+    listQueryValidation,
+    createListQueryMiddleware,
+    validateSearch
+} from '../services/validationService.js';
 
 const router = Router();
 
@@ -13,10 +18,12 @@ const router = Router();
 router.use(optionalAuth);
 
 // Search routes
-router.get('/', searchResources);
-router.get('/resources', searchResources); // Alias for frontend compatibility
+const validateSearchQuery = createListQueryMiddleware(listQueryValidation.search, { validate: validateSearch });
+
+router.get('/', validateSearchQuery, searchResources);
+router.get('/resources', validateSearchQuery, searchResources); // Alias for frontend compatibility
 router.get('/suggestions', getSearchSuggestions);
 router.get('/popular', getPopularSearches);
-router.post('/advanced', advancedSearch);
+router.post('/advanced', createListQueryMiddleware(listQueryValidation.advancedSearch, { source: 'body' }), advancedSearch);
 
 export default router;
\ No newline at end of file
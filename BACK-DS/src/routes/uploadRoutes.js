@@ -0,0 +1,31 @@
+import express, { Router } from 'express';
+import {
+    initUpload,
+    uploadChunk,
+    getUploadStatus,
+    completeUpload,
+    abortUpload
+} from '../controllers/uploadController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { upload } from '../services/uploadService.js';
+import { MAX_CHUNK_SIZE } from '../services/chunkUploadService.js';
+import { uploadValidation, createValidationMiddleware } from '../services/validationService.js';
+
+const router = Router();
+
+// Chunks are sent as raw binary bodies
+const chunkBody = express.raw({
+    type: 'application/octet-stream',
+    limit: MAX_CHUNK_SIZE
+});
+
+// All routes require authentication
+router.use(authMiddleware);
+
+router.post('/', createValidationMiddleware(uploadValidation.init), initUpload);
+router.get('/:uploadId', getUploadStatus);
+router.put('/:uploadId/chunks/:index', chunkBody, uploadChunk);
+router.post('/:uploadId/complete', upload.fields([{ name: 'thumbnail', maxCount: 1 }]), completeUpload);
+router.delete('/:uploadId', abortUpload);
+
+export default router;
@@ -7,8 +7,10 @@ import {
     updateUserSettings,
     uploadAvatar
 } from '../controllers/userController.js';
+import { getSessions, revokeSession, revokeOtherSessions } from '../controllers/sessionController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import { upload } from '../services/uploadService.js';
+import { userValidation, createValidationMiddleware } from '../services/validationService.js';
 
 const router = Router();
 
@@ -18,11 +20,16 @@ router.use(authMiddleware);
 // Profile routes
 router.get('/profile', getUserProfile);
 router.put('/profile', updateUserProfile);
-router.put('/password', changePassword);
+router.put('/password', createValidationMiddleware(userValidation.changePassword), changePassword);
 
 // Avatar upload
 router.post('/avatar', upload.single('profile_picture'), uploadAvatar);
 
+// Session routes
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeOtherSessions);
+router.delete('/sessions/:id', revokeSession);
+
 // Settings routes
 router.get('/settings', getUserSettings);
 router.put('/settings', updateUserSettings);
@@ -0,0 +1,22 @@
+// Audit service - append-only log of security events
+import { AuditLog } from '../models/index.js';
+
+// Record an event; failures are logged and swallowed so the audited action still completes
+export const recordAuditEvent = async ({ action, actorId = null, targetUserId = null, ipAddress = null, metadata = {} }) => {
+    try {
+        return await AuditLog.create({
+            action,
+            actor_id: actorId,
+            target_user_id: targetUserId,
+            ip_address: ipAddress,
+            metadata
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        return null;
+    }
+};
+
+export default {
+    recordAuditEvent
+};
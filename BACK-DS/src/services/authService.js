@@ -1,6 +1,12 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import { User } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { User, RefreshToken } from '../models/index.js';
+import { AppError } from '../utils/helpers.js';
+import { queueTemplateMail } from './mailService.js';
+import { frontendLink } from './mailTemplates.js';
 
 // JWT secret keys (should be in environment variables)
 const ACCESS_TOKEN_SECRET = process.env.JWT_SECRET || 'your-access-token-secret';
@@ -9,6 +15,10 @@ const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-tok
 // Token expiration times
 const ACCESS_TOKEN_EXPIRES_IN = '1h';
 const REFRESH_TOKEN_EXPIRES_IN = '7d';
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
 
 // Generate access token
 export const generateAccessToken = (payload) => {
@@ -17,10 +27,11 @@ export const generateAccessToken = (payload) => {
     });
 };
 
-// Generate refresh token
-export const generateRefreshToken = (payload) => {
+// Generate refresh token; `jti` is the id of its refresh_tokens row
+export const generateRefreshToken = (payload, jti) => {
     return jwt.sign(payload, REFRESH_TOKEN_SECRET, {
-        expiresIn: REFRESH_TOKEN_EXPIRES_IN
+        expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+        jwtid: jti
     });
 };
 
@@ -38,7 +49,7 @@ export const verifyRefreshToken = (token) => {
     try {
         return jwt.verify(token, REFRESH_TOKEN_SECRET);
     } catch (error) {
-        throw new Error('Refresh token inválido o expirado');
+        throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
     }
 };
 
@@ -61,49 +72,109 @@ export const verifyPassword = async (plainPassword, hashedPassword) => {
     return result;
 };
 
-// Generate token pair
-export const generateTokenPair = (user) => {
+// Sign a refresh token and store it; `familyId` continues an existing session,
+// otherwise a new one is started
+const issueRefreshToken = async (user, { familyId = crypto.randomUUID(), userAgent, ipAddress } = {}, transaction) => {
+    const id = crypto.randomUUID();
+    const token = generateRefreshToken({ userId: user.id, familyId }, id);
+    const { exp } = jwt.decode(token);
+
+    const record = await RefreshToken.create({
+        id,
+        user_id: user.id,
+        family_id: familyId,
+        expires_at: new Date(exp * 1000),
+        user_agent: userAgent ? userAgent.substring(0, 500) : null,
+        ip_address: ipAddress || null
+    }, { transaction });
+
+    return { token, record };
+};
+
+// Generate token pair for a new session
+// context: { userAgent, ipAddress } of the request that logged in
+// The access token carries the session id (`sid`, the refresh token family) so
+// authMiddleware can reject it as soon as the session is revoked
+export const generateTokenPair = async (user, context = {}) => {
+    const { token: refreshToken, record } = await issueRefreshToken(user, context);
+
     const payload = {
         userId: user.id,
         email: user.email,
-        role: user.role
+        role: user.role,
+        sid: record.family_id
     };
 
     return {
         accessToken: generateAccessToken(payload),
-        refreshToken: generateRefreshToken(payload)
+        refreshToken
     };
 };
 
+// Revoke every live token of a session
+const revokeTokenFamily = (familyId, reason, transaction) => RefreshToken.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { family_id: familyId, revoked_at: null }, transaction }
+);
+
+// Look up the stored row of a presented refresh token
+// A token that was already rotated is being replayed - whoever holds it may have
+// stolen it, so the whole session is revoked for both parties
+const findLiveRefreshToken = async (token) => {
+    const decoded = verifyRefreshToken(token);
+    const stored = decoded.jti ? await RefreshToken.findByPk(decoded.jti) : null;
+
+    if (!stored || stored.user_id !== decoded.userId) {
+        throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (stored.isRevoked()) {
+        if (stored.revoked_reason === 'rotated') {
+            await revokeTokenFamily(stored.family_id, 'reuse_detected');
+            console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id}, session ${stored.family_id} revoked`);
+        }
+        throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (stored.isExpired()) {
+        throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    return stored;
+};
+
+// Hash compared against when the email is unknown, so that path costs the same bcrypt work
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const invalidCredentials = () => {
+    return new AppError('Credenciales inválidas', 401, 'INVALID_CREDENTIALS');
+};
+
 // Authenticate user credentials
+// Unknown emails and wrong passwords take the same time and get the same error;
+// the account state is only revealed once the password is right
 export const authenticateUser = async (email, password) => {
     try {
         console.log('🔍 Authenticating user:', email);
         
         // Find user by email
         const user = await User.findOne({ where: { email } });
+
+        // Verify password (always, even without a user)
+        const isValidPassword = await verifyPassword(String(password || ''), user ? user.password : DUMMY_PASSWORD_HASH);
         
-        if (!user) {
-            console.log('❌ User not found:', email);
-            throw new Error('Credenciales inválidas');
+        if (!user || !isValidPassword) {
+            throw invalidCredentials();
         }
 
-        console.log('✅ User found:', { id: user.id, email: user.email, status: user.status });
-
         // Check if user is active
         if (user.status === 'suspended' || user.status === 'deleted') {
             console.log('❌ User account inactive:', user.status);
-            throw new Error('Cuenta suspendida o desactivada');
+            throw new AppError('Cuenta suspendida o desactivada', 401, 'ACCOUNT_DISABLED');
         }
 
-        // Verify password
-        console.log('🔐 Verifying password...');
-        const isValidPassword = await verifyPassword(password, user.password);
-        console.log('🔐 Password verification result:', isValidPassword);
-        
-        if (!isValidPassword) {
-            console.log('❌ Invalid password for user:', email);
-            throw new Error('Credenciales inválidas');
+        if (user.status === 'pending_verification') {
+            throw new AppError('Debes verificar tu correo electrónico antes de iniciar sesión', 403, 'EMAIL_NOT_VERIFIED');
         }
 
         // Update last login
@@ -118,37 +189,51 @@ export const authenticateUser = async (email, password) => {
     }
 };
 
-// Refresh access token
-export const refreshAccessToken = async (refreshToken) => {
-    try {
-        // Verify refresh token
-        const decoded = verifyRefreshToken(refreshToken);
-        
-        // Find user
-        const user = await User.findByPk(decoded.userId);
-        
-        if (!user) {
-            throw new Error('Usuario no encontrado');
-        }
+// Refresh access token, rotating the refresh token
+// Each refresh token is single-use: it is revoked and replaced within the same session
+export const refreshAccessToken = async (refreshToken, context = {}) => {
+    const stored = await findLiveRefreshToken(refreshToken);
 
-        if (user.status === 'suspended' || user.status === 'deleted') {
-            throw new Error('Cuenta suspendida o desactivada');
-        }
+    const user = await User.findByPk(stored.user_id);
 
-        // Generate new access token
-        const newAccessToken = generateAccessToken({
-            userId: user.id,
-            email: user.email,
-            role: user.role
-        });
+    if (!user) {
+        throw new AppError('Usuario no encontrado', 401, 'USER_NOT_FOUND');
+    }
 
-        return {
-            accessToken: newAccessToken,
-            user: user.toSafeObject()
-        };
-    } catch (error) {
-        throw error;
+    if (user.status === 'suspended' || user.status === 'deleted') {
+        await revokeTokenFamily(stored.family_id, 'logout');
+        throw new AppError('Cuenta suspendida o desactivada', 401, 'ACCOUNT_DISABLED');
     }
+
+    const issued = await sequelize.transaction(async (transaction) => {
+        const next = await issueRefreshToken(user, { ...context, familyId: stored.family_id }, transaction);
+
+        // Only the first of two concurrent refreshes with the same token may rotate it
+        const [rotated] = await RefreshToken.update(
+            { revoked_at: new Date(), revoked_reason: 'rotated', replaced_by: next.record.id },
+            { where: { id: stored.id, revoked_at: null }, transaction }
+        );
+
+        if (rotated === 0) {
+            throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
+        }
+
+        return next;
+    });
+
+    // Generate new access token
+    const newAccessToken = generateAccessToken({
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        sid: stored.family_id
+    });
+
+    return {
+        accessToken: newAccessToken,
+        refreshToken: issued.token,
+        user: user.toSafeObject()
+    };
 };
 
 // Validate token and get user
@@ -157,7 +242,7 @@ export const validateTokenAndGetUser = async (token) => {
         const decoded = verifyAccessToken(token);
         
         const user = await User.findByPk(decoded.userId, {
-            attributes: { exclude: ['password'] }
+            attributes: { exclude: User.PRIVATE_FIELDS }
         });
         
         if (!user) {
@@ -174,57 +259,249 @@ export const validateTokenAndGetUser = async (token) => {
     }
 };
 
-// Logout user (invalidate tokens)
-// Note: In a production app, you might want to maintain a blacklist of tokens
-export const logoutUser = async (userId) => {
-    try {
-        // Update user's last logout time
-        await User.update(
-            { last_logout: new Date() },
-            { where: { id: userId } }
-        );
-        
-        return true;
-    } catch (error) {
-        console.error('Logout error:', error);
-        return false;
+// Logout: revoke the session the refresh token belongs to
+export const logoutUser = async (refreshToken) => {
+    const stored = await findLiveRefreshToken(refreshToken);
+    await revokeTokenFamily(stored.family_id, 'logout');
+    return true;
+};
+
+// Logout from all devices: revoke every session of the user, optionally keeping one
+export const logoutAllSessions = async (userId, { exceptSessionId = null } = {}) => {
+    const where = { user_id: userId, revoked_at: null };
+
+    if (exceptSessionId) {
+        where.family_id = { [Op.ne]: exceptSessionId };
     }
+
+    const [revoked] = await RefreshToken.update(
+        { revoked_at: new Date(), revoked_reason: 'logout_all' },
+        { where }
+    );
+    return revoked;
 };
 
-// Check if user has permission
-export const checkUserPermission = (user, requiredRole) => {
-    const roleHierarchy = {
-        'user': 0,
-        'moderator': 1,
-        'admin': 2
+// A session is active while it still has a live refresh token
+export const isSessionActive = async (sessionId) => {
+    const live = await RefreshToken.count({
+        where: {
+            family_id: sessionId,
+            revoked_at: null,
+            expires_at: { [Op.gt]: new Date() }
+        }
+    });
+    return live > 0;
+};
+
+// Active sessions of a user, most recently used first
+// last_used_at is when the session last logged in or refreshed its tokens
+export const listUserSessions = async (userId, currentSessionId = null) => {
+    const liveTokens = await RefreshToken.findAll({
+        where: {
+            user_id: userId,
+            revoked_at: null,
+            expires_at: { [Op.gt]: new Date() }
+        },
+        order: [['created_at', 'DESC']]
+    });
+
+    if (liveTokens.length === 0) {
+        return [];
+    }
+
+    // The first token of each family marks when the session started
+    const starts = await RefreshToken.findAll({
+        attributes: ['family_id', [sequelize.fn('MIN', sequelize.col('created_at')), 'started_at']],
+        where: { family_id: liveTokens.map(token => token.family_id) },
+        group: ['family_id'],
+        raw: true
+    });
+    const startedAt = new Map(starts.map(row => [row.family_id, row.started_at]));
+
+    return liveTokens.map(token => ({
+        id: token.family_id,
+        user_agent: token.user_agent,
+        ip_address: token.ip_address,
+        created_at: startedAt.get(token.family_id) || token.created_at,
+        last_used_at: token.created_at, // each refresh issues a new token, so the newest is the last use
+        expires_at: token.expires_at,
+        current: token.family_id === currentSessionId
+    }));
+};
+
+// Revoke one of the user's sessions; returns false if it wasn't active
+export const revokeUserSession = async (userId, sessionId) => {
+    const [revoked] = await RefreshToken.update(
+        { revoked_at: new Date(), revoked_reason: 'logout' },
+        { where: { user_id: userId, family_id: sessionId, revoked_at: null } }
+    );
+    return revoked > 0;
+};
+
+// Remove refresh tokens past their expiry; revoked ones are kept until then so
+// a replayed token is still recognised
+export const cleanupExpiredRefreshTokens = async () => {
+    return await RefreshToken.destroy({
+        where: { expires_at: { [Op.lte]: new Date() } }
+    });
+};
+
+export const startRefreshTokenSweeper = (intervalMs = 60 * 60 * 1000) => {
+    const sweep = async () => {
+        try {
+            const removed = await cleanupExpiredRefreshTokens();
+            if (removed > 0) {
+                console.log(`🧹 Refresh tokens expirados eliminados: ${removed}`);
+            }
+        } catch (error) {
+            console.error('Refresh token cleanup error:', error);
+        }
     };
 
-    const userLevel = roleHierarchy[user.role] || 0;
-    const requiredLevel = roleHierarchy[requiredRole] || 0;
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return timer;
+};
 
-    return userLevel >= requiredLevel;
+// One-way hash for tokens stored in the database; the raw value only travels by email
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new email verification token (replacing any previous one) and email it
+export const sendVerificationEmail = async (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await user.update({
+        verification_token: hashToken(token),
+        verification_token_expires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+    });
+
+    await queueTemplateMail(user.email, 'verifyEmail', {
+        name: user.name,
+        link: frontendLink(`/verify-email/${token}`)
+    });
+};
+
+// Resend the verification email; silent for unknown or already verified
+// addresses so the endpoint can't be used to probe accounts
+export const resendVerificationEmail = async (email) => {
+    const user = await User.findOne({ where: { email } });
+
+    if (!user || user.status !== 'pending_verification') {
+        return false;
+    }
+
+    // Throttle: the previous token was issued less than a minute ago
+    const issuedAt = user.verification_token_expires
+        ? user.verification_token_expires.getTime() - EMAIL_VERIFICATION_TTL_MS
+        : 0;
+    if (Date.now() - issuedAt < VERIFICATION_RESEND_INTERVAL_MS) {
+        return false;
+    }
+
+    await sendVerificationEmail(user);
+    return true;
 };
 
-// Generate password reset token
-export const generatePasswordResetToken = (userId) => {
+// Confirm an email address from the emailed token and activate the account
+export const verifyEmailToken = async (token) => {
+    const user = await User.findOne({
+        where: {
+            verification_token: hashToken(token),
+            verification_token_expires: { [Op.gt]: new Date() }
+        }
+    });
+
+    if (!user) {
+        throw new AppError('El enlace de verificación no es válido o ha expirado', 400, 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    await user.update({
+        email_verified_at: new Date(),
+        verification_token: null,
+        verification_token_expires: null,
+        ...(user.status === 'pending_verification' && { status: 'active' })
+    });
+
+    return user;
+};
+
+// Issue a single-use password reset token (replacing any previous one) and email it
+export const sendPasswordResetEmail = async (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await user.update({
+        reset_password_token: hashToken(token),
+        reset_password_expires: new Date(Date.now() + PASSWORD_RESET_TTL_MS)
+    });
+
+    await queueTemplateMail(user.email, 'passwordReset', {
+        name: user.name,
+        link: frontendLink(`/reset-password/${token}`)
+    });
+};
+
+// Set a new password from the emailed token and sign the user out everywhere.
+// The row is locked while the token is consumed, so two concurrent requests
+// can't both use it; the User hook clears the token along with the old password
+export const resetPasswordWithToken = async (token, password) => {
+    const user = await sequelize.transaction(async (transaction) => {
+        const found = await User.findOne({
+            where: {
+                reset_password_token: hashToken(token),
+                reset_password_expires: { [Op.gt]: new Date() }
+            },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+
+        if (!found) {
+            throw new AppError('El enlace de restablecimiento no es válido o ha expirado', 400, 'INVALID_RESET_TOKEN');
+        }
+
+        // Plain password: the beforeUpdate hook hashes it
+        await found.update({ password }, { transaction });
+        return found;
+    });
+
+    await logoutAllSessions(user.id);
+    return user;
+};
+
+// Short-lived token for the second login step. `purpose` is 'verify' (enter a code)
+// or 'setup' (enroll first, because the user's role requires 2FA)
+export const generateTwoFactorChallenge = (user, purpose) => {
     return jwt.sign(
-        { userId, type: 'password_reset' },
+        { userId: user.id, type: 'two_factor_challenge', purpose },
         ACCESS_TOKEN_SECRET,
-        { expiresIn: '1h' }
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
     );
 };
 
-// Verify password reset token
-export const verifyPasswordResetToken = (token) => {
+export const verifyTwoFactorChallenge = (token) => {
     try {
         const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
-        
-        if (decoded.type !== 'password_reset') {
+
+        if (decoded.type !== 'two_factor_challenge') {
             throw new Error('Token inválido');
         }
-        
+
         return decoded;
-    } catch (error) {
-        throw new Error('Token de restablecimiento inválido o expirado');
+    } catch {
+        throw new AppError('La verificación ha expirado, inicia sesión de nuevo', 401, 'TWO_FACTOR_CHALLENGE_EXPIRED');
     }
-};
\ No newline at end of file
+};
+
+// Check if user has permission
+export const checkUserPermission = (user, requiredRole) => {
+    const roleHierarchy = {
+        'user': 0,
+        'moderator': 1,
+        'admin': 2
+    };
+
+    const userLevel = roleHierarchy[user.role] || 0;
+    const requiredLevel = roleHierarchy[requiredRole] || 0;
+
+    return userLevel >= requiredLevel;
+};
@@ -0,0 +1,322 @@
+// Resumable chunked upload service
+// Chunks are stored under tmp/chunks/<uploadId>/<index>.part until the
+// session is completed, then assembled into public/uploads/resources
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { v4 as uuidv4 } from 'uuid';
+import sequelize from '../config/database.js';
+import { UploadSession, User } from '../models/index.js';
+import { isAllowedMimeType } from './uploadService.js';
+import { AppError } from '../utils/helpers.js';
+
+export const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+export const MIN_CHUNK_SIZE = 256 * 1024; // 256KB
+export const MAX_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB
+export const MAX_CHUNKED_UPLOAD_SIZE = parseInt(process.env.MAX_CHUNKED_UPLOAD_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB
+const SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+// Per-user quota over unfinished sessions, so chunk storage can't be filled up
+export const MAX_OPEN_UPLOAD_SESSIONS = parseInt(process.env.MAX_OPEN_UPLOAD_SESSIONS) || 3;
+export const MAX_PENDING_UPLOAD_BYTES = parseInt(process.env.MAX_PENDING_UPLOAD_BYTES) || 4 * 1024 * 1024 * 1024; // 4GB
+
+const CHUNKS_ROOT = path.join(process.cwd(), 'tmp', 'chunks');
+const RESOURCES_DIR = path.join(process.cwd(), 'public', 'uploads', 'resources');
+
+const getSessionDir = (uploadId) => path.join(CHUNKS_ROOT, uploadId);
+const getChunkPath = (uploadId, index) => path.join(getSessionDir(uploadId), `${index}.part`);
+
+const getExpiryDate = () => new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const removeSessionDir = async (uploadId) => {
+    await fs.rm(getSessionDir(uploadId), { recursive: true, force: true });
+};
+
+// Start a new upload session
+export const createUploadSession = async (userId, { filename, mimetype, size, chunk_size, checksum }) => {
+    if (!isAllowedMimeType('resource_file', mimetype)) {
+        throw new AppError('Tipo de archivo no permitido para resource_file', 400, 'INVALID_FILE_TYPE');
+    }
+
+    if (size > MAX_CHUNKED_UPLOAD_SIZE) {
+        throw new AppError('El archivo excede el tamaño máximo permitido', 400, 'FILE_TOO_LARGE');
+    }
+
+    const chunkSize = Math.min(Math.max(chunk_size || DEFAULT_CHUNK_SIZE, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
+
+    const session = await sequelize.transaction(async (transaction) => {
+        // Lock the user row so parallel requests can't all pass the quota check
+        await User.findByPk(userId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+        const openWhere = {
+            user_id: userId,
+            status: { [Op.in]: ['pending', 'completing'] },
+            expires_at: { [Op.gt]: new Date() }
+        };
+        const [openSessions, pendingBytes] = await Promise.all([
+            UploadSession.count({ where: openWhere, transaction }),
+            UploadSession.sum('size', { where: openWhere, transaction })
+        ]);
+
+        if (openSessions >= MAX_OPEN_UPLOAD_SESSIONS) {
+            throw new AppError(`Ya tienes ${openSessions} cargas sin terminar; complétalas o cancélalas antes de empezar otra`, 429, 'UPLOAD_QUOTA_EXCEEDED');
+        }
+
+        if ((parseInt(pendingBytes) || 0) + size > MAX_PENDING_UPLOAD_BYTES) {
+            throw new AppError('Tus cargas sin terminar superan el espacio permitido', 429, 'UPLOAD_QUOTA_EXCEEDED');
+        }
+
+        return UploadSession.create({
+            user_id: userId,
+            filename,
+            mimetype,
+            size,
+            chunk_size: chunkSize,
+            total_chunks: Math.ceil(size / chunkSize),
+            checksum: checksum ? checksum.toLowerCase() : null,
+            expires_at: getExpiryDate()
+        }, { transaction });
+    });
+
+    await fs.mkdir(getSessionDir(session.id), { recursive: true });
+
+    return session;
+};
+
+// Find an active session owned by the user
+export const getActiveSession = async (uploadId, userId) => {
+    const session = await UploadSession.findOne({
+        where: { id: uploadId, user_id: userId }
+    });
+
+    if (!session) {
+        throw new AppError('Sesión de carga no encontrada', 404, 'UPLOAD_NOT_FOUND');
+    }
+
+    if (!session.isActive()) {
+        throw new AppError('La sesión de carga ha expirado o ya fue cerrada', 410, 'UPLOAD_EXPIRED');
+    }
+
+    return session;
+};
+
+// Indexes of the chunks already stored on disk
+export const getReceivedChunks = async (session) => {
+    try {
+        const entries = await fs.readdir(getSessionDir(session.id));
+        return entries
+            .filter(entry => /^\d+\.part$/.test(entry))
+            .map(entry => parseInt(entry))
+            .filter(index => index < session.total_chunks)
+            .sort((a, b) => a - b);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+};
+
+export const getMissingChunks = async (session) => {
+    const received = new Set(await getReceivedChunks(session));
+    const missing = [];
+    for (let index = 0; index < session.total_chunks; index++) {
+        if (!received.has(index)) {
+            missing.push(index);
+        }
+    }
+    return missing;
+};
+
+// Store one chunk; re-sending a chunk simply overwrites it
+export const saveChunk = async (session, index, buffer, checksum) => {
+    if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+        throw new AppError('Número de fragmento inválido', 400, 'INVALID_CHUNK_INDEX');
+    }
+
+    if (!Buffer.isBuffer(buffer) || buffer.length !== session.getChunkLength(index)) {
+        throw new AppError('El tamaño del fragmento no coincide con la sesión', 400, 'INVALID_CHUNK_SIZE');
+    }
+
+    if (checksum && sha256(buffer) !== checksum.toLowerCase()) {
+        throw new AppError('La suma de verificación del fragmento no coincide', 422, 'CHUNK_CHECKSUM_MISMATCH');
+    }
+
+    // Write to a temp name first so a half-written chunk is never counted; the name is
+    // unique per request so two uploads of the same chunk can't write into one file
+    const chunkPath = getChunkPath(session.id, index);
+    const tempPath = `${chunkPath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    await fs.mkdir(getSessionDir(session.id), { recursive: true });
+    try {
+        await fs.writeFile(tempPath, buffer);
+        await fs.rename(tempPath, chunkPath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+
+    // Every received chunk keeps the session alive
+    await session.update({ expires_at: getExpiryDate() });
+};
+
+// Concatenate all chunks into the final file and verify its checksum
+// Returns a multer-like file object so it can go through applyUploadedFiles
+export const assembleUpload = async (session) => {
+    const missing = await getMissingChunks(session);
+    if (missing.length > 0) {
+        throw new AppError(`Faltan ${missing.length} fragmentos por subir`, 409, 'UPLOAD_INCOMPLETE');
+    }
+
+    await fs.mkdir(RESOURCES_DIR, { recursive: true });
+
+    const filename = `${uuidv4()}${path.extname(session.filename)}`;
+    const destination = path.join(RESOURCES_DIR, filename);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const handle = await fs.open(destination, 'w');
+    try {
+        for (let index = 0; index < session.total_chunks; index++) {
+            const chunk = await fs.readFile(getChunkPath(session.id, index));
+            hash.update(chunk);
+            size += chunk.length;
+            await handle.write(chunk);
+        }
+    } catch (error) {
+        await handle.close();
+        await fs.rm(destination, { force: true });
+        throw error;
+    }
+    await handle.close();
+
+    const digest = hash.digest('hex');
+
+    if (size !== parseInt(session.size) || (session.checksum && digest !== session.checksum)) {
+        await fs.rm(destination, { force: true });
+        throw new AppError('El archivo ensamblado no supera la verificación de integridad', 422, 'UPLOAD_INTEGRITY_FAILED');
+    }
+
+    return {
+        fieldname: 'resource_file',
+        originalname: session.filename,
+        filename,
+        path: destination,
+        size,
+        mimetype: session.mimetype,
+        checksum: digest
+    };
+};
+
+// Take the session for finalization. The status change is a single conditional
+// UPDATE, so of two concurrent complete requests only one gets past this point
+export const claimUploadSession = async (session) => {
+    const [claimed] = await UploadSession.update({ status: 'completing' }, {
+        where: {
+            id: session.id,
+            status: 'pending',
+            expires_at: { [Op.gt]: new Date() }
+        }
+    });
+
+    if (claimed === 0) {
+        throw new AppError('La carga ya se está finalizando o fue cerrada', 409, 'UPLOAD_ALREADY_COMPLETING');
+    }
+
+    session.status = 'completing';
+};
+
+// Hand a claimed session back after a failed finalization, so the client can retry
+export const releaseUploadSession = async (session) => {
+    await UploadSession.update({ status: 'pending' }, {
+        where: { id: session.id, status: 'completing' }
+    });
+    session.status = 'pending';
+};
+
+// Mark the session as completed and drop its chunks
+export const completeUploadSession = async (session, resourceId) => {
+    await session.update({ status: 'completed', resource_id: resourceId });
+    await removeSessionDir(session.id);
+};
+
+export const abortUploadSession = async (session) => {
+    await session.update({ status: 'aborted' });
+    await removeSessionDir(session.id);
+};
+
+// Remove expired/aborted sessions and any chunk directory without a session
+export const cleanupExpiredUploadSessions = async () => {
+    const staleSessions = await UploadSession.findAll({
+        where: {
+            status: { [Op.ne]: 'completed' },
+            [Op.or]: [
+                { status: 'aborted' },
+                { expires_at: { [Op.lt]: new Date() } }
+            ]
+        }
+    });
+
+    for (const session of staleSessions) {
+        await removeSessionDir(session.id);
+        await session.destroy();
+    }
+
+    let orphans = 0;
+    try {
+        const entries = await fs.readdir(CHUNKS_ROOT);
+        const known = await UploadSession.findAll({
+            where: { id: { [Op.in]: entries.filter(entry => /^[0-9a-f-]{36}$/i.test(entry)) } },
+            attributes: ['id']
+        });
+        const knownIds = new Set(known.map(session => session.id));
+
+        for (const entry of entries) {
+            if (!knownIds.has(entry)) {
+                await removeSessionDir(entry);
+                orphans++;
+            }
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    return { sessions: staleSessions.length, orphans };
+};
+
+// Periodically garbage-collect abandoned uploads
+export const startUploadSessionSweeper = (intervalMs = 60 * 60 * 1000) => {
+    const sweep = async () => {
+        try {
+            const { sessions, orphans } = await cleanupExpiredUploadSessions();
+            if (sessions > 0 || orphans > 0) {
+                console.log(`🧹 Sesiones de carga eliminadas: ${sessions} (huérfanas: ${orphans})`);
+            }
+        } catch (error) {
+            console.error('Upload session cleanup error:', error);
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export default {
+    createUploadSession,
+    getActiveSession,
+    getReceivedChunks,
+    getMissingChunks,
+    saveChunk,
+    assembleUpload,
+    claimUploadSession,
+    releaseUploadSession,
+    completeUploadSession,
+    abortUploadSession,
+    cleanupExpiredUploadSessions,
+    startUploadSessionSweeper
+};
@@ -2,8 +2,34 @@
 export * from './authService.js';
 export * from './uploadService.js';
 export * from './validationService.js';
+export * from './notificationService.js';
+export * from './chunkUploadService.js';
+export * from './searchService.js';
+export * from './savedSearchService.js';
+export * from './paginationService.js';
+export * from './permissionService.js';
+export * from './mailService.js';
+export * from './mailTemplates.js';
+export * from './settingsService.js';
+export * from './twoFactorService.js';
+export * from './auditService.js';
+export * from './loginThrottleService.js';
+export * from './oidcService.js';
 
 // Default exports
 export { default as authService } from './authService.js';
 export { default as uploadService } from './uploadService.js';
-export { default as validationService } from './validationService.js';
\ No newline at end of file
+export { default as validationService } from './validationService.js';
+export { default as notificationService } from './notificationService.js';
+export { default as chunkUploadService } from './chunkUploadService.js';
+export { default as searchService } from './searchService.js';
+export { default as savedSearchService } from './savedSearchService.js';
+export { default as paginationService } from './paginationService.js';
+export { default as permissionService } from './permissionService.js';
+export { default as mailService } from './mailService.js';
+export { default as mailTemplates } from './mailTemplates.js';
+export { default as settingsService } from './settingsService.js';
+export { default as twoFactorService } from './twoFactorService.js';
+export { default as auditService } from './auditService.js';
+export { default as loginThrottleService } from './loginThrottleService.js';
+export { default as oidcService } from './oidcService.js';
\ No newline at end of file
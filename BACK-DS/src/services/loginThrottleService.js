@@ -0,0 +1,226 @@
+// Login throttling - failed attempts are counted per email and per IP address
+// After a few failures each new attempt for the email must wait a growing delay, and reaching
+// the limit locks the email or IP for a while (longer on every repeated lockout).
+// Unknown emails are tracked like real ones, so lockouts don't reveal which accounts exist.
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { LoginThrottle, User } from '../models/index.js';
+import { AppError } from '../utils/helpers.js';
+import { recordAuditEvent } from './auditService.js';
+
+const MAX_FAILURES = {
+    email: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    ip: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20
+};
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // older failures are forgotten
+const DELAY_AFTER_FAILURES = 2;
+const DELAY_BASE_MS = 1000; // 1, 2, 4, 8... seconds between attempts
+const MAX_DELAY_MS = 30 * 1000;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const throttleKeys = (email, ipAddress) => [
+    { scope: 'email', identifier: normalizeEmail(email) },
+    ...(ipAddress ? [{ scope: 'ip', identifier: ipAddress }] : [])
+];
+
+const isStale = (throttle, now = Date.now()) =>
+    !throttle.last_failed_at || now - throttle.last_failed_at.getTime() > FAILURE_WINDOW_MS;
+
+// Wait required after the last failure before another attempt is accepted
+const requiredDelayMs = (failures) => failures < DELAY_AFTER_FAILURES
+    ? 0
+    : Math.min(DELAY_BASE_MS * 2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_MS);
+
+const throttleError = (message, code, retryAfterMs) => {
+    const error = new AppError(message, 429, code);
+    error.retryAfter = Math.ceil(retryAfterMs / 1000);
+    return error;
+};
+
+// Throw a 429 if the email or IP is locked or still inside its delay
+export const assertLoginAllowed = async (email, ipAddress) => {
+    const throttles = await LoginThrottle.findAll({
+        where: { [Op.or]: throttleKeys(email, ipAddress) }
+    });
+    const now = Date.now();
+
+    for (const throttle of throttles) {
+        if (throttle.isLocked()) {
+            const remainingMs = throttle.locked_until.getTime() - now;
+            throw throttleError(
+                `Demasiados intentos fallidos. Inténtalo de nuevo en ${Math.ceil(remainingMs / 60000)} minutos`,
+                'LOGIN_LOCKED',
+                remainingMs
+            );
+        }
+
+        // Delays apply per email only; an IP shared by many users just has the (higher) lockout limit
+        if (throttle.scope === 'email' && !isStale(throttle, now)) {
+            const waitMs = throttle.last_failed_at.getTime() + requiredDelayMs(throttle.failed_count) - now;
+            if (waitMs > 0) {
+                throw throttleError(
+                    `Espera ${Math.ceil(waitMs / 1000)} segundos antes de volver a intentarlo`,
+                    'LOGIN_THROTTLED',
+                    waitMs
+                );
+            }
+        }
+    }
+};
+
+// Only one of several concurrent failures that reach the limit gets to lock (and audit)
+const lockThrottle = async (throttle, ipAddress) => {
+    const duration = Math.min(LOCKOUT_MS * 2 ** throttle.lockouts, MAX_LOCKOUT_MS);
+    const failures = throttle.failed_count;
+
+    const [locked, [lockedThrottle] = []] = await LoginThrottle.update({
+        failed_count: 0,
+        locked_until: new Date(Date.now() + duration),
+        lockouts: sequelize.literal('lockouts + 1')
+    }, {
+        where: { id: throttle.id, failed_count: { [Op.gte]: MAX_FAILURES[throttle.scope] } },
+        returning: true
+    });
+    if (locked === 0) {
+        return;
+    }
+
+    const user = throttle.scope === 'email'
+        ? await User.findOne({ where: { email: throttle.identifier }, attributes: ['id'] })
+        : null;
+
+    await recordAuditEvent({
+        action: 'login.locked',
+        targetUserId: user?.id || null,
+        ipAddress,
+        metadata: {
+            scope: throttle.scope,
+            identifier: throttle.identifier,
+            failures,
+            locked_until: lockedThrottle.locked_until
+        }
+    });
+};
+
+// Count a failed password or 2FA code for the email and the IP.
+// The counter is incremented in the database and the lockout is decided from the value it
+// returns, so concurrent failures can't overwrite each other's count
+export const recordLoginFailure = async (email, ipAddress) => {
+    for (const key of throttleKeys(email, ipAddress)) {
+        await LoginThrottle.findOrCreate({ where: key });
+
+        const now = new Date();
+        const windowStart = sequelize.escape(new Date(now.getTime() - FAILURE_WINDOW_MS));
+        const [, [throttle] = []] = await LoginThrottle.update({
+            failed_count: sequelize.literal(
+                `CASE WHEN last_failed_at > ${windowStart} THEN failed_count + 1 ELSE 1 END`
+            ),
+            last_failed_at: now
+        }, {
+            where: key,
+            returning: true
+        });
+
+        // The row is gone if a successful login cleared it in between
+        if (throttle && throttle.failed_count >= MAX_FAILURES[key.scope]) {
+            await lockThrottle(throttle, ipAddress);
+        }
+    }
+};
+
+// A completed login clears the email's counter; the IP keeps its own
+export const clearLoginFailures = async (email) => {
+    await LoginThrottle.destroy({
+        where: { scope: 'email', identifier: normalizeEmail(email) }
+    });
+};
+
+// Locked entries plus entries with recent failures, for administrators
+export const listLoginThrottles = async () => {
+    const throttles = await LoginThrottle.findAll({
+        where: {
+            [Op.or]: [
+                { locked_until: { [Op.gt]: new Date() } },
+                { failed_count: { [Op.gt]: 0 }, last_failed_at: { [Op.gt]: new Date(Date.now() - FAILURE_WINDOW_MS) } }
+            ]
+        },
+        order: [['locked_until', 'DESC NULLS LAST'], ['last_failed_at', 'DESC']],
+        limit: 200
+    });
+
+    return throttles.map(throttle => ({
+        ...throttle.toJSON(),
+        locked: throttle.isLocked()
+    }));
+};
+
+// Remove a lock (and its failure count) by hand
+export const clearLoginThrottle = async (id, { actorId, ipAddress } = {}) => {
+    const throttle = await LoginThrottle.findByPk(id);
+    if (!throttle) {
+        return false;
+    }
+
+    await throttle.destroy();
+
+    const user = throttle.scope === 'email'
+        ? await User.findOne({ where: { email: throttle.identifier }, attributes: ['id'] })
+        : null;
+
+    await recordAuditEvent({
+        action: 'login.unlocked',
+        actorId,
+        targetUserId: user?.id || null,
+        ipAddress,
+        metadata: {
+            scope: throttle.scope,
+            identifier: throttle.identifier,
+            was_locked: throttle.isLocked()
+        }
+    });
+
+    return true;
+};
+
+// Remove entries that are neither locked nor inside the failure window
+export const cleanupLoginThrottles = async () => {
+    return await LoginThrottle.destroy({
+        where: {
+            [Op.and]: [
+                { [Op.or]: [{ locked_until: null }, { locked_until: { [Op.lte]: new Date() } }] },
+                { [Op.or]: [{ last_failed_at: null }, { last_failed_at: { [Op.lte]: new Date(Date.now() - FAILURE_WINDOW_MS) } }] }
+            ]
+        }
+    });
+};
+
+export const startLoginThrottleSweeper = (intervalMs = 60 * 60 * 1000) => {
+    const sweep = async () => {
+        try {
+            const removed = await cleanupLoginThrottles();
+            if (removed > 0) {
+                console.log(`🧹 Contadores de inicio de sesión caducados eliminados: ${removed}`);
+            }
+        } catch (error) {
+            console.error('Login throttle cleanup error:', error);
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export default {
+    assertLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    listLoginThrottles,
+    clearLoginThrottle,
+    cleanupLoginThrottles,
+    startLoginThrottleSweeper
+};
@@ -0,0 +1,227 @@
+// Mail service - templated outbound email through a persistent queue
+// Messages are rendered when queued, stored in mail_messages and delivered by a
+// worker that retries failures with exponential backoff. Bodies carry verification and
+// reset links, so they are erased once a message is sent or given up on.
+// MAIL_TRANSPORT selects the transport (required outside development):
+//   console (development default) - prints each message
+//   outbox            - writes each message as a JSON file under MAIL_OUTBOX_DIR (local development, tests)
+//   smtp              - delivers through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD (nodemailer)
+import fs from 'fs/promises';
+import path from 'path';
+import { Op } from 'sequelize';
+import { MailMessage } from '../models/index.js';
+import { renderMailTemplate } from './mailTemplates.js';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Resource Share <no-reply@resourceshare.local>';
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'outbox');
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 60 * 1000; // 1, 2, 4, 8... minutes
+const BATCH_SIZE = 20;
+// A message left in `sending` this long belongs to a worker that died mid-send
+const STALE_SENDING_MS = 10 * 60 * 1000;
+// Stored in place of the body of delivered and failed messages
+const REDACTED_BODY = { text: '', html: null };
+
+const transports = new Map();
+
+// A transport is an object with `send(message)` returning a promise
+export const registerMailTransport = (name, transport) => {
+    transports.set(name, transport);
+};
+
+registerMailTransport('console', {
+    send: async (message) => {
+        console.log(`📧 Email para ${message.to}: ${message.subject}\n${message.text}`);
+    }
+});
+
+registerMailTransport('outbox', {
+    send: async (message) => {
+        await fs.mkdir(OUTBOX_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${message.id}.json`;
+        await fs.writeFile(path.join(OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+    }
+});
+
+// nodemailer is only loaded when SMTP is actually used
+let smtpTransporter = null;
+registerMailTransport('smtp', {
+    send: async (message) => {
+        if (!smtpTransporter) {
+            const { default: nodemailer } = await import('nodemailer');
+            smtpTransporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                    : undefined
+            });
+        }
+
+        await smtpTransporter.sendMail({
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html || undefined,
+            messageId: `<${message.id}@resourceshare>`
+        });
+    }
+});
+
+const getTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'development' ? 'console' : null);
+    if (!name) {
+        throw new Error('MAIL_TRANSPORT no está configurado');
+    }
+    const transport = transports.get(name);
+    if (!transport) {
+        throw new Error(`Transporte de correo desconocido: ${name}`);
+    }
+    return transport;
+};
+
+// Deliver one queued message right away through the configured transport
+export const sendMail = async (mailMessage) => {
+    await getTransport().send({
+        id: mailMessage.id,
+        from: MAIL_FROM,
+        to: mailMessage.to,
+        subject: mailMessage.subject,
+        text: mailMessage.text,
+        html: mailMessage.html,
+        date: new Date().toISOString()
+    });
+};
+
+let processing = null;
+
+const deliver = async (message) => {
+    // Claim the message; `attempts` doubles as a version so two workers can't both send it
+    const [claimed] = await MailMessage.update(
+        { status: 'sending', attempts: message.attempts + 1 },
+        { where: { id: message.id, attempts: message.attempts, status: message.status } }
+    );
+    if (claimed === 0) {
+        return false;
+    }
+
+    const attempts = message.attempts + 1;
+    const where = { id: message.id };
+
+    try {
+        await sendMail(message);
+        await MailMessage.update({ status: 'sent', sent_at: new Date(), last_error: null, ...REDACTED_BODY }, { where });
+        return true;
+    } catch (error) {
+        console.error(`Mail delivery error (${message.id}, intento ${attempts}):`, error.message);
+        const failed = attempts >= MAX_ATTEMPTS;
+        await MailMessage.update({
+            status: failed ? 'failed' : 'pending',
+            ...(failed && REDACTED_BODY),
+            last_error: error.message,
+            next_attempt_at: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1))
+        }, { where });
+        return false;
+    }
+};
+
+// Send every message that is due; concurrent calls share the same run
+export const processMailQueue = () => {
+    if (!processing) {
+        processing = (async () => {
+            let sent = 0;
+            let batch;
+            do {
+                batch = await MailMessage.findAll({
+                    where: {
+                        [Op.or]: [
+                            { status: 'pending', next_attempt_at: { [Op.lte]: new Date() } },
+                            { status: 'sending', updated_at: { [Op.lte]: new Date(Date.now() - STALE_SENDING_MS) } }
+                        ]
+                    },
+                    order: [['next_attempt_at', 'ASC']],
+                    limit: BATCH_SIZE
+                });
+
+                for (const message of batch) {
+                    if (await deliver(message)) {
+                        sent++;
+                    }
+                }
+            } while (batch.length === BATCH_SIZE);
+            return sent;
+        })().finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+};
+
+const kickQueue = () => {
+    processMailQueue().catch(error => console.error('Mail queue error:', error));
+};
+
+// Render a template and queue it for delivery
+// Callers don't wait for the transport: failures are retried by the worker
+export const queueTemplateMail = async (to, template, data) => {
+    const { subject, text, html } = renderMailTemplate(template, data);
+
+    const message = await MailMessage.create({ to, template, subject, text, html });
+    setTimeout(kickQueue, 0);
+    return message;
+};
+
+// Same, for flows where an email must never break the request that triggered it
+export const queueTemplateMailSafely = async (to, template, data) => {
+    try {
+        return await queueTemplateMail(to, template, data);
+    } catch (error) {
+        console.error(`Queue mail error (${template}):`, error);
+        return null;
+    }
+};
+
+// Erase the bodies of messages that no longer need them (e.g. rows kept before redaction existed)
+export const purgeFinishedMailBodies = async () => {
+    const [purged] = await MailMessage.update(REDACTED_BODY, {
+        where: { status: { [Op.in]: ['sent', 'failed'] }, text: { [Op.ne]: '' } }
+    });
+    return purged;
+};
+
+// Retry due messages periodically (also picks up anything queued before a restart)
+export const startMailQueueWorker = (intervalMs = 30 * 1000) => {
+    purgeFinishedMailBodies().catch(error => console.error('Mail purge error:', error));
+    kickQueue();
+    const timer = setInterval(kickQueue, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+// Outbox transport helpers, e.g. to assert on sent mail in tests
+export const listOutboxMessages = async () => {
+    const files = await fs.readdir(OUTBOX_DIR).catch(() => []);
+    const messages = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(async file => JSON.parse(await fs.readFile(path.join(OUTBOX_DIR, file), 'utf8'))));
+    return messages;
+};
+
+export const clearOutbox = async () => {
+    await fs.rm(OUTBOX_DIR, { recursive: true, force: true });
+};
+
+export default {
+    registerMailTransport,
+    sendMail,
+    processMailQueue,
+    queueTemplateMail,
+    queueTemplateMailSafely,
+    purgeFinishedMailBodies,
+    startMailQueueWorker,
+    listOutboxMessages,
+    clearOutbox
+};
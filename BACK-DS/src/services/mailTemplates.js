@@ -0,0 +1,123 @@
+// Mail templates - Spanish subject, plain text and HTML for every outbound email
+// Each template receives plain data and returns { subject, text, html }; every
+// value interpolated into HTML goes through escapeHtml
+const APP_NAME = 'Resource Share';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape user-provided values interpolated into HTML bodies
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+export const frontendLink = (pathname) => `${FRONTEND_URL}${pathname}`;
+
+const button = (href, label) =>
+    `<p style="margin:24px 0"><a href="${escapeHtml(href)}" style="background:#2563eb;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none">${escapeHtml(label)}</a></p>`;
+
+// Shared HTML frame; `body` is already-escaped HTML
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#111827;background:#f9fafb;padding:24px">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px">
+<h1 style="font-size:20px;margin-top:0">${escapeHtml(title)}</h1>
+${body}
+<p style="color:#6b7280;font-size:12px;margin-top:32px">${APP_NAME}</p>
+</div>
+</body>
+</html>`;
+
+const signature = `\n\n— ${APP_NAME}`;
+
+const templates = {
+    verifyEmail: ({ name, link }) => ({
+        subject: 'Verifica tu correo electrónico',
+        text: `Hola ${name},\n\nConfirma tu dirección de correo para activar tu cuenta:\n${link}\n\nEl enlace caduca en 24 horas. Si no creaste esta cuenta, ignora este mensaje.${signature}`,
+        html: layout('Verifica tu correo electrónico', `
+<p>Hola ${escapeHtml(name)},</p>
+<p>Confirma tu dirección de correo para activar tu cuenta.</p>
+${button(link, 'Verificar correo')}
+<p>El enlace caduca en 24 horas. Si no creaste esta cuenta, ignora este mensaje.</p>`)
+    }),
+
+    passwordReset: ({ name, link }) => ({
+        subject: 'Restablece tu contraseña',
+        text: `Hola ${name},\n\nRecibimos una solicitud para restablecer tu contraseña. Usa este enlace:\n${link}\n\nEl enlace caduca en 1 hora. Si no lo solicitaste, ignora este mensaje; tu contraseña no cambiará.${signature}`,
+        html: layout('Restablece tu contraseña', `
+<p>Hola ${escapeHtml(name)},</p>
+<p>Recibimos una solicitud para restablecer tu contraseña.</p>
+${button(link, 'Restablecer contraseña')}
+<p>El enlace caduca en 1 hora. Si no lo solicitaste, ignora este mensaje; tu contraseña no cambiará.</p>`)
+    }),
+
+    contactAcknowledgement: ({ name, subject, message, ticketId }) => ({
+        subject: `Hemos recibido tu mensaje (#${ticketId})`,
+        text: `Hola ${name},\n\nGracias por escribirnos. Te responderemos pronto.\n\nAsunto: ${subject}\n\n${message}\n\nNúmero de seguimiento: ${ticketId}${signature}`,
+        html: layout('Hemos recibido tu mensaje', `
+<p>Hola ${escapeHtml(name)},</p>
+<p>Gracias por escribirnos. Te responderemos pronto.</p>
+<p><strong>Asunto:</strong> ${escapeHtml(subject)}</p>
+<blockquote style="border-left:3px solid #e5e7eb;margin:0;padding-left:12px;white-space:pre-wrap">${escapeHtml(message)}</blockquote>
+<p>Número de seguimiento: <strong>${escapeHtml(ticketId)}</strong></p>`)
+    }),
+
+    contactReceived: ({ name, email, type, subject, message, ticketId }) => ({
+        subject: `[Contacto #${ticketId}] ${subject}`,
+        text: `Nuevo mensaje de contacto (${type})\n\nDe: ${name} <${email}>\nAsunto: ${subject}\n\n${message}`,
+        html: layout('Nuevo mensaje de contacto', `
+<p><strong>Tipo:</strong> ${escapeHtml(type)}</p>
+<p><strong>De:</strong> ${escapeHtml(name)} &lt;${escapeHtml(email)}&gt;</p>
+<p><strong>Asunto:</strong> ${escapeHtml(subject)}</p>
+<blockquote style="border-left:3px solid #e5e7eb;margin:0;padding-left:12px;white-space:pre-wrap">${escapeHtml(message)}</blockquote>`)
+    }),
+
+    resourceApproved: ({ name, title, link }) => ({
+        subject: `Tu recurso "${title}" ha sido aprobado`,
+        text: `Hola ${name},\n\nTu recurso "${title}" ha sido aprobado y ya está publicado:\n${link}${signature}`,
+        html: layout('Recurso aprobado', `
+<p>Hola ${escapeHtml(name)},</p>
+<p>Tu recurso <strong>${escapeHtml(title)}</strong> ha sido aprobado y ya está publicado.</p>
+${button(link, 'Ver recurso')}`)
+    }),
+
+    resourceRejected: ({ name, title, reason, link }) => ({
+        subject: `Tu recurso "${title}" ha sido rechazado`,
+        text: `Hola ${name},\n\nTu recurso "${title}" ha sido rechazado.${reason ? `\n\nMotivo: ${reason}` : ''}\n\nPuedes editarlo y enviarlo de nuevo a revisión:\n${link}${signature}`,
+        html: layout('Recurso rechazado', `
+<p>Hola ${escapeHtml(name)},</p>
+<p>Tu recurso <strong>${escapeHtml(title)}</strong> ha sido rechazado.</p>
+${reason ? `<p><strong>Motivo:</strong> ${escapeHtml(reason)}</p>` : ''}
+<p>Puedes editarlo y enviarlo de nuevo a revisión.</p>
+${button(link, 'Ver recurso')}`)
+    }),
+
+    savedSearchDigest: ({ name, searchName, resources, total, link }) => {
+        const more = total - resources.length;
+        const heading = `${total} ${total === 1 ? 'nuevo recurso' : 'nuevos recursos'} en "${searchName}"`;
+
+        return {
+            subject: heading,
+            text: `Hola ${name},\n\nHay novedades en tu búsqueda guardada "${searchName}":\n\n${resources.map(resource => `- ${resource.title}: ${resource.link}`).join('\n')}${more > 0 ? `\n- y ${more} más` : ''}\n\nVer todos los resultados:\n${link}${signature}`,
+            html: layout(heading, `
+<p>Hola ${escapeHtml(name)},</p>
+<p>Hay novedades en tu búsqueda guardada <strong>${escapeHtml(searchName)}</strong>:</p>
+<ul>${resources.map(resource => `<li><a href="${escapeHtml(resource.link)}">${escapeHtml(resource.title)}</a></li>`).join('')}${more > 0 ? `<li>y ${more} más</li>` : ''}</ul>
+${button(link, 'Ver todos los resultados')}`)
+        };
+    }
+};
+
+// Render a template by name
+export const renderMailTemplate = (name, data) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Plantilla de correo desconocida: ${name}`);
+    }
+    return template(data);
+};
+
+export default {
+    escapeHtml,
+    frontendLink,
+    renderMailTemplate
+};
@@ -0,0 +1,189 @@
+// Notification service - creates per-user notifications for platform events
+import { Notification, User } from '../models/index.js';
+import { queueTemplateMailSafely } from './mailService.js';
+import { frontendLink } from './mailTemplates.js';
+
+// Create a notification for a user
+// Failures are logged and swallowed so the triggering action is never rolled back
+export const createNotification = async ({ userId, actorId = null, type = 'system', title, message, data = {} }) => {
+    try {
+        if (!userId) {
+            return null;
+        }
+
+        // Don't notify users about their own actions
+        if (actorId && actorId === userId) {
+            return null;
+        }
+
+        return await Notification.create({
+            user_id: userId,
+            actor_id: actorId,
+            type,
+            title,
+            message,
+            data
+        });
+    } catch (error) {
+        console.error('Create notification error:', error);
+        return null;
+    }
+};
+
+// Email a user about an event, unless they turned email notifications off in their preferences
+// Like createNotification, failures never reach the caller
+const emailUser = async (userId, template, data) => {
+    try {
+        const user = await User.findByPk(userId, { attributes: ['id', 'name', 'email', 'preferences'] });
+        if (!user || user.preferences?.email_notifications === false) {
+            return null;
+        }
+
+        return await queueTemplateMailSafely(user.email, template, { name: user.name, ...data });
+    } catch (error) {
+        console.error('Email notification error:', error);
+        return null;
+    }
+};
+
+// Resource approved or rejected by a moderator
+export const notifyResourceModerated = async (resource, moderatorId, reason = null) => {
+    const link = frontendLink(`/resources/${resource.id}`);
+
+    if (resource.status === 'published') {
+        await emailUser(resource.user_id, 'resourceApproved', { title: resource.title, link });
+
+        return createNotification({
+            userId: resource.user_id,
+            actorId: moderatorId,
+            type: 'resource_approved',
+            title: 'Recurso aprobado',
+            message: `Tu recurso "${resource.title}" ha sido aprobado y ya está publicado`,
+            data: { resource_id: resource.id }
+        });
+    }
+
+    if (resource.status === 'rejected') {
+        await emailUser(resource.user_id, 'resourceRejected', { title: resource.title, reason, link });
+
+        return createNotification({
+            userId: resource.user_id,
+            actorId: moderatorId,
+            type: 'resource_rejected',
+            title: 'Recurso rechazado',
+            message: reason
+                ? `Tu recurso "${resource.title}" ha sido rechazado: ${reason}`
+                : `Tu recurso "${resource.title}" ha sido rechazado`,
+            data: { resource_id: resource.id, reason }
+        });
+    }
+
+    return null;
+};
+
+// New like on a user's resource
+// Like createNotification, the actor lookup never fails the like or comment that triggered it
+export const notifyResourceLiked = async (resource, likerId) => {
+    try {
+        const liker = await User.findByPk(likerId, { attributes: ['id', 'name'] });
+
+        return await createNotification({
+            userId: resource.user_id,
+            actorId: likerId,
+            type: 'resource_liked',
+            title: 'Nuevo me gusta',
+            message: `A ${liker?.name || 'alguien'} le gusta tu recurso "${resource.title}"`,
+            data: { resource_id: resource.id }
+        });
+    } catch (error) {
+        console.error('Resource liked notification error:', error);
+        return null;
+    }
+};
+
+// New comment on a user's resource
+export const notifyResourceCommented = async (resource, comment) => {
+    try {
+        const commenter = await User.findByPk(comment.user_id, { attributes: ['id', 'name'] });
+
+        return await createNotification({
+            userId: resource.user_id,
+            actorId: comment.user_id,
+            type: 'resource_commented',
+            title: 'Nuevo comentario',
+            message: `${commenter?.name || 'Alguien'} comentó en tu recurso "${resource.title}"`,
+            data: { resource_id: resource.id, comment_id: comment.id }
+        });
+    } catch (error) {
+        console.error('Resource commented notification error:', error);
+        return null;
+    }
+};
+
+// Reply to a user's comment
+export const notifyCommentReplied = async (resource, parentComment, reply) => {
+    try {
+        const replier = await User.findByPk(reply.user_id, { attributes: ['id', 'name'] });
+
+        return await createNotification({
+            userId: parentComment.user_id,
+            actorId: reply.user_id,
+            type: 'comment_replied',
+            title: 'Nueva respuesta',
+            message: `${replier?.name || 'Alguien'} respondió a tu comentario en "${resource.title}"`,
+            data: { resource_id: resource.id, comment_id: reply.id, parent_id: parentComment.id }
+        });
+    } catch (error) {
+        console.error('Comment replied notification error:', error);
+        return null;
+    }
+};
+
+// New resource matching a saved search (immediate alerts)
+export const notifySavedSearchMatch = async (savedSearch, resource) => {
+    return createNotification({
+        userId: savedSearch.user_id,
+        type: 'saved_search_match',
+        title: 'Nuevo resultado en tu búsqueda',
+        message: `"${resource.title}" coincide con tu búsqueda guardada "${savedSearch.name}"`,
+        data: { resource_id: resource.id, saved_search_id: savedSearch.id }
+    });
+};
+
+// Daily summary of new resources matching a saved search
+export const notifySavedSearchDigest = async (savedSearch, resources, total) => {
+    const titles = resources.map(resource => `"${resource.title}"`).join(', ');
+    const more = total > resources.length ? ` y ${total - resources.length} más` : '';
+
+    await emailUser(savedSearch.user_id, 'savedSearchDigest', {
+        searchName: savedSearch.name,
+        resources: resources.map(resource => ({
+            title: resource.title,
+            link: frontendLink(`/resources/${resource.id}`)
+        })),
+        total,
+        link: frontendLink(`/search/advanced?saved=${savedSearch.id}`)
+    });
+
+    return createNotification({
+        userId: savedSearch.user_id,
+        type: 'saved_search_digest',
+        title: `${total} ${total === 1 ? 'nuevo recurso' : 'nuevos recursos'} en "${savedSearch.name}"`,
+        message: `${titles}${more}`,
+        data: {
+            saved_search_id: savedSearch.id,
+            resource_ids: resources.map(resource => resource.id),
+            total
+        }
+    });
+};
+
+export default {
+    createNotification,
+    notifyResourceModerated,
+    notifyResourceLiked,
+    notifyResourceCommented,
+    notifyCommentReplied,
+    notifySavedSearchMatch,
+    notifySavedSearchDigest
+};
@@ -0,0 +1,451 @@
+// OpenID Connect service - login with external identity providers
+// Authorization code flow with PKCE (S256). Provider endpoints and signing keys
+// come from the issuer's discovery document; the ID token is verified against
+// the provider's JWKS. Users are matched by (provider, sub), then linked by
+// verified email, then provisioned if the provider allows it.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { User, IdentityProvider, UserIdentity, OidcLoginRequest } from '../models/index.js';
+import { AppError } from '../utils/helpers.js';
+import { hashToken } from './authService.js';
+import { recordAuditEvent } from './auditService.js';
+import { frontendLink } from './mailTemplates.js';
+
+const LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+// Unknown `kid`: the provider may have rotated its keys, but don't refetch more often than this
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+// Asymmetric algorithms only: an HS256 token would be checked against a public key
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Every provider redirects back to the same frontend page, which posts code and state to the API
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI || frontendLink('/auth/oidc/callback');
+
+const metadataCache = new Map(); // issuer -> { metadata, expiresAt }
+const jwksCache = new Map(); // jwks_uri -> { keys, fetchedAt }
+
+const providerUnavailable = () =>
+    new AppError('No se pudo contactar con el proveedor de identidad, inténtalo más tarde', 502, 'OIDC_PROVIDER_UNAVAILABLE');
+
+const invalidLogin = () =>
+    new AppError('El inicio de sesión ha expirado o no es válido, inténtalo de nuevo', 400, 'OIDC_INVALID_STATE');
+
+const fetchJson = async (url, options = {}) => {
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    } catch (error) {
+        console.error(`OIDC request error (${url}):`, error.message);
+        throw providerUnavailable();
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+        console.error(`OIDC request error (${url}): HTTP ${response.status}`, body?.error_description || body?.error || '');
+        throw providerUnavailable();
+    }
+    return body;
+};
+
+// Only same-site paths, so the login can't be used as an open redirect
+const safeRedirectPath = (path) =>
+    typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') && !path.startsWith('/\\') ? path : null;
+
+// ===== Discovery and keys =====
+
+export const getProviderMetadata = async (provider) => {
+    const cached = metadataCache.get(provider.issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== provider.issuer || !metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+        console.error(`OIDC discovery error (${provider.slug}): issuer or endpoints don't match the configuration`);
+        throw providerUnavailable();
+    }
+
+    metadataCache.set(provider.issuer, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+    return metadata;
+};
+
+// Drop cached discovery documents, e.g. after a provider's configuration changes
+export const clearProviderMetadataCache = () => {
+    metadataCache.clear();
+    jwksCache.clear();
+};
+
+const getSigningKey = async (metadata, kid) => {
+    const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+    let cached = jwksCache.get(metadata.jwks_uri);
+    let jwk = cached && findKey(cached.keys);
+
+    if (!jwk && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_INTERVAL_MS)) {
+        const { keys = [] } = await fetchJson(metadata.jwks_uri);
+        cached = { keys, fetchedAt: Date.now() };
+        jwksCache.set(metadata.jwks_uri, cached);
+        jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+        throw new AppError('No se pudo verificar la identidad devuelta por el proveedor', 401, 'OIDC_TOKEN_INVALID');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// ===== Providers =====
+
+const findEnabledProvider = async (slug) => {
+    const provider = await IdentityProvider.findOne({ where: { slug, enabled: true } });
+    if (!provider) {
+        throw new AppError('Proveedor de identidad no disponible', 404, 'OIDC_PROVIDER_NOT_FOUND');
+    }
+    return provider;
+};
+
+// Enabled providers, for the login page
+export const listEnabledProviders = async () => {
+    const providers = await IdentityProvider.findAll({
+        where: { enabled: true },
+        attributes: ['slug', 'name'],
+        order: [['name', 'ASC']]
+    });
+    return providers.map(provider => ({ slug: provider.slug, name: provider.name }));
+};
+
+export const listIdentityProviders = async () => {
+    const providers = await IdentityProvider.findAll({ order: [['name', 'ASC']] });
+    return providers.map(provider => provider.toSafeObject());
+};
+
+export const createIdentityProvider = async (data) => {
+    const existing = await IdentityProvider.findOne({ where: { slug: data.slug } });
+    if (existing) {
+        throw new AppError('Ya existe un proveedor con ese identificador', 409, 'IDENTITY_PROVIDER_EXISTS');
+    }
+
+    const provider = await IdentityProvider.create({ ...data, client_secret: data.client_secret || null });
+    return provider.toSafeObject();
+};
+
+// An empty client_secret keeps the stored one; null removes it
+export const updateIdentityProvider = async (id, data) => {
+    const provider = await IdentityProvider.findByPk(id);
+    if (!provider) {
+        throw new AppError('Proveedor de identidad no encontrado', 404, 'IDENTITY_PROVIDER_NOT_FOUND');
+    }
+
+    const changes = { ...data };
+    if (changes.client_secret === '') {
+        delete changes.client_secret;
+    }
+    if (changes.slug && changes.slug !== provider.slug) {
+        const existing = await IdentityProvider.findOne({ where: { slug: changes.slug } });
+        if (existing) {
+            throw new AppError('Ya existe un proveedor con ese identificador', 409, 'IDENTITY_PROVIDER_EXISTS');
+        }
+    }
+
+    await provider.update(changes);
+    clearProviderMetadataCache();
+    return provider.toSafeObject();
+};
+
+// Linked identities go with the provider; their users keep their accounts
+export const deleteIdentityProvider = async (id) => {
+    const provider = await IdentityProvider.findByPk(id);
+    if (!provider) {
+        throw new AppError('Proveedor de identidad no encontrado', 404, 'IDENTITY_PROVIDER_NOT_FOUND');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        await UserIdentity.destroy({ where: { provider_id: id }, transaction });
+        await OidcLoginRequest.destroy({ where: { provider_id: id }, transaction });
+        await provider.destroy({ transaction });
+    });
+    clearProviderMetadataCache();
+    return provider.toSafeObject();
+};
+
+// ===== Login flow =====
+
+// First leg: remember state, PKCE verifier and nonce, and build the provider's authorization URL.
+// The browser keeps `browserBinding` and must send it back with the callback, so a code and state
+// obtained by someone else can't be completed in the victim's browser (login CSRF)
+export const startOidcLogin = async (slug, { redirectPath } = {}) => {
+    const provider = await findEnabledProvider(slug);
+    const metadata = await getProviderMetadata(provider);
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const browserBinding = crypto.randomBytes(32).toString('base64url');
+
+    await OidcLoginRequest.create({
+        state_hash: hashToken(state),
+        browser_binding_hash: hashToken(browserBinding),
+        provider_id: provider.id,
+        code_verifier: codeVerifier,
+        nonce,
+        redirect_path: safeRedirectPath(redirectPath),
+        expires_at: new Date(Date.now() + LOGIN_REQUEST_TTL_MS)
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.client_id);
+    url.searchParams.set('redirect_uri', REDIRECT_URI);
+    url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { authorizationUrl: url.toString(), state, browserBinding };
+};
+
+// Confidential clients authenticate with HTTP Basic unless the provider only accepts client_secret_post
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: REDIRECT_URI,
+        code_verifier: codeVerifier
+    });
+    const headers = {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+    };
+
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (provider.client_secret && authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(provider.client_id)}:${encodeURIComponent(provider.client_secret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        body.set('client_id', provider.client_id);
+        if (provider.client_secret) {
+            body.set('client_secret', provider.client_secret);
+        }
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+    if (!tokens.id_token) {
+        console.error(`OIDC token error (${provider.slug}): no id_token in the response`);
+        throw providerUnavailable();
+    }
+    return tokens;
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new AppError('No se pudo verificar la identidad devuelta por el proveedor', 401, 'OIDC_TOKEN_INVALID');
+    }
+
+    const key = await getSigningKey(metadata, decoded.header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: provider.client_id,
+            clockTolerance: CLOCK_TOLERANCE_SECONDS
+        });
+    } catch (error) {
+        console.error(`OIDC ID token error (${provider.slug}):`, error.message);
+        throw new AppError('No se pudo verificar la identidad devuelta por el proveedor', 401, 'OIDC_TOKEN_INVALID');
+    }
+
+    const multipleAudiences = Array.isArray(claims.aud) && claims.aud.length > 1;
+    if (claims.nonce !== nonce || !claims.sub || (multipleAudiences && claims.azp !== provider.client_id)) {
+        throw new AppError('No se pudo verificar la identidad devuelta por el proveedor', 401, 'OIDC_TOKEN_INVALID');
+    }
+    return claims;
+};
+
+// ID token claims, completed from the userinfo endpoint when the token carries no email
+const loadProfile = async (metadata, tokens, claims) => {
+    if (claims.email || !metadata.userinfo_endpoint || !tokens.access_token) {
+        return claims;
+    }
+
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+    // Userinfo about someone else must be ignored (OIDC Core 5.3.2)
+    return userinfo.sub === claims.sub ? { ...userinfo, ...claims } : claims;
+};
+
+const isDomainAllowed = (provider, email) => {
+    const domains = provider.allowed_domains || [];
+    return domains.length === 0 || domains.includes(email.split('@')[1]);
+};
+
+const displayName = (profile, email) => {
+    const name = (profile.name || [profile.given_name, profile.family_name].filter(Boolean).join(' ')).trim();
+    return (name.length >= 2 ? name : email).slice(0, 100);
+};
+
+// Known identity -> its user; verified email of an existing account -> link; otherwise provision
+const resolveUser = async (provider, profile, ipAddress) => {
+    const identity = await UserIdentity.findOne({
+        where: { provider_id: provider.id, subject: String(profile.sub) },
+        include: [{ model: User, as: 'user' }]
+    });
+
+    if (identity) {
+        await identity.update({ email: profile.email || identity.email, last_login_at: new Date() });
+        return identity.user;
+    }
+
+    const email = typeof profile.email === 'string' ? profile.email.trim().toLowerCase() : '';
+    if (!email) {
+        throw new AppError('El proveedor de identidad no ha compartido tu correo electrónico', 403, 'OIDC_EMAIL_MISSING');
+    }
+    if (profile.email_verified !== true && profile.email_verified !== 'true') {
+        throw new AppError('Tu correo electrónico no está verificado en el proveedor de identidad', 403, 'OIDC_EMAIL_NOT_VERIFIED');
+    }
+    if (!isDomainAllowed(provider, email)) {
+        throw new AppError('Tu dominio de correo no está permitido para este proveedor', 403, 'OIDC_DOMAIN_NOT_ALLOWED');
+    }
+
+    const existing = await User.findOne({
+        where: sequelize.where(sequelize.fn('LOWER', sequelize.col('email')), email)
+    });
+
+    if (existing) {
+        // Someone else may have registered the address without proving they own it;
+        // linking now would hand them the provider's account
+        if (existing.status === 'pending_verification') {
+            throw new AppError('Ya existe una cuenta con este correo pendiente de verificación. Verifica tu correo e inténtalo de nuevo', 409, 'OIDC_ACCOUNT_NOT_VERIFIED');
+        }
+
+        await UserIdentity.create({
+            user_id: existing.id,
+            provider_id: provider.id,
+            subject: String(profile.sub),
+            email,
+            last_login_at: new Date()
+        });
+        await recordAuditEvent({
+            action: 'oidc.identity_linked',
+            targetUserId: existing.id,
+            ipAddress,
+            metadata: { provider: provider.slug }
+        });
+        return existing;
+    }
+
+    if (!provider.allow_provisioning) {
+        throw new AppError('No hay ninguna cuenta asociada a este usuario del proveedor de identidad', 403, 'OIDC_ACCOUNT_NOT_FOUND');
+    }
+
+    const user = await sequelize.transaction(async (transaction) => {
+        // No usable password: the account signs in through the provider (or sets one with a reset link)
+        const created = await User.create({
+            name: displayName(profile, email),
+            email,
+            password: crypto.randomBytes(32).toString('hex'),
+            first_name: profile.given_name?.slice(0, 50) || null,
+            last_name: profile.family_name?.slice(0, 50) || null,
+            role: provider.default_role,
+            status: 'active',
+            email_verified_at: new Date()
+        }, { transaction });
+
+        await UserIdentity.create({
+            user_id: created.id,
+            provider_id: provider.id,
+            subject: String(profile.sub),
+            email,
+            last_login_at: new Date()
+        }, { transaction });
+
+        return created;
+    });
+
+    await recordAuditEvent({
+        action: 'oidc.user_provisioned',
+        targetUserId: user.id,
+        ipAddress,
+        metadata: { provider: provider.slug, role: user.role }
+    });
+    return user;
+};
+
+// Second leg: consume the login request, exchange the code and resolve the local user.
+// The request is deleted before anything else, so a state can only be used once.
+export const completeOidcLogin = async ({ code, state, browserBinding }, { ipAddress } = {}) => {
+    const request = await OidcLoginRequest.findOne({
+        where: { state_hash: hashToken(state), expires_at: { [Op.gt]: new Date() } },
+        include: [{ model: IdentityProvider, as: 'provider' }]
+    });
+    if (!request) {
+        throw invalidLogin();
+    }
+
+    // The state is consumed even when the binding doesn't match, so it can't be retried
+    const consumed = await OidcLoginRequest.destroy({ where: { id: request.id } });
+    if (consumed === 0 || request.browser_binding_hash !== hashToken(browserBinding) || !request.provider?.enabled) {
+        throw invalidLogin();
+    }
+
+    const provider = request.provider;
+    const metadata = await getProviderMetadata(provider);
+    const tokens = await exchangeCode(provider, metadata, code, request.code_verifier);
+    const claims = await verifyIdToken(provider, metadata, tokens.id_token, request.nonce);
+    const profile = await loadProfile(metadata, tokens, claims);
+
+    const user = await resolveUser(provider, profile, ipAddress);
+
+    if (user.status !== 'active') {
+        throw new AppError('Cuenta suspendida o desactivada', 401, 'ACCOUNT_DISABLED');
+    }
+
+    await user.update({ last_login_at: new Date() });
+    return { user, provider, redirectPath: request.redirect_path };
+};
+
+// Remove logins that were started but never came back from the provider
+export const cleanupOidcLoginRequests = async () => {
+    return await OidcLoginRequest.destroy({ where: { expires_at: { [Op.lte]: new Date() } } });
+};
+
+export const startOidcLoginRequestSweeper = (intervalMs = 60 * 60 * 1000) => {
+    const sweep = async () => {
+        try {
+            const removed = await cleanupOidcLoginRequests();
+            if (removed > 0) {
+                console.log(`🧹 Inicios de sesión OIDC caducados eliminados: ${removed}`);
+            }
+        } catch (error) {
+            console.error('OIDC login request cleanup error:', error);
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export default {
+    getProviderMetadata,
+    clearProviderMetadataCache,
+    listEnabledProviders,
+    listIdentityProviders,
+    createIdentityProvider,
+    updateIdentityProvider,
+    deleteIdentityProvider,
+    startOidcLogin,
+    completeOidcLogin,
+    cleanupOidcLoginRequests,
+    startOidcLoginRequestSweeper
+};
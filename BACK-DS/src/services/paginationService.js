@@ -0,0 +1,198 @@
+// Listing pagination - opaque keyset cursors with a legacy offset fallback
+// A cursor holds the sort values of the row it was taken from plus its id, so
+// pages stay stable when rows are inserted or removed while a client scrolls
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { AppError } from '../utils/helpers.js';
+
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!Array.isArray(payload.v) || !['next', 'prev'].includes(payload.d)) {
+            throw new Error('Malformed cursor');
+        }
+        return payload;
+    } catch {
+        throw new AppError('Cursor de paginación inválido', 400, 'INVALID_CURSOR');
+    }
+};
+
+// Read page/cursor/limit/withTotal/paginate from a query string
+// Offset pagination stays the default; clients opt into cursors with `paginate=cursor`
+// on the first page and then send the `cursor` they get back
+export const parsePagination = (query, { defaultLimit = DEFAULT_PAGE_LIMIT, maxLimit = MAX_PAGE_LIMIT } = {}) => {
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    const withTotal = query.withTotal !== false && query.withTotal !== 'false';
+
+    if (!query.cursor && query.paginate !== 'cursor') {
+        const page = Math.max(parseInt(query.page) || 1, 1);
+        return { mode: 'offset', limit, page, offset: (page - 1) * limit, withTotal, isFirstPage: page === 1 };
+    }
+
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    return { mode: 'cursor', limit, cursor, withTotal, isFirstPage: !cursor };
+};
+
+// Order keys for a validated sort alias (see listQueryValidation)
+export const resolveSortOrder = (sortFields, sort, order) => {
+    const field = sortFields[sort];
+    return typeof field === 'function' ? field(order) : [[field, order]];
+};
+
+// Sort keys are either [attribute, direction] pairs or
+// { attribute, direction, expression, cast } for computed values such as a rank
+const normalizeSortKey = (key) => {
+    const { attribute, direction = 'ASC', expression, cast } = Array.isArray(key)
+        ? { attribute: key[0], direction: key[1] }
+        : key;
+    return { attribute, direction: direction.toUpperCase() === 'DESC' ? 'DESC' : 'ASC', expression, cast };
+};
+
+const flipDirection = (key) => ({ ...key, direction: key.direction === 'DESC' ? 'ASC' : 'DESC' });
+
+// Model attribute name for a column given as attribute or field (created_at -> createdAt)
+const resolveAttributeName = (Model, column) => {
+    if (Model.rawAttributes[column]) {
+        return column;
+    }
+    const match = Object.values(Model.rawAttributes).find(attribute => attribute.field === column);
+    return match ? match.fieldName : column;
+};
+
+const signatureOf = (keys) => keys.map(key => `${key.attribute}:${key.direction}`).join(',');
+
+// Conditions for "strictly after value" / "equal to value" in the given ordering,
+// following PostgreSQL NULL placement (ASC -> NULLS LAST, DESC -> NULLS FIRST)
+const afterCondition = (key, value) => {
+    if (key.expression) {
+        const operand = key.cast ? sequelize.cast(value, key.cast) : value;
+        return sequelize.where(key.expression, { [key.direction === 'DESC' ? Op.lt : Op.gt]: operand });
+    }
+    if (value === null) {
+        return key.direction === 'DESC' ? { [key.attribute]: { [Op.ne]: null } } : null;
+    }
+    return key.direction === 'DESC'
+        ? { [key.attribute]: { [Op.lt]: value } }
+        : { [Op.or]: [{ [key.attribute]: { [Op.gt]: value } }, { [key.attribute]: null }] };
+};
+
+const equalCondition = (key, value) => {
+    if (key.expression) {
+        return sequelize.where(key.expression, key.cast ? sequelize.cast(value, key.cast) : value);
+    }
+    return { [key.attribute]: value };
+};
+
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+const buildKeysetWhere = (keys, values) => {
+    const branches = keys.map((key, index) => {
+        const after = afterCondition(key, values[index]);
+        if (!after) {
+            return null;
+        }
+        const equals = keys.slice(0, index).map((previous, i) => equalCondition(previous, values[i]));
+        return equals.length > 0 ? { [Op.and]: [...equals, after] } : after;
+    }).filter(Boolean);
+
+    return branches.length > 0 ? { [Op.or]: branches } : sequelize.literal('FALSE');
+};
+
+const cursorValuesOf = (row, keys) => keys.map(key => {
+    const value = row.get(key.attribute);
+    return value === undefined ? null : value;
+});
+
+const countRows = (Model, findOptions) => Model.count({
+    where: findOptions.where,
+    include: findOptions.include,
+    distinct: true,
+    col: 'id'
+});
+
+// Run a listing query with either cursor or offset pagination
+// Returns the rows plus the `pagination` object sent to clients
+export const paginate = async (Model, findOptions, { order, pagination }) => {
+    const keys = order.map(normalizeSortKey).map(key => key.expression
+        ? key
+        : { ...key, attribute: resolveAttributeName(Model, key.attribute) });
+
+    // id breaks ties so every row has a unique position
+    if (!keys.some(key => key.attribute === 'id')) {
+        keys.push({ attribute: 'id', direction: keys.length > 0 ? keys[keys.length - 1].direction : 'ASC' });
+    }
+
+    const toOrder = (key) => [key.expression || key.attribute, key.direction];
+    const { limit, withTotal } = pagination;
+
+    if (pagination.mode === 'offset') {
+        const [rows, total] = await Promise.all([
+            Model.findAll({ ...findOptions, order: keys.map(toOrder), limit, offset: pagination.offset }),
+            withTotal ? countRows(Model, findOptions) : null
+        ]);
+
+        const totalPages = total !== null ? Math.ceil(total / limit) : undefined;
+
+        return {
+            rows,
+            pagination: {
+                page: pagination.page,
+                limit,
+                ...(total !== null && { total, totalPages }),
+                hasNext: total !== null ? pagination.page < totalPages : rows.length === limit,
+                hasPrev: pagination.page > 1
+            }
+        };
+    }
+
+    const signature = signatureOf(keys);
+    const { cursor } = pagination;
+
+    if (cursor && (cursor.s !== signature || cursor.v.length !== keys.length)) {
+        throw new AppError('El cursor no corresponde al orden solicitado', 400, 'INVALID_CURSOR');
+    }
+
+    const backward = cursor?.d === 'prev';
+    const queryKeys = backward ? keys.map(flipDirection) : keys;
+    const where = cursor
+        ? { [Op.and]: [findOptions.where || {}, buildKeysetWhere(queryKeys, cursor.v)] }
+        : findOptions.where;
+
+    // One extra row tells us whether another page exists
+    const [fetched, total] = await Promise.all([
+        Model.findAll({ ...findOptions, where, order: queryKeys.map(toOrder), limit: limit + 1 }),
+        withTotal ? countRows(Model, findOptions) : null
+    ]);
+
+    const hasMore = fetched.length > limit;
+    const rows = fetched.slice(0, limit);
+    if (backward) {
+        rows.reverse();
+    }
+
+    const hasNext = backward ? Boolean(cursor) : hasMore;
+    const hasPrev = backward ? hasMore : Boolean(cursor);
+    const cursorFor = (row, direction) => encodeCursor({ s: signature, v: cursorValuesOf(row, keys), d: direction });
+
+    return {
+        rows,
+        pagination: {
+            limit,
+            ...(total !== null && { total }),
+            hasNext,
+            hasPrev,
+            nextCursor: hasNext && rows.length > 0 ? cursorFor(rows[rows.length - 1], 'next') : null,
+            prevCursor: hasPrev && rows.length > 0 ? cursorFor(rows[0], 'prev') : null
+        }
+    };
+};
+
+export default {
+    parsePagination,
+    resolveSortOrder,
+    paginate
+};
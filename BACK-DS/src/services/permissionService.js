@@ -0,0 +1,115 @@
+// Permission resolution - role defaults plus per-user grants
+// Permissions are named "<resource>.<action>" (see Permission.createPermission)
+import { Op } from 'sequelize';
+import { Permission, UserPermission } from '../models/index.js';
+
+// Permissions checked by the API; synced into the permissions table on startup
+export const PERMISSION_CATALOG = [
+    { resource: 'dashboard', action: 'read', description: 'Ver las estadísticas del panel de administración' },
+    { resource: 'reports', action: 'read', description: 'Ver reportes y estadísticas' },
+    { resource: 'users', action: 'read', description: 'Listar usuarios' },
+    { resource: 'users', action: 'update', description: 'Cambiar estado, rol y datos de usuarios' },
+    { resource: 'resources', action: 'moderate', description: 'Revisar, aprobar y rechazar recursos' },
+    { resource: 'resources', action: 'update', description: 'Editar recursos de otros usuarios' },
+    { resource: 'resources', action: 'delete', description: 'Eliminar recursos de otros usuarios' },
+    { resource: 'categories', action: 'create', description: 'Crear categorías' },
+    { resource: 'categories', action: 'update', description: 'Editar categorías' },
+    { resource: 'categories', action: 'delete', description: 'Eliminar categorías' },
+    { resource: 'permissions', action: 'manage', description: 'Crear permisos y concederlos o revocarlos a usuarios' },
+    { resource: 'security', action: 'manage', description: 'Configurar la seguridad de las cuentas (verificación en dos pasos obligatoria, proveedores de identidad)' }
+];
+
+export const permissionName = (resource, action) => `${resource}.${action}`;
+
+// Defaults granted by role; admins additionally get every active permission
+export const ROLE_PERMISSIONS = {
+    admin: PERMISSION_CATALOG.map(({ resource, action }) => permissionName(resource, action)),
+    moderator: ['dashboard.read', 'resources.moderate'],
+    user: []
+};
+
+// Grants that have not expired
+const activeGrantWhere = () => ({
+    [Op.or]: [
+        { expires_at: null },
+        { expires_at: { [Op.gt]: new Date() } }
+    ]
+});
+
+// Resolve the full permission set for an authenticated user ({ userId, role })
+export const getUserPermissions = async (user) => {
+    const permissions = new Set(ROLE_PERMISSIONS[user.role] || []);
+
+    const grants = await UserPermission.findAll({
+        where: {
+            user_id: user.userId,
+            ...activeGrantWhere()
+        },
+        include: [{
+            model: Permission,
+            as: 'permission',
+            where: { status: 'active' },
+            attributes: ['resource', 'action']
+        }]
+    });
+
+    grants.forEach(grant => permissions.add(permissionName(grant.permission.resource, grant.permission.action)));
+
+    if (user.role === 'admin') {
+        const allPermissions = await Permission.findAll({
+            where: { status: 'active' },
+            attributes: ['resource', 'action']
+        });
+        allPermissions.forEach(permission => permissions.add(permissionName(permission.resource, permission.action)));
+    }
+
+    return permissions;
+};
+
+// Remove grants whose expiry has passed
+export const cleanupExpiredGrants = async () => {
+    return await UserPermission.destroy({
+        where: { expires_at: { [Op.lte]: new Date() } }
+    });
+};
+
+// Periodically drop expired grants (they are already ignored by getUserPermissions)
+export const startExpiredGrantSweeper = (intervalMs = 60 * 60 * 1000) => {
+    const sweep = async () => {
+        try {
+            const removed = await cleanupExpiredGrants();
+            if (removed > 0) {
+                console.log(`🧹 Permisos expirados eliminados: ${removed}`);
+            }
+        } catch (error) {
+            console.error('Expired grant cleanup error:', error);
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+// Make sure every catalog permission exists so it can be granted per user
+export const syncPermissionCatalog = async () => {
+    for (const { resource, action, description } of PERMISSION_CATALOG) {
+        const name = permissionName(resource, action);
+        await Permission.findOrCreate({
+            where: { resource, action },
+            defaults: {
+                name,
+                slug: name.replace(/\./g, '_'),
+                description
+            }
+        });
+    }
+};
+
+export default {
+    getUserPermissions,
+    cleanupExpiredGrants,
+    startExpiredGrantSweeper,
+    syncPermissionCatalog
+};
@@ -0,0 +1,146 @@
+// Saved search alerts - immediate notifications when a resource is approved
+// and a daily digest of new matches
+import { Op } from 'sequelize';
+import { SavedSearch, Resource } from '../models/index.js';
+import { buildAdvancedSearch, loadCategoryTree } from './searchService.js';
+import { notifySavedSearchMatch, notifySavedSearchDigest } from './notificationService.js';
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DIGEST_MAX_TITLES = 5;
+
+// Private resources never trigger alerts
+const alertableWhere = (savedSearch) => ({
+    visibility: { [Op.ne]: 'private' },
+    user_id: { [Op.ne]: savedSearch.user_id } // Owners don't get alerts for their own resources
+});
+
+// Alerts only include what the owner could open from search
+const searchOwner = (savedSearch) => ({ userId: savedSearch.user_id });
+
+// Notify owners of "immediate" saved searches that match a newly published resource
+// Failures are logged and swallowed so moderation is never rolled back
+export const notifySavedSearchMatches = async (resource) => {
+    try {
+        if (resource.status !== 'published' || resource.visibility === 'private') {
+            return 0;
+        }
+
+        const savedSearches = await SavedSearch.findAll({
+            where: {
+                alert_frequency: 'immediate',
+                user_id: { [Op.ne]: resource.user_id }
+            }
+        });
+
+        if (savedSearches.length === 0) {
+            return 0;
+        }
+
+        const categoryTree = await loadCategoryTree();
+        let notified = 0;
+        for (const savedSearch of savedSearches) {
+            const { whereClause } = await buildAdvancedSearch(savedSearch.filters, {
+                viewer: searchOwner(savedSearch),
+                categoryTree
+            });
+            const matches = await Resource.count({
+                where: { [Op.and]: [{ id: resource.id }, whereClause] }
+            });
+
+            if (matches > 0) {
+                await notifySavedSearchMatch(savedSearch, resource);
+                await savedSearch.update({ last_alerted_at: new Date() });
+                notified++;
+            }
+        }
+
+        return notified;
+    } catch (error) {
+        console.error('Saved search alerts error:', error);
+        return 0;
+    }
+};
+
+// Run the immediate alerts for a resource without making the caller (moderation) wait
+export const queueSavedSearchMatches = (resource) => {
+    setTimeout(() => {
+        notifySavedSearchMatches(resource).catch(error => console.error('Saved search alerts error:', error));
+    }, 0);
+};
+
+// Send one digest per "daily" saved search with resources published since the last one
+export const sendSavedSearchDigests = async () => {
+    const dueBefore = new Date(Date.now() - DIGEST_INTERVAL_MS);
+    const savedSearches = await SavedSearch.findAll({
+        where: {
+            alert_frequency: 'daily',
+            [Op.or]: [
+                { last_alerted_at: null },
+                { last_alerted_at: { [Op.lte]: dueBefore } }
+            ]
+        }
+    });
+
+    if (savedSearches.length === 0) {
+        return 0;
+    }
+
+    const categoryTree = await loadCategoryTree();
+    let sent = 0;
+    for (const savedSearch of savedSearches) {
+        const now = new Date();
+        const since = savedSearch.last_alerted_at || savedSearch.created_at;
+        const { whereClause } = await buildAdvancedSearch(savedSearch.filters, {
+            viewer: searchOwner(savedSearch),
+            categoryTree
+        });
+
+        const { count, rows } = await Resource.findAndCountAll({
+            where: {
+                [Op.and]: [
+                    whereClause,
+                    alertableWhere(savedSearch),
+                    { published_at: { [Op.gt]: since, [Op.lte]: now } }
+                ]
+            },
+            attributes: ['id', 'title'],
+            order: [['published_at', 'DESC']],
+            limit: DIGEST_MAX_TITLES
+        });
+
+        if (count > 0) {
+            await notifySavedSearchDigest(savedSearch, rows, count);
+            sent++;
+        }
+
+        await savedSearch.update({ last_alerted_at: now });
+    }
+
+    return sent;
+};
+
+// Check hourly for digests that are due
+export const startSavedSearchDigestScheduler = (intervalMs = 60 * 60 * 1000) => {
+    const run = async () => {
+        try {
+            const sent = await sendSavedSearchDigests();
+            if (sent > 0) {
+                console.log(`📬 Resúmenes de búsquedas guardadas enviados: ${sent}`);
+            }
+        } catch (error) {
+            console.error('Saved search digest error:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export default {
+    notifySavedSearchMatches,
+    queueSavedSearchMatches,
+    sendSavedSearchDigests,
+    startSavedSearchDigestScheduler
+};
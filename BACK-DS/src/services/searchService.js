@@ -0,0 +1,485 @@
+// Full-text search service
+// Resources are indexed in resources.search_vector (tsvector) using a Spanish
+// configuration with unaccent, so "matemática" and "matematicas" match
+import { Op, QueryTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { SearchQuery, Category, Resource } from '../models/index.js';
+
+export const SEARCH_CONFIG = 'es_unaccent';
+
+// Markers used by ts_headline; replaced after the text has been HTML-escaped
+const HIGHLIGHT_START = '⟦';
+const HIGHLIGHT_END = '⟧';
+
+// Create the text search configuration, the trigger that keeps search_vector
+// up to date, backfill rows indexed before the trigger existed and set up
+// the trigram indexes used by suggestions
+export const setupFullTextSearch = async () => {
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+
+    await sequelize.query(`
+        DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = '${SEARCH_CONFIG}') THEN
+                CREATE TEXT SEARCH CONFIGURATION ${SEARCH_CONFIG} (COPY = spanish);
+                ALTER TEXT SEARCH CONFIGURATION ${SEARCH_CONFIG}
+                    ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+            END IF;
+        END
+        $$;
+    `);
+
+    // Weights: title (A) > tags (B) > description (C) > content (D)
+    await sequelize.query(`
+        CREATE OR REPLACE FUNCTION resources_search_vector_update() RETURNS trigger AS $$
+        BEGIN
+            NEW.search_vector :=
+                setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.title, '')), 'A') ||
+                setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(array_to_string(NEW.tags, ' '), '')), 'B') ||
+                setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.description, '')), 'C') ||
+                setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.content, '')), 'D');
+            RETURN NEW;
+        END
+        $$ LANGUAGE plpgsql;
+    `);
+
+    await sequelize.query('DROP TRIGGER IF EXISTS resources_search_vector_trigger ON resources');
+    await sequelize.query(`
+        CREATE TRIGGER resources_search_vector_trigger
+        BEFORE INSERT OR UPDATE OF title, tags, description, content ON resources
+        FOR EACH ROW EXECUTE FUNCTION resources_search_vector_update();
+    `);
+
+    // Touching title fires the trigger for rows created before it existed
+    await sequelize.query('UPDATE resources SET title = title WHERE search_vector IS NULL');
+
+    // Trigram indexes for typo-tolerant suggestions. unaccent() is not IMMUTABLE,
+    // so an immutable wrapper is needed to index the unaccented text
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    await sequelize.query(`
+        CREATE OR REPLACE FUNCTION f_unaccent(text) RETURNS text AS $$
+            SELECT public.unaccent('public.unaccent', $1)
+        $$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+    `);
+    await sequelize.query('CREATE INDEX IF NOT EXISTS resources_title_trgm_idx ON resources USING GIN (f_unaccent(lower(title)) gin_trgm_ops)');
+    await sequelize.query('CREATE INDEX IF NOT EXISTS categories_name_trgm_idx ON categories USING GIN (f_unaccent(lower(name)) gin_trgm_ops)');
+};
+
+// Build the pieces needed to filter, rank and highlight a text query
+// websearch_to_tsquery accepts raw user input ("quoted phrases", -exclusions, or)
+export const buildFullTextSearch = (term) => {
+    const tsQuery = sequelize.fn('websearch_to_tsquery', SEARCH_CONFIG, term);
+    const vector = sequelize.col('Resource.search_vector');
+    const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=35, MinWords=15, MaxFragments=2`;
+    const rank = sequelize.fn('ts_rank', vector, tsQuery);
+
+    return {
+        where: { search_vector: { [Op.match]: tsQuery } },
+        rank, // exposed so cursor pagination can compare against it
+        attributes: [
+            [rank, 'rank'],
+            [sequelize.fn('ts_headline', SEARCH_CONFIG, sequelize.col('Resource.title'), tsQuery, 'HighlightAll=true'), 'title_highlight'],
+            [sequelize.fn('ts_headline',
+                SEARCH_CONFIG,
+                sequelize.fn('concat_ws', ' ', sequelize.col('Resource.description'), sequelize.col('Resource.content')),
+                tsQuery,
+                headlineOptions
+            ), 'snippet']
+        ],
+        order: [[sequelize.literal('rank'), 'DESC']]
+    };
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Escape user content and turn the headline markers into <mark> tags
+export const formatHighlight = (text) => {
+    if (!text) {
+        return text;
+    }
+    return escapeHtml(text)
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_END).join('</mark>');
+};
+
+// Move the rank/headline columns of a result row into a `highlights` object
+export const withHighlights = (resource) => {
+    const { rank, title_highlight, snippet, ...data } = resource.toJSON();
+
+    return {
+        ...data,
+        relevance: rank !== undefined ? parseFloat(rank) : undefined,
+        highlights: {
+            title: formatHighlight(title_highlight),
+            snippet: formatHighlight(snippet)
+        }
+    };
+};
+
+// Minimum pg_trgm word similarity for a suggestion (0-1)
+const SUGGESTION_SIMILARITY_THRESHOLD = 0.3;
+const SUGGESTIONS_PER_TYPE = 5;
+
+// Titles, tags and categories close to the (possibly misspelled) term.
+// Only public, published resources are considered so private titles never leak
+const SUGGESTIONS_SQL = `
+    WITH q AS (SELECT f_unaccent(lower(:term)) AS term)
+    (
+        SELECT 'resource' AS type, r.id::text AS id, r.title AS text,
+            word_similarity(q.term, f_unaccent(lower(r.title))) AS similarity,
+            r.views_count AS views, r.likes_count AS likes
+        FROM resources r, q
+        WHERE r.status = 'published' AND r.visibility = 'public' AND r.deleted_at IS NULL
+            AND q.term <% f_unaccent(lower(r.title))
+        ORDER BY similarity DESC
+        LIMIT :perType
+    )
+    UNION ALL
+    (
+        SELECT 'tag' AS type, NULL AS id, tag AS text,
+            MAX(word_similarity(q.term, f_unaccent(lower(tag)))) AS similarity,
+            SUM(r.views_count) AS views, SUM(r.likes_count) AS likes
+        FROM resources r CROSS JOIN LATERAL unnest(r.tags) AS tag, q
+        WHERE r.status = 'published' AND r.visibility = 'public' AND r.deleted_at IS NULL
+            AND q.term <% f_unaccent(lower(tag))
+        GROUP BY tag
+        ORDER BY similarity DESC
+        LIMIT :perType
+    )
+    UNION ALL
+    (
+        SELECT 'category' AS type, c.id::text AS id, c.name AS text,
+            word_similarity(q.term, f_unaccent(lower(c.name))) AS similarity,
+            COALESCE(SUM(r.views_count), 0) AS views, COALESCE(SUM(r.likes_count), 0) AS likes
+        FROM categories c
+        CROSS JOIN q
+        LEFT JOIN resources r ON r.category_id = c.id
+            AND r.status = 'published' AND r.visibility = 'public' AND r.deleted_at IS NULL
+        WHERE c.status = 'active'
+            AND q.term <% f_unaccent(lower(c.name))
+        GROUP BY c.id, c.name, q.term
+        ORDER BY similarity DESC
+        LIMIT :perType
+    )
+`;
+
+const getSuggestionUrl = (row, slug) => {
+    switch (row.type) {
+        case 'resource':
+            return `/resources/${row.id}`;
+        case 'category':
+            return `/search?category=${slug || row.id}`;
+        default:
+            return `/search?q=${encodeURIComponent(row.text)}`;
+    }
+};
+
+// Typo-tolerant suggestions ranked by similarity and popularity,
+// deduplicated by their normalized text
+export const findSuggestions = async (term, { limit = 10 } = {}) => {
+    const rows = await sequelize.transaction(async (transaction) => {
+        // Lets `<%` (and its trigram indexes) use our threshold instead of the 0.6 default
+        await sequelize.query(`SET LOCAL pg_trgm.word_similarity_threshold = ${SUGGESTION_SIMILARITY_THRESHOLD}`, { transaction });
+
+        return sequelize.query(SUGGESTIONS_SQL, {
+            replacements: { term, perType: SUGGESTIONS_PER_TYPE },
+            type: QueryTypes.SELECT,
+            transaction
+        });
+    });
+
+    const categoryIds = rows.filter(row => row.type === 'category').map(row => row.id);
+    const slugs = categoryIds.length > 0
+        ? Object.fromEntries((await Category.findAll({
+            where: { id: { [Op.in]: categoryIds } },
+            attributes: ['id', 'slug']
+        })).map(category => [category.id, category.slug]))
+        : {};
+
+    const byText = new Map();
+    rows.forEach(row => {
+        // Popular items win close calls, but similarity stays dominant
+        const popularity = 1 + 0.1 * Math.log1p(parseInt(row.views) || 0) + 0.2 * Math.log1p(parseInt(row.likes) || 0);
+        const suggestion = {
+            type: row.type,
+            id: row.id || undefined,
+            text: row.text,
+            url: getSuggestionUrl(row, slugs[row.id]),
+            score: Math.round(parseFloat(row.similarity) * popularity * 1000) / 1000
+        };
+
+        const key = normalizeSearchQuery(row.text);
+        const existing = byText.get(key);
+        if (!existing || existing.score < suggestion.score) {
+            byText.set(key, suggestion);
+        }
+    });
+
+    return [...byText.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+// Best correction for a query that returned nothing, or null
+export const getDidYouMean = async (term) => {
+    const [best] = await findSuggestions(term, { limit: 1 });
+    if (!best || normalizeSearchQuery(best.text) === normalizeSearchQuery(term)) {
+        return null;
+    }
+    return best.text;
+};
+
+// ===== FACETS =====
+
+const TAG_FACET_LIMIT = 20;
+
+// Combine the base conditions with every facet filter except `exclude`, so a
+// facet's counts show what each of its values would yield on its own
+export const buildFacetWhere = (baseWhere, facetFilters, exclude = null) => ({
+    [Op.and]: [
+        baseWhere,
+        ...Object.entries(facetFilters)
+            .filter(([facet, filter]) => filter && facet !== exclude)
+            .map(([, filter]) => filter)
+    ]
+});
+
+// Active categories indexed by id and by parent; callers that build many searches
+// (saved-search alerts) load it once and pass it along
+export const loadCategoryTree = async () => {
+    const categories = await Category.findAll({
+        where: { status: 'active' },
+        attributes: ['id', 'name', 'slug', 'parent_id', 'level'],
+        raw: true
+    });
+
+    const childrenOf = new Map();
+    categories.forEach(category => {
+        if (!childrenOf.has(category.parent_id)) {
+            childrenOf.set(category.parent_id, []);
+        }
+        childrenOf.get(category.parent_id).push(category.id);
+    });
+
+    return { categories, byId: new Map(categories.map(category => [category.id, category])), childrenOf };
+};
+
+// Selecting a category also selects everything below it
+export const expandCategoryIds = async (categoryIds, categoryTree = null) => {
+    const { childrenOf } = categoryTree || await loadCategoryTree();
+    const expanded = new Set();
+    const pending = [...categoryIds];
+
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (!expanded.has(id)) {
+            expanded.add(id);
+            pending.push(...(childrenOf.get(id) || []));
+        }
+    }
+
+    return [...expanded];
+};
+
+// Published-date conditions from a date range and/or whole years
+export const buildPublishedAtFilter = ({ dateFrom, dateTo, years = [] }) => {
+    const conditions = [];
+
+    if (dateFrom || dateTo) {
+        const range = {};
+        if (dateFrom) range[Op.gte] = new Date(dateFrom);
+        if (dateTo) range[Op.lte] = new Date(dateTo);
+        conditions.push({ published_at: range });
+    }
+
+    if (years.length > 0) {
+        conditions.push({
+            [Op.or]: years.map(year => ({
+                published_at: {
+                    [Op.gte]: new Date(Date.UTC(year, 0, 1)),
+                    [Op.lt]: new Date(Date.UTC(year + 1, 0, 1))
+                }
+            }))
+        });
+    }
+
+    return conditions.length > 0 ? { [Op.and]: conditions } : null;
+};
+
+const countBy = async (attribute, where, options = {}) => Resource.findAll({
+    attributes: [
+        [attribute, 'value'],
+        [sequelize.fn('COUNT', sequelize.literal('*')), 'count']
+    ],
+    where,
+    group: [sequelize.literal('value')],
+    order: [[sequelize.literal('count'), 'DESC']],
+    raw: true,
+    ...options
+});
+
+// Translate an advanced search body into where clauses
+// Shared by POST /api/search/advanced and saved-search alerts; `viewer` (req.user or the
+// saved search's owner) limits results and facet counts to resources they may view, and
+// `categoryTree` reuses an already loaded loadCategoryTree()
+export const buildAdvancedSearch = async ({
+    query,
+    categories = [],
+    types = [],
+    authors = [],
+    tags = [],
+    years = [],
+    dateFrom,
+    dateTo,
+    minViews,
+    maxViews
+} = {}, { viewer = null, categoryTree = null } = {}) => {
+    const baseWhere = {
+        status: 'published',
+        [Op.and]: [Resource.visibleTo(viewer)]
+    };
+
+    // Text search
+    const textSearch = query && query.trim().length >= 2
+        ? buildFullTextSearch(query.trim())
+        : null;
+    if (textSearch) {
+        Object.assign(baseWhere, textSearch.where);
+    }
+
+    // Author filter
+    if (authors.length > 0) {
+        baseWhere.user_id = { [Op.in]: authors };
+    }
+
+    // Views range filter
+    if (minViews !== undefined || maxViews !== undefined) {
+        baseWhere.views_count = {};
+        if (minViews !== undefined) baseWhere.views_count[Op.gte] = parseInt(minViews);
+        if (maxViews !== undefined) baseWhere.views_count[Op.lte] = parseInt(maxViews);
+    }
+
+    // Faceted filters - each facet's counts ignore its own filter
+    const facetFilters = {
+        // Selecting a category includes its subcategories
+        category: categories.length > 0
+            ? { category_id: { [Op.in]: await expandCategoryIds(categories, categoryTree) } }
+            : null,
+        type: types.length > 0 ? { type: { [Op.in]: types } } : null,
+        tag: tags.length > 0 ? { tags: { [Op.overlap]: tags } } : null,
+        year: buildPublishedAtFilter({ dateFrom, dateTo, years: years.map(year => parseInt(year)) })
+    };
+
+    return {
+        baseWhere,
+        facetFilters,
+        whereClause: buildFacetWhere(baseWhere, facetFilters),
+        textSearch
+    };
+};
+
+// Counts per category (rolled up to ancestors), type, top tags and publication year
+export const getSearchFacets = async (baseWhere, facetFilters) => {
+    const [categoryRows, typeRows, tagRows, yearRows, tree] = await Promise.all([
+        countBy(sequelize.col('category_id'), buildFacetWhere(baseWhere, facetFilters, 'category')),
+        countBy(sequelize.col('type'), buildFacetWhere(baseWhere, facetFilters, 'type')),
+        countBy(sequelize.fn('unnest', sequelize.col('tags')), buildFacetWhere(baseWhere, facetFilters, 'tag'), {
+            limit: TAG_FACET_LIMIT
+        }),
+        countBy(
+            sequelize.literal(`EXTRACT(YEAR FROM "Resource"."published_at" AT TIME ZONE 'UTC')`),
+            buildFacetWhere({ ...baseWhere, published_at: { [Op.ne]: null } }, facetFilters, 'year')
+        ),
+        loadCategoryTree()
+    ]);
+
+    // A resource in "Álgebra" also counts for its parent "Matemáticas"
+    const totals = new Map();
+    categoryRows.forEach(row => {
+        const count = parseInt(row.count);
+        const visited = new Set();
+        let category = tree.byId.get(row.value);
+
+        while (category && !visited.has(category.id)) {
+            visited.add(category.id);
+            totals.set(category.id, (totals.get(category.id) || 0) + count);
+            category = tree.byId.get(category.parent_id);
+        }
+    });
+
+    const directCounts = new Map(categoryRows.map(row => [row.value, parseInt(row.count)]));
+
+    return {
+        categories: tree.categories
+            .filter(category => totals.has(category.id))
+            .map(category => ({
+                id: category.id,
+                name: category.name,
+                slug: category.slug,
+                parent_id: category.parent_id,
+                level: category.level,
+                count: totals.get(category.id),
+                direct_count: directCounts.get(category.id) || 0
+            }))
+            .sort((a, b) => b.count - a.count),
+        types: typeRows.map(row => ({ value: row.value, count: parseInt(row.count) })),
+        tags: tagRows.map(row => ({ value: row.value, count: parseInt(row.count) })),
+        years: yearRows
+            .map(row => ({ value: parseInt(row.value), count: parseInt(row.count) }))
+            .sort((a, b) => b.value - a.value)
+    };
+};
+
+// Lowercase, strip accents and collapse whitespace so "Matemáticas  " and
+// "matematicas" are logged as the same term
+export const normalizeSearchQuery = (query = '') => query
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200);
+
+// Record a search for analytics; never breaks the search itself
+export const logSearchQuery = async ({ query, userId = null, resultsCount, source = 'basic', filters = {} }) => {
+    try {
+        const normalized = normalizeSearchQuery(query);
+        if (normalized.length < 2) {
+            return null;
+        }
+
+        return await SearchQuery.create({
+            query: normalized,
+            user_id: userId,
+            results_count: resultsCount,
+            source,
+            filters
+        });
+    } catch (error) {
+        console.error('Log search query error:', error);
+        return null;
+    }
+};
+
+export default {
+    SEARCH_CONFIG,
+    setupFullTextSearch,
+    buildFullTextSearch,
+    formatHighlight,
+    withHighlights,
+    normalizeSearchQuery,
+    logSearchQuery,
+    findSuggestions,
+    getDidYouMean,
+    buildFacetWhere,
+    loadCategoryTree,
+    expandCategoryIds,
+    buildPublishedAtFilter,
+    buildAdvancedSearch,
+    getSearchFacets
+};
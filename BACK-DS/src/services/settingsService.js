@@ -0,0 +1,18 @@
+// Settings service - platform settings administrators change at runtime
+import { Setting } from '../models/index.js';
+
+// Read a setting, falling back to `defaultValue` when it was never saved
+export const getSetting = async (key, defaultValue = null) => {
+    const setting = await Setting.findByPk(key);
+    return setting ? setting.value : defaultValue;
+};
+
+export const setSetting = async (key, value, updatedBy = null) => {
+    await Setting.upsert({ key, value, updated_by: updatedBy });
+    return value;
+};
+
+export default {
+    getSetting,
+    setSetting
+};
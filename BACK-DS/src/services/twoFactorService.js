@@ -0,0 +1,250 @@
+// Two-factor authentication service - TOTP (RFC 6238) codes and one-time recovery codes
+// Enrollment stores a secret, and 2FA becomes active once the first code is confirmed.
+// Login checks a code through verifySecondFactor.
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { Op } from 'sequelize';
+import { User } from '../models/index.js';
+import { AppError } from '../utils/helpers.js';
+import { hashToken, verifyPassword } from './authService.js';
+import { getSetting, setSetting } from './settingsService.js';
+
+const ISSUER = 'Resource Share';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // also accept the previous and next code, for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles an administrator can force to use 2FA
+export const TWO_FACTOR_ENFORCEABLE_ROLES = ['admin', 'moderator'];
+const REQUIRED_ROLES_SETTING = 'security.two_factor_required_roles';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = ((value << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Secreto base32 inválido');
+        }
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+const generateTotp = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Time step the code belongs to, or null; steps up to `lastStep` were already used
+const matchTotpStep = (secret, code, lastStep = null) => {
+    const now = currentStep();
+
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        if (lastStep !== null && step <= lastStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// Recovery codes look like "1a2b3-c4d5e"; spaces, dashes and case are ignored when checking
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+export const isTwoFactorEnabled = (user) => Boolean(user.two_factor_enabled_at);
+
+export const getTwoFactorRequiredRoles = () => getSetting(REQUIRED_ROLES_SETTING, []);
+
+export const setTwoFactorRequiredRoles = (roles, updatedBy) =>
+    setSetting(REQUIRED_ROLES_SETTING, [...new Set(roles)], updatedBy);
+
+// Whether the user's role must use 2FA (set by administrators)
+export const isTwoFactorRequired = async (user) => (await getTwoFactorRequiredRoles()).includes(user.role);
+
+export const getTwoFactorStatus = async (user) => ({
+    enabled: isTwoFactorEnabled(user),
+    enabledAt: user.two_factor_enabled_at,
+    required: await isTwoFactorRequired(user),
+    recoveryCodesRemaining: isTwoFactorEnabled(user) ? (user.two_factor_recovery_codes || []).length : 0
+});
+
+// Start (or restart) enrollment with a new secret; 2FA stays off until enableTwoFactor
+export const startTwoFactorEnrollment = async (user) => {
+    if (isTwoFactorEnabled(user)) {
+        throw new AppError('La verificación en dos pasos ya está activada', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await user.update({ two_factor_secret: secret, two_factor_last_step: null });
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+    return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+};
+
+// Confirm enrollment with a first code; returns the recovery codes, which are only shown here
+export const enableTwoFactor = async (user, code) => {
+    if (isTwoFactorEnabled(user)) {
+        throw new AppError('La verificación en dos pasos ya está activada', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!user.two_factor_secret) {
+        throw new AppError('Primero inicia la configuración de la verificación en dos pasos', 400, 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+
+    const step = /^\d{6}$/.test(code || '') ? matchTotpStep(user.two_factor_secret, code) : null;
+    if (step === null) {
+        throw new AppError('Código de verificación incorrecto', 400, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({
+        two_factor_enabled_at: new Date(),
+        two_factor_last_step: step,
+        two_factor_recovery_codes: hashes
+    });
+
+    return codes;
+};
+
+// Check a code from the authenticator app or an unused recovery code (which is consumed).
+// The conditional updates make a code accepted at most once, even for concurrent requests.
+export const verifySecondFactor = async (user, code) => {
+    if (!isTwoFactorEnabled(user) || typeof code !== 'string') {
+        return false;
+    }
+
+    const value = code.replace(/\s/g, '');
+
+    if (/^\d{6}$/.test(value)) {
+        const step = matchTotpStep(user.two_factor_secret, value, user.two_factor_last_step);
+        if (step === null) {
+            return false;
+        }
+
+        const [updated] = await User.update({ two_factor_last_step: step }, {
+            where: {
+                id: user.id,
+                [Op.or]: [
+                    { two_factor_last_step: null },
+                    { two_factor_last_step: { [Op.lt]: step } }
+                ]
+            }
+        });
+        return updated > 0;
+    }
+
+    const hash = hashToken(normalizeRecoveryCode(value));
+    const remaining = user.two_factor_recovery_codes || [];
+    if (!remaining.includes(hash)) {
+        return false;
+    }
+
+    const [updated] = await User.update({ two_factor_recovery_codes: remaining.filter(item => item !== hash) }, {
+        where: {
+            id: user.id,
+            two_factor_recovery_codes: { [Op.contains]: [hash] }
+        }
+    });
+    return updated > 0;
+};
+
+// Turn 2FA off; needs the password and a current code, and is refused while the role requires 2FA
+export const disableTwoFactor = async (user, { password, code }) => {
+    if (!isTwoFactorEnabled(user)) {
+        throw new AppError('La verificación en dos pasos no está activada', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (await isTwoFactorRequired(user)) {
+        throw new AppError('Tu rol requiere la verificación en dos pasos', 403, 'TWO_FACTOR_REQUIRED_BY_ROLE');
+    }
+    if (!password || !(await verifyPassword(password, user.password))) {
+        throw new AppError('Contraseña incorrecta', 400, 'INVALID_PASSWORD');
+    }
+    if (!(await verifySecondFactor(user, code))) {
+        throw new AppError('Código de verificación incorrecto', 400, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    await user.update({
+        two_factor_secret: null,
+        two_factor_enabled_at: null,
+        two_factor_recovery_codes: [],
+        two_factor_last_step: null
+    });
+};
+
+// Replace every recovery code after checking a current code
+export const regenerateRecoveryCodes = async (user, code) => {
+    if (!(await verifySecondFactor(user, code))) {
+        throw new AppError('Código de verificación incorrecto', 400, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.update({ two_factor_recovery_codes: hashes }, { where: { id: user.id } });
+    return codes;
+};
+
+export default {
+    TWO_FACTOR_ENFORCEABLE_ROLES,
+    isTwoFactorEnabled,
+    getTwoFactorRequiredRoles,
+    setTwoFactorRequiredRoles,
+    isTwoFactorRequired,
+    getTwoFactorStatus,
+    startTwoFactorEnrollment,
+    enableTwoFactor,
+    verifySecondFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
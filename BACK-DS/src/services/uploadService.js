@@ -2,7 +2,12 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import sharp from 'sharp';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { Resource } from '../models/index.js';
+import { ValidationError } from '../utils/helpers.js';
 
 // Create uploads directory if it doesn't exist
 const createUploadsDir = async (dir) => {
@@ -41,39 +46,56 @@ const storage = multer.diskStorage({
     }
 });
 
+// Allowed MIME types per upload field
+const allowedTypes = {
+    resource_file: [
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/zip',
+        'text/plain',
+        'text/csv',
+        'image/jpeg',
+        'image/png',
+        'image/webp',
+        'image/gif',
+        'video/mp4',
+        'video/webm',
+        'video/quicktime',
+        'audio/mpeg',
+        'audio/wav',
+        'audio/ogg'
+    ],
+    thumbnail: [
+        'image/jpeg',
+        'image/jpg',
+        'image/png',
+        'image/webp'
+    ],
+    profile_picture: [
+        'image/jpeg',
+        'image/jpg',
+        'image/png',
+        'image/webp'
+    ]
+};
+
+export const isAllowedMimeType = (fieldname, mimetype) => {
+    const allowed = allowedTypes[fieldname] || allowedTypes.thumbnail;
+    return allowed.includes(mimetype);
+};
+
 // File filter
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = {
-        resource_file: [
-            'application/pdf',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'application/vnd.ms-powerpoint',
-            'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-            'application/vnd.ms-excel',
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'text/plain'
-        ],
-        thumbnail: [
-            'image/jpeg',
-            'image/jpg',
-            'image/png',
-            'image/webp'
-        ],
-        profile_picture: [
-            'image/jpeg',
-            'image/jpg',
-            'image/png',
-            'image/webp'
-        ]
-    };
-
-    const allowed = allowedTypes[file.fieldname] || allowedTypes.thumbnail;
-    
-    if (allowed.includes(file.mimetype)) {
+    if (isAllowedMimeType(file.fieldname, file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error(`Tipo de archivo no permitido para ${file.fieldname}`), false);
+        const message = `Tipo de archivo no permitido para ${file.fieldname}`;
+        cb(new ValidationError(message, [{ field: file.fieldname, message }], 'INVALID_FILE_TYPE'), false);
     }
 };
 
@@ -87,14 +109,35 @@ export const upload = multer({
     }
 });
 
+// Resolve a stored public path (e.g. /uploads/resources/x.pdf) to an absolute path
+// Returns null for paths that escape the uploads directory
+export const resolveUploadPath = (filePath) => {
+    if (!filePath) {
+        return null;
+    }
+
+    const uploadsRoot = path.join(process.cwd(), 'public', 'uploads');
+    const fullPath = path.resolve(path.join(process.cwd(), 'public', filePath));
+
+    if (!fullPath.startsWith(uploadsRoot + path.sep)) {
+        return null;
+    }
+
+    return fullPath;
+};
+
 // Delete file helper
+// Only files inside the uploads directory can be removed
 export const deleteFile = async (filePath) => {
     try {
-        if (filePath) {
-            const fullPath = path.join(process.cwd(), 'public', filePath);
+        const fullPath = resolveUploadPath(filePath);
+        if (fullPath) {
             await fs.unlink(fullPath);
             return true;
         }
+        if (filePath) {
+            console.warn('Refusing to delete a file outside uploads:', filePath);
+        }
         return false;
     } catch (error) {
         console.error('Delete file error:', error);
@@ -105,7 +148,10 @@ export const deleteFile = async (filePath) => {
 // Get file info
 export const getFileInfo = async (filePath) => {
     try {
-        const fullPath = path.join(process.cwd(), 'public', filePath);
+        const fullPath = resolveUploadPath(filePath);
+        if (!fullPath) {
+            return { exists: false, error: 'Ruta fuera del directorio de cargas' };
+        }
         const stats = await fs.stat(fullPath);
         return {
             exists: true,
@@ -122,6 +168,7 @@ export const getFileInfo = async (filePath) => {
 };
 
 // Process uploaded files
+// Always returns an array per field, e.g. { resource_file: [file], thumbnail: [file] }
 export const processUploadedFiles = (files) => {
     const processedFiles = {};
     
@@ -133,14 +180,304 @@ export const processUploadedFiles = (files) => {
             filename: file.filename,
             path: file.path.replace(/\\/g, '/').replace(process.cwd().replace(/\\/g, '/') + '/public', ''),
             size: file.size,
-            mimetype: file.mimetype
+            mimetype: file.mimetype,
+            format: getFormatFromFile(file.originalname, file.mimetype),
+            type: getResourceTypeFromMime(file.mimetype)
         }));
-        
-        // If only one file, return object instead of array
-        if (processedFiles[fieldName].length === 1) {
-            processedFiles[fieldName] = processedFiles[fieldName][0];
-        }
     });
     
     return processedFiles;
-};
\ No newline at end of file
+};
+
+// Copy uploaded files (resource_file + thumbnail) onto resource attributes
+export const applyUploadedFiles = (data, files, currentMetadata = {}) => {
+    const processedFiles = processUploadedFiles(files);
+    const resourceFile = processedFiles.resource_file?.[0];
+    const thumbnail = processedFiles.thumbnail?.[0];
+
+    if (resourceFile) {
+        data.file_path = resourceFile.path;
+        data.file_size = resourceFile.size;
+        data.format = resourceFile.format;
+        data.type = resourceFile.type;
+        data.metadata = {
+            ...currentMetadata,
+            ...data.metadata,
+            original_name: resourceFile.originalName,
+            mimetype: resourceFile.mimetype
+        };
+    }
+
+    if (thumbnail) {
+        data.thumbnail_url = thumbnail.path;
+    }
+
+    return { resourceFile, thumbnail };
+};
+
+// Remove files stored by multer for this request (e.g. after a failed insert)
+export const cleanupUploadedFiles = async (files) => {
+    if (!files) {
+        return;
+    }
+
+    const fileArrays = Array.isArray(files) ? [files] : Object.values(files);
+
+    await Promise.all(fileArrays.flat().map(async (file) => {
+        try {
+            await fs.unlink(file.path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Cleanup uploaded file error:', error);
+            }
+        }
+    }));
+};
+
+// Map a MIME type to a Resource.type value
+export const getResourceTypeFromMime = (mimetype = '') => {
+    if (mimetype.startsWith('video/')) return 'video';
+    if (mimetype.startsWith('image/')) return 'image';
+    if (mimetype.startsWith('audio/')) return 'audio';
+
+    const documentTypes = [
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+
+    if (documentTypes.includes(mimetype) || mimetype.startsWith('text/')) return 'document';
+
+    return 'other';
+};
+
+// Derive Resource.format (pdf, docx, mp4...) from the file name, falling back to the MIME subtype
+export const getFormatFromFile = (originalName = '', mimetype = '') => {
+    const extension = path.extname(originalName).slice(1).toLowerCase();
+    if (extension) {
+        return extension;
+    }
+    return mimetype.split('/')[1] || null;
+};
+
+// ===== THUMBNAIL & PREVIEW PIPELINE =====
+// Runs in-process after a resource file is stored; no external services involved.
+// Generated images show the file's content, so they live in uploads/previews, which is not
+// served statically: GET /api/resources/:id/thumbnail and /preview check access first
+
+const PREVIEWS_DIR = path.join(process.cwd(), 'public', 'uploads', 'previews');
+const THUMBNAIL_SIZE = { width: 400, height: 300 };
+const PREVIEW_WIDTH = 1200;
+const MAX_PREVIEW_SOURCE_SIZE = 200 * 1024 * 1024; // Larger files are skipped
+const TEXT_SNIPPET_LINES = 24;
+const TEXT_SNIPPET_COLUMNS = 80;
+
+// Standard PDF fonts shipped with pdfjs-dist, needed to render text without embedded fonts
+const PDF_STANDARD_FONTS_DIR = path.join(
+    path.dirname(fileURLToPath(import.meta.resolve('pdfjs-dist/package.json'))),
+    'standard_fonts'
+) + path.sep;
+
+const escapeXml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Write a thumbnail and a larger preview (webp) from any image sharp can read
+const saveThumbnailAndPreview = async (input) => {
+    await createUploadsDir(PREVIEWS_DIR);
+
+    const thumbnailName = `${uuidv4()}.webp`;
+    const previewName = `${uuidv4()}.webp`;
+
+    await sharp(input)
+        .resize(THUMBNAIL_SIZE.width, THUMBNAIL_SIZE.height, { fit: 'cover', position: 'top' })
+        .webp({ quality: 80 })
+        .toFile(path.join(PREVIEWS_DIR, thumbnailName));
+
+    await sharp(input)
+        .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+        .webp({ quality: 85 })
+        .toFile(path.join(PREVIEWS_DIR, previewName));
+
+    return {
+        thumbnailUrl: `/uploads/previews/${thumbnailName}`,
+        previewUrl: `/uploads/previews/${previewName}`
+    };
+};
+
+const renderImage = async (filePath) => {
+    const { width, height } = await sharp(filePath).metadata();
+    const images = await saveThumbnailAndPreview(filePath);
+
+    return { ...images, metadata: { dimensions: { width, height } } };
+};
+
+// Rasterize the first page of a PDF
+const renderPdf = async (filePath) => {
+    const data = new Uint8Array(await fs.readFile(filePath));
+    const pdf = await getDocument({
+        data,
+        isEvalSupported: false,
+        standardFontDataUrl: PDF_STANDARD_FONTS_DIR
+    }).promise;
+
+    try {
+        const page = await pdf.getPage(1);
+        const pageSize = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: PREVIEW_WIDTH / pageSize.width });
+
+        const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        await page.render({ canvasContext: context, viewport }).promise;
+
+        const images = await saveThumbnailAndPreview(canvas.toBuffer('image/png'));
+
+        return {
+            ...images,
+            metadata: {
+                page_count: pdf.numPages,
+                dimensions: {
+                    width: Math.round(pageSize.width),
+                    height: Math.round(pageSize.height)
+                }
+            }
+        };
+    } finally {
+        await pdf.destroy();
+    }
+};
+
+// Render the first lines of a text file as an SVG "page"
+const renderText = async (filePath) => {
+    const handle = await fs.open(filePath, 'r');
+    let content;
+    try {
+        const buffer = Buffer.alloc(TEXT_SNIPPET_LINES * (TEXT_SNIPPET_COLUMNS + 1) * 4);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        content = buffer.subarray(0, bytesRead).toString('utf8');
+    } finally {
+        await handle.close();
+    }
+
+    const lines = content
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, '    ')
+        .split('\n')
+        .slice(0, TEXT_SNIPPET_LINES)
+        .map(line => line.length > TEXT_SNIPPET_COLUMNS ? `${line.slice(0, TEXT_SNIPPET_COLUMNS - 1)}…` : line);
+
+    const lineHeight = 22;
+    const width = PREVIEW_WIDTH;
+    const height = Math.round(width * 0.75);
+    const textNodes = lines
+        .map((line, index) => `<text x="32" y="${48 + index * lineHeight}" xml:space="preserve">${escapeXml(line)}</text>`)
+        .join('');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <rect width="100%" height="100%" fill="#ffffff"/>
+        <g font-family="monospace" font-size="16" fill="#1f2937">${textNodes}</g>
+    </svg>`;
+
+    const images = await saveThumbnailAndPreview(Buffer.from(svg));
+
+    return { ...images, metadata: { snippet_lines: lines.length } };
+};
+
+// Metadata derived from a previous file must not survive a file replacement
+const PREVIEW_METADATA_FIELDS = ['dimensions', 'page_count', 'snippet_lines', 'preview_url', 'generated_thumbnail_url', 'processing'];
+
+const withoutPreviewFields = (metadata = {}) => Object.fromEntries(
+    Object.entries(metadata).filter(([key]) => !PREVIEW_METADATA_FIELDS.includes(key))
+);
+
+const getRenderer = (mimetype = '') => {
+    if (mimetype.startsWith('image/')) return renderImage;
+    if (mimetype === 'application/pdf') return renderPdf;
+    if (mimetype.startsWith('text/')) return renderText;
+    return null;
+};
+
+// Generate thumbnail/preview for a resource and record the results in its metadata
+// A thumbnail uploaded by the user is never replaced
+export const processResourceFile = async (resourceId) => {
+    const resource = await Resource.findByPk(resourceId);
+    if (!resource || !resource.file_path) {
+        return;
+    }
+
+    const metadata = resource.metadata || {};
+    const renderer = getRenderer(metadata.mimetype);
+    const filePath = resolveUploadPath(resource.file_path);
+
+    try {
+        const result = renderer && filePath && resource.file_size <= MAX_PREVIEW_SOURCE_SIZE
+            ? await renderer(filePath)
+            : null;
+
+        // Re-read so edits made while rendering are not lost
+        await resource.reload();
+        const currentMetadata = resource.metadata || {};
+        const hasGeneratedThumbnail = !!currentMetadata.generated_thumbnail_url
+            && resource.thumbnail_url === currentMetadata.generated_thumbnail_url;
+        const keepsUserThumbnail = !!resource.thumbnail_url && !hasGeneratedThumbnail;
+        const updates = {};
+
+        if (result) {
+            updates.metadata = {
+                ...withoutPreviewFields(currentMetadata),
+                ...result.metadata,
+                preview_url: result.previewUrl,
+                generated_thumbnail_url: keepsUserThumbnail ? null : result.thumbnailUrl,
+                processing: { status: 'completed', processed_at: new Date() }
+            };
+            if (!keepsUserThumbnail) {
+                updates.thumbnail_url = result.thumbnailUrl;
+            }
+        } else {
+            // Unsupported type (video, audio, archives...) or too large to render
+            updates.metadata = {
+                ...withoutPreviewFields(currentMetadata),
+                processing: { status: 'skipped', processed_at: new Date() }
+            };
+            if (hasGeneratedThumbnail) {
+                updates.thumbnail_url = null;
+            }
+        }
+
+        await resource.update(updates);
+
+        // Drop images from a previous run
+        if (currentMetadata.preview_url) {
+            await deleteFile(currentMetadata.preview_url);
+        }
+        if (hasGeneratedThumbnail) {
+            await deleteFile(currentMetadata.generated_thumbnail_url);
+        }
+        if (result && keepsUserThumbnail) {
+            await deleteFile(result.thumbnailUrl);
+        }
+    } catch (error) {
+        console.error('Resource preview generation error:', error);
+        await resource.update({
+            metadata: {
+                ...metadata,
+                processing: { status: 'failed', processed_at: new Date(), error: error.message }
+            }
+        });
+    }
+};
+
+// Resources are processed one at a time in the background
+let processingQueue = Promise.resolve();
+
+export const queueResourceProcessing = (resourceId) => {
+    processingQueue = processingQueue
+        .then(() => processResourceFile(resourceId))
+        .catch(error => console.error('Resource processing error:', error));
+    return processingQueue;
+};
@@ -1,4 +1,17 @@
 import Joi from 'joi';
+import { ValidationError } from '../utils/helpers.js';
+
+// Password policy shared by registration, password change and password reset
+// (the frontend forms check the same rules)
+export const passwordRule = Joi.string()
+    .min(8)
+    .max(128)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .messages({
+        'string.min': 'La contraseña debe tener al menos 8 caracteres',
+        'string.max': 'La contraseña no puede tener más de 128 caracteres',
+        'string.pattern.base': 'La contraseña debe contener al menos una mayúscula, una minúscula y un número'
+    });
 
 // User validation schemas
 export const userValidation = {
@@ -21,13 +34,9 @@ export const userValidation = {
                 'any.required': 'El email es requerido'
             }),
         
-        password: Joi.string()
-            .min(8)
-            .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        password: passwordRule
             .required()
             .messages({
-                'string.min': 'La contraseña debe tener al menos 8 caracteres',
-                'string.pattern.base': 'La contraseña debe contener al menos una mayúscula, una minúscula y un número',
                 'any.required': 'La contraseña es requerida'
             }),
         
@@ -37,11 +46,7 @@ export const userValidation = {
         
         last_name: Joi.string()
             .max(50)
-            .optional(),
-        
-        role: Joi.string()
-            .valid('user', 'moderator', 'admin')
-            .default('user')
+            .optional()
     }),
 
     login: Joi.object({
@@ -98,13 +103,27 @@ export const userValidation = {
                 'any.required': 'La contraseña actual es requerida'
             }),
         
-        newPassword: Joi.string()
-            .min(8)
-            .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        newPassword: passwordRule
+            .required()
+            .messages({
+                'any.required': 'La nueva contraseña es requerida'
+            })
+    }),
+
+    resetPassword: Joi.object({
+        token: Joi.string()
+            .hex()
+            .length(64)
+            .required()
+            .messages({
+                'string.hex': 'El enlace de restablecimiento no es válido o ha expirado',
+                'string.length': 'El enlace de restablecimiento no es válido o ha expirado',
+                'any.required': 'El token es requerido'
+            }),
+
+        password: passwordRule
             .required()
             .messages({
-                'string.min': 'La nueva contraseña debe tener al menos 8 caracteres',
-                'string.pattern.base': 'La nueva contraseña debe contener al menos una mayúscula, una minúscula y un número',
                 'any.required': 'La nueva contraseña es requerida'
             })
     })
@@ -304,10 +323,12 @@ export const commentValidation = {
                 'any.required': 'El contenido del comentario es requerido'
             }),
         
-        parent_id: Joi.number()
-            .integer()
-            .positive()
+        parent_id: Joi.string()
+            .uuid()
             .optional()
+            .messages({
+                'string.guid': 'ID de comentario padre inválido'
+            })
     }),
 
     update: Joi.object({
@@ -320,37 +341,573 @@ export const commentValidation = {
                 'string.max': 'El comentario no puede tener más de 1000 caracteres',
                 'any.required': 'El contenido del comentario es requerido'
             })
+    }),
+
+    moderate: Joi.object({
+        status: Joi.string()
+            .valid('published', 'hidden')
+            .required()
+            .messages({
+                'any.only': 'Estado de comentario inválido',
+                'any.required': 'El estado es requerido'
+            })
     })
 };
 
-// General validation functions
-export const validatePagination = (query) => {
-    const schema = Joi.object({
+// Rating validation schema
+export const ratingValidation = {
+    rate: Joi.object({
+        rating: Joi.number()
+            .integer()
+            .min(1)
+            .max(5)
+            .required()
+            .messages({
+                'number.base': 'La calificación debe ser un número',
+                'number.min': 'La calificación mínima es 1',
+                'number.max': 'La calificación máxima es 5',
+                'any.required': 'La calificación es requerida'
+            }),
+
+        review: Joi.string()
+            .max(500)
+            .allow('')
+            .optional()
+            .messages({
+                'string.max': 'La reseña no puede tener más de 500 caracteres'
+            })
+    })
+};
+
+// Chunked upload validation schema
+export const uploadValidation = {
+    init: Joi.object({
+        filename: Joi.string()
+            .min(1)
+            .max(255)
+            .required()
+            .messages({
+                'string.max': 'El nombre del archivo no puede tener más de 255 caracteres',
+                'any.required': 'El nombre del archivo es requerido'
+            }),
+
+        mimetype: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'El tipo de archivo es requerido'
+            }),
+
+        size: Joi.number()
+            .integer()
+            .min(1)
+            .required()
+            .messages({
+                'number.base': 'El tamaño debe ser un número',
+                'number.min': 'El archivo no puede estar vacío',
+                'any.required': 'El tamaño del archivo es requerido'
+            }),
+
+        chunk_size: Joi.number()
+            .integer()
+            .min(1)
+            .optional(),
+
+        checksum: Joi.string()
+            .hex()
+            .length(64)
+            .optional()
+            .messages({
+                'string.hex': 'La suma de verificación debe ser SHA-256 en hexadecimal',
+                'string.length': 'La suma de verificación debe ser SHA-256 en hexadecimal'
+            })
+    })
+};
+
+// Values mirrored from the Resource and User model enums
+const RESOURCE_TYPES = ['document', 'video', 'image', 'audio', 'link', 'other'];
+const RESOURCE_STATUSES = ['draft', 'published', 'archived', 'under_review', 'rejected'];
+const USER_ROLES = ['user', 'admin', 'moderator'];
+const USER_STATUSES = ['active', 'inactive', 'suspended', 'pending_verification'];
+
+// Saved search validation schemas
+// Filters accepted by POST /api/search/advanced (also stored by saved searches)
+const advancedSearchFilters = {
+    query: Joi.string().allow('').max(200),
+    categories: Joi.array().items(Joi.string().uuid()),
+    types: Joi.array().items(Joi.string().valid(...RESOURCE_TYPES)),
+    authors: Joi.array().items(Joi.string().uuid()),
+    tags: Joi.array().items(Joi.string()),
+    years: Joi.array().items(Joi.number().integer()),
+    dateFrom: Joi.date().iso(),
+    dateTo: Joi.date().iso(),
+    minViews: Joi.number().integer().min(0),
+    maxViews: Joi.number().integer().min(0)
+};
+
+const savedSearchFilters = Joi.object(advancedSearchFilters).messages({
+    'object.base': 'Los filtros deben ser un objeto'
+});
+
+const alertFrequency = Joi.string()
+    .valid('none', 'immediate', 'daily')
+    .messages({
+        'any.only': 'La frecuencia de alertas debe ser none, immediate o daily'
+    });
+
+export const savedSearchValidation = {
+    create: Joi.object({
+        name: Joi.string()
+            .trim()
+            .min(1)
+            .max(100)
+            .required()
+            .messages({
+                'string.empty': 'El nombre de la búsqueda es requerido',
+                'string.max': 'El nombre no puede tener más de 100 caracteres',
+                'any.required': 'El nombre de la búsqueda es requerido'
+            }),
+
+        filters: savedSearchFilters.required().messages({
+            'any.required': 'Los filtros de la búsqueda son requeridos'
+        }),
+
+        alert_frequency: alertFrequency.default('none')
+    }),
+
+    update: Joi.object({
+        name: Joi.string()
+            .trim()
+            .min(1)
+            .max(100)
+            .messages({
+                'string.empty': 'El nombre de la búsqueda no puede estar vacío',
+                'string.max': 'El nombre no puede tener más de 100 caracteres'
+            }),
+
+        filters: savedSearchFilters,
+
+        alert_frequency: alertFrequency
+    }).min(1).messages({
+        'object.min': 'No se proporcionaron campos para actualizar'
+    })
+};
+
+// Permission management validation schemas
+const permissionSegment = Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9_]+$/)
+    .max(50);
+
+export const permissionValidation = {
+    create: Joi.object({
+        resource: permissionSegment
+            .required()
+            .messages({
+                'string.pattern.base': 'El recurso solo puede contener letras, números y guiones bajos',
+                'any.required': 'El recurso es requerido'
+            }),
+
+        action: permissionSegment
+            .required()
+            .messages({
+                'string.pattern.base': 'La acción solo puede contener letras, números y guiones bajos',
+                'any.required': 'La acción es requerida'
+            }),
+
+        description: Joi.string()
+            .trim()
+            .max(500)
+            .allow('')
+            .messages({
+                'string.max': 'La descripción no puede tener más de 500 caracteres'
+            })
+    }),
+
+    update: Joi.object({
+        description: Joi.string()
+            .trim()
+            .max(500)
+            .allow('')
+            .messages({
+                'string.max': 'La descripción no puede tener más de 500 caracteres'
+            }),
+
+        status: Joi.string()
+            .valid('active', 'inactive')
+            .messages({
+                'any.only': 'El estado debe ser active o inactive'
+            })
+    }).min(1).messages({
+        'object.min': 'No se proporcionaron campos para actualizar'
+    }),
+
+    grant: Joi.object({
+        permission_id: Joi.string()
+            .uuid()
+            .required()
+            .messages({
+                'string.guid': 'ID de permiso inválido',
+                'any.required': 'El permiso es requerido'
+            }),
+
+        expires_at: Joi.date()
+            .iso()
+            .greater('now')
+            .allow(null)
+            .messages({
+                'date.format': 'La fecha de expiración debe tener formato ISO',
+                'date.greater': 'La fecha de expiración debe ser futura'
+            })
+    })
+};
+
+export const securityValidation = {
+    settings: Joi.object({
+        two_factor_required_roles: Joi.array()
+            .items(Joi.string().valid('admin', 'moderator'))
+            .unique()
+            .required()
+            .messages({
+                'any.only': 'Solo se puede exigir la verificación en dos pasos a los roles admin y moderator',
+                'array.unique': 'Los roles no pueden repetirse',
+                'any.required': 'Los roles son requeridos'
+            })
+    })
+};
+
+export const oidcValidation = {
+    start: Joi.object({
+        redirect: Joi.string()
+            .max(500)
+            .allow('', null)
+    }),
+
+    callback: Joi.object({
+        code: Joi.string()
+            .max(2048)
+            .required()
+            .messages({
+                'any.required': 'El código de autorización es requerido'
+            }),
+
+        state: Joi.string()
+            .max(128)
+            .required()
+            .messages({
+                'any.required': 'El parámetro state es requerido'
+            }),
+
+        browserBinding: Joi.string()
+            .max(128)
+            .required()
+            .messages({
+                'any.required': 'El inicio de sesión debe completarse en el navegador que lo inició'
+            })
+    })
+};
+
+const identityProviderFields = {
+    slug: Joi.string()
+        .pattern(/^[a-z0-9-]+$/)
+        .min(2)
+        .max(50)
+        .messages({
+            'string.pattern.base': 'El identificador solo puede contener minúsculas, números y guiones',
+            'string.min': 'El identificador debe tener al menos 2 caracteres',
+            'string.max': 'El identificador no puede tener más de 50 caracteres'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .min(2)
+        .max(100)
+        .messages({
+            'string.min': 'El nombre debe tener al menos 2 caracteres',
+            'string.max': 'El nombre no puede tener más de 100 caracteres'
+        }),
+
+    issuer: Joi.string()
+        .uri({ scheme: ['https', 'http'] })
+        .max(500)
+        .messages({
+            'string.uri': 'El emisor (issuer) debe ser una URL válida'
+        }),
+
+    client_id: Joi.string()
+        .max(255),
+
+    client_secret: Joi.string()
+        .max(500)
+        .allow('', null),
+
+    scopes: Joi.string()
+        .max(255)
+        .pattern(/(^|\s)openid(\s|$)/)
+        .messages({
+            'string.pattern.base': 'Los scopes deben incluir openid'
+        }),
+
+    enabled: Joi.boolean(),
+
+    allow_provisioning: Joi.boolean(),
+
+    default_role: Joi.string()
+        .valid('user', 'moderator')
+        .messages({
+            'any.only': 'El rol por defecto debe ser user o moderator'
+        }),
+
+    allowed_domains: Joi.array()
+        .items(Joi.string().domain({ tlds: false }).lowercase())
+        .unique()
+        .max(20)
+        .messages({
+            'string.domain': 'Dominio de correo inválido',
+            'array.unique': 'Los dominios no pueden repetirse'
+        })
+};
+
+export const identityProviderValidation = {
+    create: Joi.object({
+        ...identityProviderFields,
+        slug: identityProviderFields.slug.required().messages({ 'any.required': 'El identificador es requerido' }),
+        name: identityProviderFields.name.required().messages({ 'any.required': 'El nombre es requerido' }),
+        issuer: identityProviderFields.issuer.required().messages({ 'any.required': 'El emisor (issuer) es requerido' }),
+        client_id: identityProviderFields.client_id.required().messages({ 'any.required': 'El client_id es requerido' })
+    }),
+
+    update: Joi.object(identityProviderFields).min(1).messages({
+        'object.min': 'No se proporcionaron campos para actualizar'
+    })
+};
+
+// List query definitions
+// Each list endpoint declares the sort aliases it accepts (alias -> column, or a
+// function returning several order keys) and the filters it understands.
+// A `null` sort is computed by the controller (e.g. full-text relevance).
+const ratingOrder = (order) => [['rating_average', order], ['rating_count', 'DESC']];
+
+const resourceSortFields = {
+    created_at: 'created_at',
+    date: 'published_at',
+    published_at: 'published_at',
+    title: 'title',
+    views: 'views_count',
+    downloads: 'downloads_count',
+    likes: 'likes_count',
+    rating: ratingOrder
+};
+
+const resourceTypeFilter = Joi.string()
+    .valid(...RESOURCE_TYPES)
+    .messages({
+        'any.only': `El tipo debe ser uno de: ${RESOURCE_TYPES.join(', ')}`
+    });
+
+const resourceStatusFilter = Joi.string()
+    .valid(...RESOURCE_STATUSES)
+    .messages({
+        'any.only': `El estado debe ser uno de: ${RESOURCE_STATUSES.join(', ')}`
+    });
+
+const dateRangeFilters = {
+    dateFrom: Joi.date().iso().messages({
+        'date.base': 'dateFrom debe ser una fecha válida',
+        'date.format': 'dateFrom debe tener formato ISO 8601'
+    }),
+    dateTo: Joi.date().iso().messages({
+        'date.base': 'dateTo debe ser una fecha válida',
+        'date.format': 'dateTo debe tener formato ISO 8601'
+    })
+};
+
+const minRatingFilter = Joi.number()
+    .min(0)
+    .max(5)
+    .messages({
+        'number.base': 'minRating debe ser un número',
+        'number.min': 'minRating debe estar entre 0 y 5',
+        'number.max': 'minRating debe estar entre 0 y 5'
+    });
+
+export const listQueryValidation = {
+    resources: {
+        sort: resourceSortFields,
+        defaultSort: 'created_at',
+        filters: {
+            category: Joi.string().uuid().messages({ 'string.guid': 'La categoría debe ser un UUID válido' }),
+            type: resourceTypeFilter,
+            author: Joi.string().uuid().messages({ 'string.guid': 'El autor debe ser un UUID válido' }),
+            search: Joi.string().trim().max(200),
+            minRating: minRatingFilter,
+            status: resourceStatusFilter.default('published')
+        }
+    },
+
+    userResources: {
+        sort: resourceSortFields,
+        defaultSort: 'created_at',
+        filters: {
+            status: resourceStatusFilter
+        }
+    },
+
+    users: {
+        sort: {
+            created_at: 'created_at',
+            name: 'name',
+            email: 'email',
+            last_login: 'last_login_at'
+        },
+        defaultSort: 'created_at',
+        filters: {
+            search: Joi.string().trim().max(200),
+            status: Joi.string().valid(...USER_STATUSES).messages({
+                'any.only': `El estado debe ser uno de: ${USER_STATUSES.join(', ')}`
+            }),
+            role: Joi.string().valid(...USER_ROLES).messages({
+                'any.only': `El rol debe ser uno de: ${USER_ROLES.join(', ')}`
+            })
+        }
+    },
+
+    auditLog: {
+        sort: {
+            created_at: 'created_at'
+        },
+        defaultSort: 'created_at',
+        filters: {
+            action: Joi.string().trim().max(50),
+            user: Joi.string().uuid().messages({ 'string.guid': 'El usuario debe ser un UUID válido' })
+        }
+    },
+
+    moderation: {
+        sort: {
+            created_at: 'created_at',
+            updated_at: 'updated_at',
+            published_at: 'published_at',
+            title: 'title'
+        },
+        defaultSort: 'created_at',
+        filters: {
+            status: resourceStatusFilter,
+            type: resourceTypeFilter
+        }
+    },
+
+    search: {
+        sort: {
+            relevance: null,
+            date: 'published_at',
+            title: 'title',
+            views: 'views_count',
+            likes: 'likes_count',
+            rating: ratingOrder
+        },
+        defaultSort: 'relevance',
+        maxLimit: 50,
+        filters: {
+            category: Joi.string().uuid().messages({ 'string.guid': 'La categoría debe ser un UUID válido' }),
+            type: resourceTypeFilter,
+            ...dateRangeFilters,
+            minRating: minRatingFilter
+        }
+    },
+
+    advancedSearch: {
+        sort: {
+            relevance: null,
+            date: 'published_at',
+            title: 'title',
+            views: 'views_count',
+            likes: 'likes_count',
+            rating: ratingOrder
+        },
+        defaultSort: 'relevance',
+        maxLimit: 50,
+        filters: advancedSearchFilters
+    }
+};
+
+// Pagination and sort keys shared by every list endpoint
+const listQueryKeys = ({ sort, defaultSort, defaultOrder = 'DESC', maxLimit = 100 } = {}) => {
+    const sortAliases = sort ? Object.keys(sort) : null;
+
+    return {
         page: Joi.number()
             .integer()
             .min(1)
-            .default(1),
-        
+            .messages({
+                'number.base': 'page debe ser un número',
+                'number.min': 'page debe ser mayor o igual a 1'
+            }),
+
         limit: Joi.number()
             .integer()
             .min(1)
-            .max(100)
-            .default(20),
-        
-        sort: Joi.string()
-            .optional(),
-        
+            .max(maxLimit)
+            .default(20)
+            .messages({
+                'number.base': 'limit debe ser un número',
+                'number.min': 'limit debe ser mayor o igual a 1',
+                'number.max': `limit no puede ser mayor que ${maxLimit}`
+            }),
+
+        cursor: Joi.string()
+            .max(2000),
+
+        paginate: Joi.string()
+            .valid('offset', 'cursor')
+            .messages({
+                'any.only': 'paginate debe ser offset o cursor'
+            }),
+
+        withTotal: Joi.boolean()
+            .default(true),
+
+        sort: sortAliases
+            ? Joi.string()
+                .valid(...sortAliases)
+                .default(defaultSort)
+                .messages({
+                    'any.only': `sort debe ser uno de: ${sortAliases.join(', ')}`
+                })
+            : Joi.string().optional(),
+
         order: Joi.string()
-            .valid('ASC', 'DESC', 'asc', 'desc')
-            .default('DESC')
+            .uppercase()
+            .valid('ASC', 'DESC')
+            .default(defaultOrder)
+            .messages({
+                'any.only': 'order debe ser ASC o DESC'
+            })
+    };
+};
+
+const listQueryOptions = {
+    abortEarly: false,
+    stripUnknown: true
+};
+
+// General validation functions
+export const validatePagination = (query, definition = {}) => {
+    const schema = Joi.object({
+        ...listQueryKeys(definition),
+        ...definition.filters
     });
 
-    return schema.validate(query);
+    return schema.validate(query, listQueryOptions);
 };
 
-export const validateSearch = (query) => {
+export const validateSearch = (query, definition = listQueryValidation.search) => {
     const schema = Joi.object({
+        ...listQueryKeys(definition),
+        ...definition.filters,
+
         q: Joi.string()
+            .trim()
             .min(2)
             .max(200)
             .required()
@@ -358,32 +915,37 @@ export const validateSearch = (query) => {
                 'string.min': 'La consulta de búsqueda debe tener al menos 2 caracteres',
                 'string.max': 'La consulta de búsqueda es demasiado larga',
                 'any.required': 'La consulta de búsqueda es requerida'
-            }),
-        
-        category: Joi.alternatives()
-            .try(
-                Joi.number().integer().positive(),
-                Joi.string()
-            )
-            .optional(),
-        
-        type: Joi.string()
-            .valid('document', 'presentation', 'spreadsheet', 'image', 'video', 'audio', 'other')
-            .optional(),
-        
-        page: Joi.number()
-            .integer()
-            .min(1)
-            .default(1),
-        
-        limit: Joi.number()
-            .integer()
-            .min(1)
-            .max(50)
-            .default(20)
+            })
     });
 
-    return schema.validate(query);
+    return schema.validate(query, listQueryOptions);
+};
+
+// Joi error -> ValidationError with one { field, message } per failed rule
+export const toValidationError = (error) => new ValidationError('Error de validación', error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+})));
+
+// List query middleware creator
+// Replaces req.query (or req.body) with the validated, defaulted values
+export const createListQueryMiddleware = (definition, { validate = validatePagination, source = 'query' } = {}) => {
+    return (req, res, next) => {
+        const data = source === 'query' ? req.query : req.body;
+        const { error, value } = validate(data, definition);
+
+        if (error) {
+            return next(toValidationError(error));
+        }
+
+        if (source === 'query') {
+            req.query = value;
+        } else {
+            req.body = value;
+        }
+
+        next();
+    };
 };
 
 // Validation middleware creator
@@ -396,15 +958,7 @@ export const createValidationMiddleware = (schema, source = 'body') => {
         });
 
         if (error) {
-            const errorMessages = error.details.map(detail => ({
-                field: detail.path.join('.'),
-                message: detail.message
-            }));
-
-            return res.status(400).json({
-                message: 'Error de validación',
-                errors: errorMessages
-            });
+            return next(toValidationError(error));
         }
 
         // Replace the original data with validated data
@@ -1,40 +1,73 @@
 // Error handling utilities
+// Operational errors carry an HTTP status, a machine-readable code and optional
+// details; errorHandler (responseMiddleware.js) turns them into the error envelope
+const DEFAULT_ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE',
+    422: 'UNPROCESSABLE_ENTITY',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'BAD_GATEWAY',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+export const defaultErrorCode = (statusCode) => DEFAULT_ERROR_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
 export class AppError extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode = 500, code = defaultErrorCode(statusCode), details = null) {
         super(message);
         this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
         this.isOperational = true;
         
         Error.captureStackTrace(this, this.constructor);
     }
 }
 
-// Async wrapper to handle promise rejections
+// `details` is a list of { field, message }
+export class ValidationError extends AppError {
+    constructor(message = 'Error de validación', details = null, code = 'VALIDATION_ERROR') {
+        super(message, 400, code, details);
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    constructor(message = 'Token de autenticación requerido', code = 'UNAUTHORIZED') {
+        super(message, 401, code);
+    }
+}
+
+export class ForbiddenError extends AppError {
+    constructor(message = 'Acceso denegado. No tienes permiso para realizar esta acción.', code = 'FORBIDDEN') {
+        super(message, 403, code);
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message = 'Recurso no encontrado', code = 'NOT_FOUND') {
+        super(message, 404, code);
+    }
+}
+
+export class ConflictError extends AppError {
+    constructor(message, code = 'CONFLICT', details = null) {
+        super(message, 409, code, details);
+    }
+}
+
+// Async wrapper: rejected promises go to errorHandler
 export const asyncHandler = (fn) => {
     return (req, res, next) => {
         Promise.resolve(fn(req, res, next)).catch(next);
     };
 };
 
-// Response formatter
-export const successResponse = (res, data, message = 'Success', statusCode = 200) => {
-    res.status(statusCode).json({
-        success: true,
-        message,
-        data,
-        timestamp: new Date().toISOString()
-    });
-};
-
-export const errorResponse = (res, message = 'Error', statusCode = 500, errors = null) => {
-    res.status(statusCode).json({
-        success: false,
-        message,
-        errors,
-        timestamp: new Date().toISOString()
-    });
-};
-
 // Pagination helper
 export const getPaginationData = (page, limit, total) => {
     const currentPage = parseInt(page) || 1;
@@ -63,6 +96,24 @@ export const generateSlug = (text) => {
         .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
 };
 
+// Normalize tags sent as an array, a JSON string or a comma separated string
+export const normalizeTags = (tags) => {
+    if (tags === undefined || Array.isArray(tags)) {
+        return tags;
+    }
+
+    try {
+        const parsed = JSON.parse(tags);
+        if (Array.isArray(parsed)) {
+            return parsed;
+        }
+    } catch {
+        // Not JSON - fall back to comma separated
+    }
+
+    return String(tags).split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
 // File size formatter
 export const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
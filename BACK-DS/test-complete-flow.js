@@ -62,6 +62,22 @@ const testCompleteFlow = async () => {
             console.log('❌ LOGIN FALLIDO - Contraseña incorrecta');
         }
 
+        console.log('\n🔧 === SESIONES ACTIVAS ===');
+
+        // 4. Abrir una sesión y comprobar que la lista de sesiones trae ambas fechas
+        const { generateTokenPair, listUserSessions } = await import('./src/services/authService.js');
+        await generateTokenPair(foundUser, { userAgent: 'test-complete-flow', ipAddress: '127.0.0.1' });
+
+        const sessions = await listUserSessions(foundUser.id);
+        const incomplete = sessions.filter(session => !session.created_at || !session.last_used_at);
+
+        if (sessions.length > 0 && incomplete.length === 0) {
+            console.log('✅ Sesiones con created_at y last_used_at:', sessions.length);
+        } else {
+            console.log('❌ Sesiones sin fechas:', incomplete);
+            process.exitCode = 1;
+        }
+
     } catch (error) {
         console.error('❌ Error en el test:', error.message);
     } finally {
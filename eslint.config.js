@@ -35,4 +35,11 @@ export default [
       ],
     },
   },
+  {
+    // The backend runs on Node (process, Buffer...)
+    files: ['BACK-DS/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
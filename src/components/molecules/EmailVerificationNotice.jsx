@@ -0,0 +1,51 @@
+// ✉️ Email Verification Notice Molecule - "Check your inbox" message with a resend action
+// Following Single Responsibility Principle
+
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { Button } from '../atoms';
+import { cn } from '../../utils/classNames';
+
+const EmailVerificationNotice = ({
+  email,
+  message = 'Te enviamos un enlace para verificar tu correo electrónico.',
+  onResend,
+  className,
+}) => {
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    const success = await onResend?.(email);
+    setSending(false);
+    setSent(Boolean(success));
+  };
+
+  return (
+    <div className={cn('rounded-md border border-blue-200 bg-blue-50 p-4 text-sm text-blue-900 space-y-3', className)}>
+      <p>
+        {message}
+        {email && <> Revisa la bandeja de entrada de <strong>{email}</strong>.</>}
+      </p>
+      {onResend && (
+        sent ? (
+          <p className="text-blue-700">Si la cuenta está pendiente de verificación, recibirás un nuevo enlace.</p>
+        ) : (
+          <Button variant="outline" size="sm" loading={sending} disabled={!email} onClick={handleResend}>
+            Reenviar correo de verificación
+          </Button>
+        )
+      )}
+    </div>
+  );
+};
+
+EmailVerificationNotice.propTypes = {
+  email: PropTypes.string,
+  message: PropTypes.string,
+  onResend: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default EmailVerificationNotice;
@@ -0,0 +1,61 @@
+// 🏷️ Facet Filter Molecule - Clickable filter values with result counts
+// Following Single Responsibility Principle
+
+import PropTypes from 'prop-types';
+import { cn } from '../../utils/classNames';
+
+const FacetFilter = ({
+  title,
+  options = [],
+  selected = [],
+  onToggle,
+  className,
+}) => {
+  if (options.length === 0) {
+    return null;
+  }
+
+  return (
+    <fieldset className={cn('space-y-2', className)}>
+      <legend className="text-sm font-semibold text-gray-900">{title}</legend>
+      <ul className="space-y-1">
+        {options.map((option) => {
+          const isSelected = selected.includes(option.value);
+          return (
+            <li key={option.value} style={{ paddingLeft: `${(option.level || 0) * 0.75}rem` }}>
+              <label className="flex items-center justify-between gap-2 text-sm cursor-pointer">
+                <span className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    onChange={() => onToggle?.(option.value)}
+                    className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className={isSelected ? 'font-medium text-gray-900' : 'text-gray-700'}>
+                    {option.label}
+                  </span>
+                </span>
+                <span className="text-xs text-gray-500">{option.count}</span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+    </fieldset>
+  );
+};
+
+FacetFilter.propTypes = {
+  title: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    label: PropTypes.string.isRequired,
+    count: PropTypes.number.isRequired,
+    level: PropTypes.number,
+  })),
+  selected: PropTypes.array,
+  onToggle: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default FacetFilter;
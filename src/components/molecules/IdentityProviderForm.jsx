@@ -0,0 +1,178 @@
+// 🏛️ Identity Provider Form Molecule - Create or edit an OpenID Connect provider
+// Following Single Responsibility Principle
+
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { Button, Input } from '../atoms';
+import { cn } from '../../utils/classNames';
+
+const SELECT_CLASS_NAME = 'h-10 w-full rounded-md border border-gray-300 bg-white px-3 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const CHECKBOX_CLASS_NAME = 'h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500';
+
+const EMPTY_PROVIDER = {
+  slug: '',
+  name: '',
+  issuer: '',
+  client_id: '',
+  scopes: 'openid email profile',
+  enabled: false,
+  allow_provisioning: true,
+  default_role: 'user',
+  allowed_domains: [],
+};
+
+const IdentityProviderForm = ({
+  provider,
+  onSubmit,
+  onCancel,
+  className,
+}) => {
+  const initial = provider || EMPTY_PROVIDER;
+  const [values, setValues] = useState({
+    slug: initial.slug,
+    name: initial.name,
+    issuer: initial.issuer,
+    client_id: initial.client_id,
+    client_secret: '',
+    scopes: initial.scopes,
+    enabled: initial.enabled,
+    allow_provisioning: initial.allow_provisioning,
+    default_role: initial.default_role,
+    allowed_domains: (initial.allowed_domains || []).join(', '),
+  });
+  const [submitting, setSubmitting] = useState(false);
+
+  const setField = (field, value) => setValues((current) => ({ ...current, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    // The secret is never sent back by the API: empty keeps the stored one when editing
+    const { client_secret, allowed_domains, ...fields } = values;
+    await onSubmit?.({
+      ...fields,
+      ...(client_secret && { client_secret }),
+      allowed_domains: allowed_domains.split(',').map((domain) => domain.trim().toLowerCase()).filter(Boolean),
+    });
+    setSubmitting(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={cn('space-y-4', className)}>
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <Input
+          label="Nombre"
+          placeholder="Campus universitario"
+          value={values.name}
+          onChange={(e) => setField('name', e.target.value)}
+          required
+        />
+        <Input
+          label="Identificador"
+          placeholder="campus"
+          pattern="[a-z0-9-]+"
+          value={values.slug}
+          onChange={(e) => setField('slug', e.target.value)}
+          required
+        />
+        <Input
+          label="Emisor (issuer)"
+          type="url"
+          placeholder="https://sso.universidad.edu"
+          value={values.issuer}
+          onChange={(e) => setField('issuer', e.target.value)}
+          required
+        />
+        <Input
+          label="Scopes"
+          value={values.scopes}
+          onChange={(e) => setField('scopes', e.target.value)}
+          required
+        />
+        <Input
+          label="Client ID"
+          value={values.client_id}
+          onChange={(e) => setField('client_id', e.target.value)}
+          required
+        />
+        <Input
+          label="Client secret"
+          type="password"
+          autoComplete="new-password"
+          placeholder={provider?.has_client_secret ? 'Sin cambios' : 'Vacío para clientes públicos'}
+          value={values.client_secret}
+          onChange={(e) => setField('client_secret', e.target.value)}
+        />
+        <Input
+          label="Dominios de correo permitidos"
+          placeholder="universidad.edu, alumnos.universidad.edu"
+          value={values.allowed_domains}
+          onChange={(e) => setField('allowed_domains', e.target.value)}
+        />
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-gray-700">Rol de las cuentas nuevas</label>
+          <select
+            className={SELECT_CLASS_NAME}
+            value={values.default_role}
+            onChange={(e) => setField('default_role', e.target.value)}
+          >
+            <option value="user">Usuario</option>
+            <option value="moderator">Moderador</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-6">
+        <label className="flex items-center gap-2 text-sm text-gray-900">
+          <input
+            type="checkbox"
+            className={CHECKBOX_CLASS_NAME}
+            checked={values.enabled}
+            onChange={(e) => setField('enabled', e.target.checked)}
+          />
+          Habilitado en el inicio de sesión
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-900">
+          <input
+            type="checkbox"
+            className={CHECKBOX_CLASS_NAME}
+            checked={values.allow_provisioning}
+            onChange={(e) => setField('allow_provisioning', e.target.checked)}
+          />
+          Crear cuentas para usuarios nuevos
+        </label>
+      </div>
+
+      <div className="flex gap-3">
+        <Button type="submit" size="sm" loading={submitting}>
+          {provider ? 'Guardar cambios' : 'Añadir proveedor'}
+        </Button>
+        {onCancel && (
+          <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+            Cancelar
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+IdentityProviderForm.propTypes = {
+  provider: PropTypes.shape({
+    slug: PropTypes.string,
+    name: PropTypes.string,
+    issuer: PropTypes.string,
+    client_id: PropTypes.string,
+    has_client_secret: PropTypes.bool,
+    scopes: PropTypes.string,
+    enabled: PropTypes.bool,
+    allow_provisioning: PropTypes.bool,
+    default_role: PropTypes.oneOf(['user', 'moderator']),
+    allowed_domains: PropTypes.arrayOf(PropTypes.string),
+  }),
+  onSubmit: PropTypes.func,
+  onCancel: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default IdentityProviderForm;
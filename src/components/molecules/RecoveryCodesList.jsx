@@ -0,0 +1,72 @@
+// 🔑 Recovery Codes List Molecule - One-time 2FA recovery codes with copy and download
+// Following Single Responsibility Principle
+
+import PropTypes from 'prop-types';
+import { toast } from 'react-toastify';
+import { Button } from '../atoms';
+import { cn } from '../../utils/classNames';
+
+const RecoveryCodesList = ({
+  codes,
+  onDone,
+  doneLabel = 'He guardado los códigos',
+  className,
+}) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Códigos copiados');
+    } catch {
+      toast.error('No se pudieron copiar los códigos');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'resource-share-codigos-recuperacion.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className={cn('space-y-4', className)}>
+      <div className="rounded-md border border-yellow-200 bg-yellow-50 p-4 text-sm text-yellow-900">
+        Guarda estos códigos en un lugar seguro. Cada uno sirve una sola vez para iniciar sesión si pierdes
+        acceso a tu aplicación de autenticación, y no volverán a mostrarse.
+      </div>
+
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <li key={code} className="rounded bg-gray-100 px-3 py-1 text-center">{code}</li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-3">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          Copiar
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+          Descargar
+        </Button>
+        {onDone && (
+          <Button type="button" size="sm" onClick={onDone}>
+            {doneLabel}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+RecoveryCodesList.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onDone: PropTypes.func,
+  doneLabel: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default RecoveryCodesList;
@@ -2,42 +2,112 @@
 // Following Single Responsibility Principle
 
 import PropTypes from 'prop-types';
-import { useState } from 'react';
+import { useEffect, useId, useRef, useState } from 'react';
 import { Input, Button } from '../atoms';
 import { MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline';
 
+// Suggestion groups in display order
+const SUGGESTION_GROUPS = [
+  { type: 'resource', label: 'Recursos' },
+  { type: 'category', label: 'Categorías' },
+  { type: 'tag', label: 'Etiquetas' },
+];
+
+const SUGGESTION_DEBOUNCE_MS = 250;
+
 const SearchBar = ({
   placeholder = 'Buscar...',
   onSearch,
   onClear,
   value = '',
   onChange,
+  fetchSuggestions,
+  onSuggestionSelect,
   className,
   showClearButton = true,
   disabled = false,
   ...props
 }) => {
   const [searchValue, setSearchValue] = useState(value);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [open, setOpen] = useState(false);
+  const requestIdRef = useRef(0);
+  const listboxId = useId();
+
+  // Debounced suggestion lookup; stale responses are ignored
+  useEffect(() => {
+    if (!fetchSuggestions || searchValue.trim().length < 2) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const requestId = ++requestIdRef.current;
+    const timer = setTimeout(async () => {
+      const results = await fetchSuggestions(searchValue.trim());
+      if (requestId === requestIdRef.current) {
+        setSuggestions(results || []);
+        setActiveIndex(-1);
+      }
+    }, SUGGESTION_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [searchValue, fetchSuggestions]);
+
+  // Flatten groups so arrow keys follow the rendered order
+  const groupedSuggestions = SUGGESTION_GROUPS
+    .map((group) => ({ ...group, items: suggestions.filter((item) => item.type === group.type) }))
+    .filter((group) => group.items.length > 0);
+  const orderedSuggestions = groupedSuggestions.flatMap((group) => group.items);
+  const showSuggestions = open && orderedSuggestions.length > 0;
 
   const handleInputChange = (e) => {
     const newValue = e.target.value;
     setSearchValue(newValue);
+    setOpen(true);
     onChange?.(newValue);
   };
 
   const handleSearch = () => {
+    setOpen(false);
     onSearch?.(searchValue);
   };
 
   const handleClear = () => {
     setSearchValue('');
+    setSuggestions([]);
     onClear?.();
     onChange?.('');
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      handleSearch();
+  const handleSelect = (suggestion) => {
+    setOpen(false);
+    setActiveIndex(-1);
+    if (onSuggestionSelect) {
+      onSuggestionSelect(suggestion);
+    } else {
+      setSearchValue(suggestion.text);
+      onSearch?.(suggestion.text);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (showSuggestions && e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % orderedSuggestions.length);
+    } else if (showSuggestions && e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? orderedSuggestions.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    } else if (e.key === 'Enter') {
+      if (showSuggestions && activeIndex >= 0) {
+        e.preventDefault();
+        handleSelect(orderedSuggestions[activeIndex]);
+      } else {
+        handleSearch();
+      }
     }
   };
 
@@ -49,9 +119,16 @@ const SearchBar = ({
           placeholder={placeholder}
           value={searchValue}
           onChange={handleInputChange}
-          onKeyPress={handleKeyPress}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
           disabled={disabled}
           className="pr-10"
+          role="combobox"
+          aria-expanded={showSuggestions}
+          aria-autocomplete="list"
+          aria-controls={listboxId}
+          aria-activedescendant={activeIndex >= 0 ? `${listboxId}-${activeIndex}` : undefined}
           {...props}
         />
         <div className="absolute right-3 top-1/2 -translate-y-1/2 flex items-center space-x-1">
@@ -66,6 +143,44 @@ const SearchBar = ({
             </Button>
           )}
         </div>
+
+        {showSuggestions && (
+          <ul
+            id={listboxId}
+            role="listbox"
+            className="absolute left-0 right-0 top-full mt-1 z-50 max-h-96 overflow-y-auto rounded-md border border-gray-200 bg-white py-1 shadow-lg"
+          >
+            {groupedSuggestions.map((group) => (
+              <li key={group.type} role="presentation">
+                <p className="px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+                  {group.label}
+                </p>
+                <ul role="group" aria-label={group.label}>
+                  {group.items.map((suggestion) => {
+                    const index = orderedSuggestions.indexOf(suggestion);
+                    return (
+                      <li
+                        key={`${suggestion.type}-${suggestion.id || suggestion.text}`}
+                        id={`${listboxId}-${index}`}
+                        role="option"
+                        aria-selected={index === activeIndex}
+                        // Keep focus in the input so blur doesn't close the list before the click
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => handleSelect(suggestion)}
+                        onMouseEnter={() => setActiveIndex(index)}
+                        className={`cursor-pointer px-3 py-2 text-sm ${
+                          index === activeIndex ? 'bg-blue-50 text-blue-700' : 'text-gray-700'
+                        }`}
+                      >
+                        {suggestion.type === 'tag' ? `#${suggestion.text}` : suggestion.text}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
       <Button
         onClick={handleSearch}
@@ -85,9 +200,11 @@ SearchBar.propTypes = {
   onClear: PropTypes.func,
   value: PropTypes.string,
   onChange: PropTypes.func,
+  fetchSuggestions: PropTypes.func,
+  onSuggestionSelect: PropTypes.func,
   className: PropTypes.string,
   showClearButton: PropTypes.bool,
   disabled: PropTypes.bool,
 };
 
-export default SearchBar;
\ No newline at end of file
+export default SearchBar;
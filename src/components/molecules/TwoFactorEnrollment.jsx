@@ -0,0 +1,85 @@
+// 📱 Two-Factor Enrollment Molecule - QR code, manual key and first code to turn on 2FA
+// Following Single Responsibility Principle
+
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { Button, Input } from '../atoms';
+import { cn } from '../../utils/classNames';
+
+const TwoFactorEnrollment = ({
+  enrollment,
+  onConfirm,
+  onCancel,
+  className,
+}) => {
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code) return;
+
+    setSubmitting(true);
+    const success = await onConfirm?.(code);
+    setSubmitting(false);
+
+    if (!success) {
+      setCode('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={cn('space-y-4', className)}>
+      <ol className="list-decimal space-y-1 pl-5 text-sm text-gray-700">
+        <li>Escanea el código QR con tu aplicación de autenticación (Google Authenticator, Authy, 1Password...).</li>
+        <li>Introduce el código de 6 dígitos que muestra la aplicación.</li>
+      </ol>
+
+      <div className="flex flex-col items-center gap-2">
+        <img
+          src={enrollment.qrCode}
+          alt="Código QR para la aplicación de autenticación"
+          className="h-48 w-48 rounded border border-gray-200"
+        />
+        <p className="text-xs text-gray-500">¿No puedes escanearlo? Introduce esta clave:</p>
+        <code className="break-all rounded bg-gray-100 px-2 py-1 text-sm tracking-wider text-gray-800">
+          {enrollment.secret}
+        </code>
+      </div>
+
+      <Input
+        label="Código de verificación"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        required
+      />
+
+      <div className="flex gap-3">
+        <Button type="submit" loading={submitting} disabled={code.length !== 6 || submitting}>
+          Activar verificación en dos pasos
+        </Button>
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel}>
+            Cancelar
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+TwoFactorEnrollment.propTypes = {
+  enrollment: PropTypes.shape({
+    qrCode: PropTypes.string.isRequired,
+    secret: PropTypes.string.isRequired,
+  }).isRequired,
+  onConfirm: PropTypes.func,
+  onCancel: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,165 @@
+// 🔐 User Permissions Panel Molecule - Role defaults, individual grants and grant form
+// Following Single Responsibility Principle
+
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { Button } from '../atoms';
+import { cn } from '../../utils/classNames';
+
+const SELECT_CLASS_NAME = 'h-10 rounded-md border border-gray-300 bg-white px-3 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('es-ES') : '—');
+
+const UserPermissionsPanel = ({
+  user,
+  roleDefaults = [],
+  grants = [],
+  permissions = [],
+  onGrant,
+  onRevoke,
+  className,
+}) => {
+  const [permissionId, setPermissionId] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!permissionId) return;
+
+    setSubmitting(true);
+    // datetime-local has no timezone; the Date constructor reads it as local time
+    const success = await onGrant?.(permissionId, expiresAt ? new Date(expiresAt).toISOString() : null);
+    setSubmitting(false);
+
+    if (success) {
+      setPermissionId('');
+      setExpiresAt('');
+    }
+  };
+
+  return (
+    <div className={cn('space-y-6', className)}>
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">{user.name}</h2>
+        <p className="text-sm text-gray-600">{user.email} · rol <strong>{user.role}</strong></p>
+      </div>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-900">Permisos por rol</h3>
+        {roleDefaults.length > 0 ? (
+          <ul className="mt-2 flex flex-wrap gap-2">
+            {roleDefaults.map((name) => (
+              <li key={name} className="rounded bg-gray-100 px-2 py-1 text-xs text-gray-700">{name}</li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-2 text-sm text-gray-500">Este rol no incluye permisos.</p>
+        )}
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-900">Permisos concedidos</h3>
+        {grants.length > 0 ? (
+          <table className="mt-2 w-full text-left text-sm">
+            <thead className="text-xs uppercase text-gray-500">
+              <tr>
+                <th className="py-2 pr-4">Permiso</th>
+                <th className="py-2 pr-4">Concedido por</th>
+                <th className="py-2 pr-4">Fecha</th>
+                <th className="py-2 pr-4">Expira</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {grants.map((grant) => (
+                <tr key={grant.id} className={grant.expired ? 'text-gray-400' : 'text-gray-700'}>
+                  <td className="py-2 pr-4">
+                    {grant.permission?.name}
+                    {grant.permission?.status === 'inactive' && (
+                      <span className="ml-2 text-xs text-yellow-700">(inactivo)</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">{grant.grantor ? grant.grantor.name : '—'}</td>
+                  <td className="py-2 pr-4">{formatDate(grant.granted_at)}</td>
+                  <td className="py-2 pr-4">
+                    {grant.expires_at ? formatDate(grant.expires_at) : 'Nunca'}
+                    {grant.expired && <span className="ml-2 text-xs">(expirado)</span>}
+                  </td>
+                  <td className="py-2 text-right">
+                    <Button variant="ghost" size="sm" onClick={() => onRevoke?.(grant.permission_id)}>
+                      Revocar
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="mt-2 text-sm text-gray-500">No tiene permisos concedidos individualmente.</p>
+        )}
+      </section>
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3">
+        <label className="flex flex-col gap-1 text-sm text-gray-700">
+          Permiso
+          <select
+            className={SELECT_CLASS_NAME}
+            value={permissionId}
+            onChange={(e) => setPermissionId(e.target.value)}
+            required
+          >
+            <option value="">Selecciona un permiso</option>
+            {permissions.map((permission) => (
+              <option key={permission.id} value={permission.id}>{permission.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-sm text-gray-700">
+          Expira (opcional)
+          <input
+            type="datetime-local"
+            className={SELECT_CLASS_NAME}
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+          />
+        </label>
+        <Button type="submit" loading={submitting} disabled={!permissionId}>
+          Conceder
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+UserPermissionsPanel.propTypes = {
+  user: PropTypes.shape({
+    name: PropTypes.string,
+    email: PropTypes.string,
+    role: PropTypes.string,
+  }).isRequired,
+  roleDefaults: PropTypes.arrayOf(PropTypes.string),
+  grants: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    permission_id: PropTypes.string.isRequired,
+    granted_at: PropTypes.string,
+    expires_at: PropTypes.string,
+    expired: PropTypes.bool,
+    permission: PropTypes.shape({
+      name: PropTypes.string,
+      status: PropTypes.string,
+    }),
+    grantor: PropTypes.shape({
+      name: PropTypes.string,
+    }),
+  })),
+  permissions: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  })),
+  onGrant: PropTypes.func,
+  onRevoke: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default UserPermissionsPanel;
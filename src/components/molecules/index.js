@@ -3,4 +3,10 @@
 
 export { default as FormField } from './FormField';
 export { default as UserProfileCard } from './UserProfileCard';
-export { default as SearchBar } from './SearchBar';
\ No newline at end of file
+export { default as SearchBar } from './SearchBar';
+export { default as FacetFilter } from './FacetFilter';
+export { default as UserPermissionsPanel } from './UserPermissionsPanel';
+export { default as EmailVerificationNotice } from './EmailVerificationNotice';
+export { default as TwoFactorEnrollment } from './TwoFactorEnrollment';
+export { default as RecoveryCodesList } from './RecoveryCodesList';
+export { default as IdentityProviderForm } from './IdentityProviderForm';
\ No newline at end of file
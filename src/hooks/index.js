@@ -9,6 +9,9 @@ export {
   usePost, 
   usePut, 
   usePatch, 
-  useDelete 
+  useDelete,
+  useInfiniteFetch
 } from './useFetch';
-export { default as useResponsive } from './useResponsive';
\ No newline at end of file
+export { default as useResponsive } from './useResponsive';
+export { default as useNotifications } from './useNotifications';
+export { default as useSavedSearches } from './useSavedSearches';
\ No newline at end of file
@@ -16,7 +16,7 @@ const DEV_USERS = import.meta.env.VITE_NODE_ENV === 'development' ? [
       name: 'Admin Test',
       email: 'admin@test.com',
       role: 'admin',
-      permissions: ['read', 'write', 'delete', 'admin'],
+      permissions: ['dashboard.read', 'reports.read', 'users.read', 'users.update', 'resources.moderate', 'permissions.manage', 'security.manage'],
       avatar: null
     }
   },
@@ -28,7 +28,7 @@ const DEV_USERS = import.meta.env.VITE_NODE_ENV === 'development' ? [
       name: 'Usuario Test',
       email: 'user@test.com',
       role: 'user',
-      permissions: ['read', 'write'],
+      permissions: [],
       avatar: null
     }
   },
@@ -40,12 +40,26 @@ const DEV_USERS = import.meta.env.VITE_NODE_ENV === 'development' ? [
       name: 'Profesor Test',
       email: 'teacher@test.com',
       role: 'teacher',
-      permissions: ['read', 'write', 'moderate'],
+      permissions: ['dashboard.read', 'resources.moderate'],
       avatar: null
     }
   }
 ] : [];
 
+// The OIDC login in progress, kept by the tab that started it. The callback only goes on
+// when its state matches, and sends the browser binding so the server can check it too
+const OIDC_LOGIN_KEY = 'oidcLogin';
+
+const takeOidcLogin = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(OIDC_LOGIN_KEY));
+    sessionStorage.removeItem(OIDC_LOGIN_KEY);
+    return stored;
+  } catch {
+    return null;
+  }
+};
+
 export const useAuth = () => {
   const authState = useAuthState();
   const dispatch = useAuthDispatch();
@@ -81,6 +95,44 @@ export const useAuth = () => {
     return null; // Let normal login handle it
   }, [dispatch, navigate]);
 
+  // Store the tokens of a successful login and start the session
+  const completeLogin = useCallback((data, redirectPath = '/') => {
+    console.log('✅ Login success, data received:', JSON.stringify(data, null, 2));
+    
+    // Ensure we have the correct structure
+    const loginData = {
+      user: data.user || data,
+      token: data.accessToken || data.token,
+      refreshToken: data.refreshToken
+    };
+    console.log('📦 Processed login data:', JSON.stringify(loginData, null, 2));
+
+    // Validate user object
+    if (!loginData.user || !loginData.user.email) {
+      console.error('❌ Invalid login response - missing user/email:', data);
+      console.error('❌ Processed data:', loginData);
+      throw new Error('Respuesta de servidor inválida: datos de usuario incompletos');
+    }
+
+    // Immediately persist to localStorage as backup
+    if (loginData.token) {
+      localStorage.setItem('authToken', loginData.token);
+      localStorage.setItem('userData', JSON.stringify(loginData.user));
+      if (loginData.refreshToken) {
+        localStorage.setItem('refreshToken', loginData.refreshToken);
+      }
+      console.log('💾 Login data persisted to localStorage');
+    }
+
+    dispatch({
+      type: AuthActionTypes.LOGIN_SUCCESS,
+      payload: loginData,
+    });
+    
+    navigate(redirectPath);
+    return { success: true, data: loginData };
+  }, [dispatch, navigate]);
+
   // Template method for login process
   const login = useCallback(async (credentials, redirectPath = '/') => {
     try {
@@ -94,48 +146,26 @@ export const useAuth = () => {
 
       const result = await apiService.login(credentials);
       console.log('🔍 Login API result:', JSON.stringify(result, null, 2));
+
+      // Accounts with two-factor authentication continue with loginTwoFactor
+      if (result.success && result.data?.twoFactorRequired) {
+        dispatch({ type: AuthActionTypes.LOGOUT });
+        return {
+          success: true,
+          twoFactorRequired: true,
+          setupRequired: result.data.setupRequired,
+          challengeToken: result.data.challengeToken,
+        };
+      }
       
       if (result.success && result.data) {
-        console.log('✅ Login success, data received:', JSON.stringify(result.data, null, 2));
-        
-        // Ensure we have the correct structure
-        const loginData = {
-          user: result.data.user || result.data,
-          token: result.data.accessToken || result.data.token,
-          refreshToken: result.data.refreshToken
-        };
-        console.log('📦 Processed login data:', JSON.stringify(loginData, null, 2));
-
-        // Validate user object
-        if (!loginData.user || !loginData.user.email) {
-          console.error('❌ Invalid login response - missing user/email:', result.data);
-          console.error('❌ Processed data:', loginData);
-          throw new Error('Respuesta de servidor inválida: datos de usuario incompletos');
-        }
-
-        // Immediately persist to localStorage as backup
-        if (loginData.token) {
-          localStorage.setItem('authToken', loginData.token);
-          localStorage.setItem('userData', JSON.stringify(loginData.user));
-          if (loginData.refreshToken) {
-            localStorage.setItem('refreshToken', loginData.refreshToken);
-          }
-          console.log('💾 Login data persisted to localStorage');
-        }
-
-        dispatch({
-          type: AuthActionTypes.LOGIN_SUCCESS,
-          payload: loginData,
-        });
-        
-        navigate(redirectPath);
-        return { success: true, data: loginData };
+        return completeLogin(result.data, redirectPath);
       } else {
         dispatch({
           type: AuthActionTypes.LOGIN_FAILURE,
           payload: result.error || 'Error en el login',
         });
-        return { success: false, error: result.error || 'Error en el login' };
+        return { success: false, error: result.error || 'Error en el login', code: result.code };
       }
     } catch (error) {
       const errorMessage = error.message || 'Error de conexión';
@@ -145,7 +175,80 @@ export const useAuth = () => {
       });
       return { success: false, error: errorMessage };
     }
-  }, [dispatch, navigate, mockLogin]);
+  }, [dispatch, mockLogin, completeLogin]);
+
+  // Second login step. When the code just enrolled the account, the session is not
+  // started yet: the caller shows `recoveryCodes` and then calls completeLogin(session)
+  const loginTwoFactor = useCallback(async (challengeToken, code, redirectPath = '/') => {
+    try {
+      const result = await apiService.loginTwoFactor(challengeToken, code);
+
+      if (!result.success || !result.data) {
+        return { success: false, error: result.error || 'Código de verificación incorrecto' };
+      }
+
+      if (result.data.recoveryCodes) {
+        return { success: true, recoveryCodes: result.data.recoveryCodes, session: result.data };
+      }
+
+      return completeLogin(result.data, redirectPath);
+    } catch (error) {
+      return { success: false, error: error.message || 'Error de conexión' };
+    }
+  }, [completeLogin]);
+
+  // OIDC login, first leg: leave the app for the identity provider's login page
+  const startOidcLogin = useCallback(async (provider, redirectPath = '/') => {
+    try {
+      const result = await apiService.startOidcLogin(provider, redirectPath);
+      if (!result.success) {
+        return result;
+      }
+
+      const { authorizationUrl, state, browserBinding } = result.data.data;
+      sessionStorage.setItem(OIDC_LOGIN_KEY, JSON.stringify({ state, browserBinding }));
+      window.location.assign(authorizationUrl);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message || 'Error de conexión' };
+    }
+  }, []);
+
+  // OIDC login, second leg: the callback page hands over the provider's code and state.
+  // Accounts with two-factor authentication continue with loginTwoFactor, as with login
+  const loginWithOidc = useCallback(async (code, state) => {
+    const pending = takeOidcLogin();
+    if (!pending || pending.state !== state) {
+      return {
+        success: false,
+        error: 'El inicio de sesión no se inició en este navegador o ha caducado, inténtalo de nuevo',
+        code: 'OIDC_INVALID_STATE',
+      };
+    }
+
+    try {
+      const result = await apiService.completeOidcLogin(code, state, pending.browserBinding);
+
+      if (!result.success || !result.data) {
+        return { success: false, error: result.error || 'Error al iniciar sesión', code: result.code };
+      }
+
+      const redirectPath = result.data.redirectPath || '/';
+      if (result.data.twoFactorRequired) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          setupRequired: result.data.setupRequired,
+          challengeToken: result.data.challengeToken,
+          redirectPath,
+        };
+      }
+
+      return completeLogin(result.data, redirectPath);
+    } catch (error) {
+      return { success: false, error: error.message || 'Error de conexión' };
+    }
+  }, [completeLogin]);
 
   // Template method for registration process
   const register = useCallback(async (userData, redirectPath = '/') => {
@@ -155,6 +258,12 @@ export const useAuth = () => {
       const result = await apiService.register(userData);
       console.log('🔍 Registration API result:', JSON.stringify(result, null, 2));
       
+      // New accounts get no session until the email address is verified
+      if (result.success && result.data?.requiresVerification) {
+        dispatch({ type: AuthActionTypes.LOGOUT });
+        return { success: true, requiresVerification: true, data: result.data };
+      }
+
       if (result.success && result.data) {
         console.log('✅ Registration success, data received:', JSON.stringify(result.data, null, 2));
         
@@ -229,6 +338,22 @@ export const useAuth = () => {
     console.log('✅ Logout completed');
   }, [dispatch, navigate]);
 
+  // Revoke every session of the user, including this one
+  const logoutAllDevices = useCallback(async () => {
+    const result = await apiService.logoutAllDevices();
+
+    if (result.success) {
+      localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('userData');
+
+      dispatch({ type: AuthActionTypes.LOGOUT });
+      navigate('/login');
+    }
+
+    return result;
+  }, [dispatch, navigate]);
+
   // Template method for forgot password
   const forgotPassword = useCallback(async (email) => {
     try {
@@ -249,6 +374,23 @@ export const useAuth = () => {
     }
   }, []);
 
+  // Template method for email verification
+  const verifyEmail = useCallback(async (token) => {
+    try {
+      return await apiService.verifyEmail(token);
+    } catch (error) {
+      return { success: false, error: error.message || 'Error de conexión' };
+    }
+  }, []);
+
+  const resendVerification = useCallback(async (email) => {
+    try {
+      return await apiService.resendVerification(email);
+    } catch (error) {
+      return { success: false, error: error.message || 'Error de conexión' };
+    }
+  }, []);
+
   // Template method for updating user profile
   const updateProfile = useCallback(async (profileData) => {
     try {
@@ -295,8 +437,15 @@ export const useAuth = () => {
     login,
     register,
     logout,
+    logoutAllDevices,
     forgotPassword,
     resetPassword,
+    loginTwoFactor,
+    completeLogin,
+    startOidcLogin,
+    loginWithOidc,
+    verifyEmail,
+    resendVerification,
     updateProfile,
     clearError,
     
@@ -2,7 +2,7 @@
 // Following Template Method Pattern and Single Responsibility Principle
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { apiService } from '../services';
+import { httpClient } from '../services';
 
 export const useFetch = (url, options = {}) => {
   const [data, setData] = useState(null);
@@ -65,31 +65,31 @@ export const useFetch = (url, options = {}) => {
         // Make the request based on method
         switch (mergedOptions.method.toUpperCase()) {
           case 'GET':
-            response = await apiService.httpClient.get(urlWithParams, {
+            response = await httpClient.get(urlWithParams, {
               signal: abortControllerRef.current.signal,
               ...mergedOptions,
             });
             break;
           case 'POST':
-            response = await apiService.httpClient.post(fetchUrl, mergedOptions.body, {
+            response = await httpClient.post(fetchUrl, mergedOptions.body, {
               signal: abortControllerRef.current.signal,
               ...mergedOptions,
             });
             break;
           case 'PUT':
-            response = await apiService.httpClient.put(fetchUrl, mergedOptions.body, {
+            response = await httpClient.put(fetchUrl, mergedOptions.body, {
               signal: abortControllerRef.current.signal,
               ...mergedOptions,
             });
             break;
           case 'PATCH':
-            response = await apiService.httpClient.patch(fetchUrl, mergedOptions.body, {
+            response = await httpClient.patch(fetchUrl, mergedOptions.body, {
               signal: abortControllerRef.current.signal,
               ...mergedOptions,
             });
             break;
           case 'DELETE':
-            response = await apiService.httpClient.delete(fetchUrl, {
+            response = await httpClient.delete(fetchUrl, {
               signal: abortControllerRef.current.signal,
               ...mergedOptions,
             });
@@ -213,6 +213,107 @@ export const useFetch = (url, options = {}) => {
   };
 };
 
+// Infinite scroll over a cursor-paginated listing (`pagination.nextCursor`)
+// Attach `sentinelRef` to an element after the list to load the next page when it scrolls into view
+export const useInfiniteFetch = (url, options = {}) => {
+  const {
+    immediate = true,
+    params = {},
+    limit = 20,
+    itemsKey = 'items',
+    rootMargin = '200px',
+  } = options;
+
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const requestIdRef = useRef(0);
+  const observerRef = useRef();
+  const paramsKey = JSON.stringify(params);
+
+  const fetchPage = useCallback(async (cursor = null) => {
+    // A newer request (e.g. params changed) makes older responses stale
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await httpClient.get(url, {
+        params: {
+          ...JSON.parse(paramsKey),
+          limit,
+          paginate: 'cursor',
+          // The total only needs to be counted once, for the first page
+          ...(cursor ? { cursor, withTotal: false } : {}),
+        },
+      });
+
+      if (requestId !== requestIdRef.current) return;
+
+      const pageItems = response[itemsKey] || [];
+      const pagination = response.pagination || {};
+
+      setItems(prevItems => (cursor ? [...prevItems, ...pageItems] : pageItems));
+      if (!cursor) {
+        setTotal(pagination.total ?? null);
+      }
+      setNextCursor(pagination.nextCursor || null);
+      setHasMore(Boolean(pagination.hasNext && pagination.nextCursor));
+    } catch (err) {
+      if (requestId === requestIdRef.current) {
+        setError(err);
+      }
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [url, paramsKey, limit, itemsKey]);
+
+  const loadMore = useCallback(() => {
+    if (loading || !hasMore || !nextCursor) return;
+    fetchPage(nextCursor);
+  }, [loading, hasMore, nextCursor, fetchPage]);
+
+  // Start over from the first page
+  const refetch = useCallback(() => fetchPage(null), [fetchPage]);
+
+  const sentinelRef = useCallback((node) => {
+    observerRef.current?.disconnect();
+    if (!node) return;
+
+    observerRef.current = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin });
+    observerRef.current.observe(node);
+  }, [loadMore, rootMargin]);
+
+  useEffect(() => {
+    if (immediate && url) {
+      fetchPage(null);
+    }
+  }, [immediate, url, fetchPage]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  return {
+    items,
+    total,
+    hasMore,
+    loading,
+    error,
+    loadMore,
+    refetch,
+    sentinelRef,
+  };
+};
+
 // Specialized hooks using the main useFetch hook
 export const useGet = (url, options = {}) => {
   return useFetch(url, { ...options, method: 'GET' });
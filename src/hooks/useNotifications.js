@@ -0,0 +1,70 @@
+// 🔔 useNotifications Hook - Syncs server notifications into global state
+// Following Single Responsibility Principle
+
+import { useCallback, useEffect } from 'react';
+import { useGlobalState, useGlobalDispatch, ActionTypes } from '../store';
+import { apiService } from '../services';
+
+// Poll interval for new notifications (1 minute)
+const POLL_INTERVAL = 60 * 1000;
+
+export const useNotifications = (enabled = true, { limit = 10 } = {}) => {
+  const { notifications, unreadNotificationsCount } = useGlobalState();
+  const dispatch = useGlobalDispatch();
+
+  const fetchNotifications = useCallback(async () => {
+    const result = await apiService.getNotifications({ limit });
+
+    if (result.success && result.data) {
+      dispatch({
+        type: ActionTypes.SET_NOTIFICATIONS,
+        payload: {
+          notifications: result.data.notifications || [],
+          unreadCount: result.data.unread_count || 0,
+        },
+      });
+    }
+
+    return result;
+  }, [dispatch, limit]);
+
+  const markAsRead = useCallback(async (id) => {
+    const result = await apiService.markNotificationAsRead(id);
+
+    if (result.success) {
+      dispatch({ type: ActionTypes.MARK_NOTIFICATION_READ, payload: id });
+    }
+
+    return result;
+  }, [dispatch]);
+
+  const markAllAsRead = useCallback(async () => {
+    const result = await apiService.markAllNotificationsAsRead();
+
+    if (result.success) {
+      dispatch({ type: ActionTypes.MARK_ALL_NOTIFICATIONS_READ });
+    }
+
+    return result;
+  }, [dispatch]);
+
+  // Initial load and polling while enabled
+  useEffect(() => {
+    if (!enabled) return;
+
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [enabled, fetchNotifications]);
+
+  return {
+    notifications,
+    unreadCount: unreadNotificationsCount,
+    refetch: fetchNotifications,
+    markAsRead,
+    markAllAsRead,
+  };
+};
+
+export default useNotifications;
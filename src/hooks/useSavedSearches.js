@@ -0,0 +1,75 @@
+// 🔖 useSavedSearches Hook - Syncs the user's saved searches into global state
+// Following Single Responsibility Principle
+
+import { useCallback, useEffect } from 'react';
+import { useGlobalState, useGlobalDispatch, ActionTypes } from '../store';
+import { apiService } from '../services';
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+export const useSavedSearches = (enabled = true) => {
+  const { savedSearches } = useGlobalState();
+  const dispatch = useGlobalDispatch();
+
+  const setSavedSearches = useCallback((list) => {
+    dispatch({ type: ActionTypes.SET_SAVED_SEARCHES, payload: [...list].sort(byName) });
+  }, [dispatch]);
+
+  const fetchSavedSearches = useCallback(async () => {
+    const result = await apiService.getSavedSearches();
+
+    if (result.success && result.data) {
+      setSavedSearches(result.data.savedSearches || []);
+    }
+
+    return result;
+  }, [setSavedSearches]);
+
+  const saveSearch = useCallback(async (savedSearch) => {
+    const result = await apiService.createSavedSearch(savedSearch);
+
+    if (result.success) {
+      setSavedSearches([...savedSearches, result.data.savedSearch]);
+    }
+
+    return result;
+  }, [savedSearches, setSavedSearches]);
+
+  const updateSavedSearch = useCallback(async (id, updates) => {
+    const result = await apiService.updateSavedSearch(id, updates);
+
+    if (result.success) {
+      setSavedSearches(savedSearches.map((search) =>
+        search.id === id ? result.data.savedSearch : search
+      ));
+    }
+
+    return result;
+  }, [savedSearches, setSavedSearches]);
+
+  const deleteSavedSearch = useCallback(async (id) => {
+    const result = await apiService.deleteSavedSearch(id);
+
+    if (result.success) {
+      setSavedSearches(savedSearches.filter((search) => search.id !== id));
+    }
+
+    return result;
+  }, [savedSearches, setSavedSearches]);
+
+  useEffect(() => {
+    if (enabled) {
+      fetchSavedSearches();
+    }
+  }, [enabled, fetchSavedSearches]);
+
+  return {
+    savedSearches,
+    refetch: fetchSavedSearches,
+    saveSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+  };
+};
+
+export default useSavedSearches;
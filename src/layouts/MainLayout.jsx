@@ -6,7 +6,8 @@ import PropTypes from 'prop-types';
 import Navbar from './Navbar';
 import Sidebar from './Sidebar';
 import Footer from './Footer';
-import { useGlobalState } from '../store';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../hooks/useNotifications';
 
 const MainLayout = ({ 
   children, 
@@ -17,7 +18,8 @@ const MainLayout = ({
   ...props 
 }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const globalState = useGlobalState();
+  const { isAuthenticated } = useAuth();
+  const { notifications, unreadCount, markAsRead, markAllAsRead } = useNotifications(isAuthenticated);
 
   const handleSidebarToggle = () => {
     setSidebarOpen(!sidebarOpen);
@@ -43,7 +45,10 @@ const MainLayout = ({
         <Navbar
           onSidebarToggle={handleSidebarToggle}
           showSidebar={showSidebar}
-          notifications={globalState.notifications}
+          notifications={notifications}
+          unreadCount={unreadCount}
+          onNotificationRead={markAsRead}
+          onMarkAllNotificationsRead={markAllAsRead}
         />
 
         {/* Main content */}
@@ -19,25 +19,40 @@ import { Avatar, Button } from '../components/atoms';
 import { SearchBar } from '../components/molecules';
 import { useGlobalDispatch, ActionTypes } from '../store';
 import { useAuth } from '../hooks/useAuth';
+import { apiService } from '../services';
+
+// Typo-tolerant suggestions for the search bar
+const fetchSearchSuggestions = async (query) => {
+  const result = await apiService.getSearchSuggestions(query);
+  return result.success ? result.data.suggestions : [];
+};
 
 const Navbar = ({ 
   onSidebarToggle, 
   showSidebar = true, 
   className = '',
   notifications = [],
+  unreadCount,
+  onNotificationRead,
+  onMarkAllNotificationsRead,
   ...props 
 }) => {
-  const { user, isAuthenticated, logout } = useAuth();
+  const { user, isAuthenticated, logout, hasPermission } = useAuth();
   const dispatch = useGlobalDispatch();
   const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const unreadNotifications = notifications.filter(n => !n.read).length;
+  const unreadNotifications = unreadCount ?? notifications.filter(n => !n.read).length;
 
   const handleSearch = (query) => {
     dispatch({ type: ActionTypes.SET_SEARCH_QUERY, payload: query });
     navigate(`/search?q=${encodeURIComponent(query)}`);
   };
 
+  const handleSuggestionSelect = (suggestion) => {
+    setMobileMenuOpen(false);
+    navigate(suggestion.url);
+  };
+
   const handleLogout = async () => {
     console.log('🚪 Navbar: Logout button clicked');
     try {
@@ -50,6 +65,15 @@ const Navbar = ({
     }
   };
 
+  const handleNotificationClick = (notification) => {
+    if (!notification.read) {
+      onNotificationRead?.(notification.id);
+    }
+    if (notification.data?.resource_id) {
+      navigate(`/resources/${notification.data.resource_id}`);
+    }
+  };
+
   const navigation = [
     { name: 'Inicio', href: '/', current: false },
     { name: 'Recursos', href: '/resources', current: false },
@@ -58,11 +82,11 @@ const Navbar = ({
   ];
 
   const adminNavigation = [
-    { name: 'Dashboard', href: '/admin/dashboard' },
-    { name: 'Usuarios', href: '/admin/users' },
-    { name: 'Moderación', href: '/admin/moderation' },
-    { name: 'Reportes', href: '/admin/reports' },
-  ];
+    { name: 'Dashboard', href: '/admin/dashboard', permission: 'dashboard.read' },
+    { name: 'Usuarios', href: '/admin/users', permission: 'users.read' },
+    { name: 'Moderación', href: '/admin/moderation', permission: 'resources.moderate' },
+    { name: 'Reportes', href: '/admin/reports', permission: 'reports.read' },
+  ].filter((item) => hasPermission(item.permission));
 
   return (
     <nav className={`bg-white shadow-sm border-b border-gray-200 ${className}`} {...props}>
@@ -123,6 +147,8 @@ const Navbar = ({
           <div className="hidden md:block flex-1 max-w-md mx-8">
             <SearchBar
               onSearch={handleSearch}
+              fetchSuggestions={fetchSearchSuggestions}
+              onSuggestionSelect={handleSuggestionSelect}
               placeholder="Buscar recursos..."
               className="w-full"
             />
@@ -143,16 +169,74 @@ const Navbar = ({
             {isAuthenticated ? (
               <>
                 {/* Notifications */}
-                <div className="relative">
-                  <Button variant="ghost" size="icon">
+                <Menu as="div" className="relative">
+                  <Menu.Button className="relative p-2 rounded-md text-gray-600 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
                     <BellIcon className="h-5 w-5" />
                     {unreadNotifications > 0 && (
                       <span className="absolute -top-1 -right-1 h-4 w-4 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">
                         {unreadNotifications > 9 ? '9+' : unreadNotifications}
                       </span>
                     )}
-                  </Button>
-                </div>
+                  </Menu.Button>
+                  <Transition
+                    as={Fragment}
+                    enter="transition ease-out duration-100"
+                    enterFrom="transform opacity-0 scale-95"
+                    enterTo="transform opacity-100 scale-100"
+                    leave="transition ease-in duration-75"
+                    leaveFrom="transform opacity-100 scale-100"
+                    leaveTo="transform opacity-0 scale-95"
+                  >
+                    <Menu.Items className="absolute right-0 z-10 mt-2 w-80 origin-top-right rounded-md bg-white py-1 shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none">
+                      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+                        <span className="text-sm font-medium text-gray-900">Notificaciones</span>
+                        {unreadNotifications > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => onMarkAllNotificationsRead?.()}
+                            className="text-xs font-medium text-blue-600 hover:text-blue-500"
+                          >
+                            Marcar todas como leídas
+                          </button>
+                        )}
+                      </div>
+
+                      {notifications.length === 0 ? (
+                        <div className="px-4 py-6 text-center text-sm text-gray-500">
+                          No tienes notificaciones
+                        </div>
+                      ) : (
+                        <div className="max-h-96 overflow-y-auto">
+                          {notifications.map((notification) => (
+                            <Menu.Item key={notification.id}>
+                              {({ active }) => (
+                                <button
+                                  type="button"
+                                  onClick={() => handleNotificationClick(notification)}
+                                  className={`${
+                                    active ? 'bg-gray-100' : ''
+                                  } ${
+                                    notification.read ? '' : 'bg-blue-50'
+                                  } block w-full px-4 py-3 text-left`}
+                                >
+                                  <div className="text-sm font-medium text-gray-900">
+                                    {notification.title}
+                                  </div>
+                                  <div className="text-sm text-gray-600">
+                                    {notification.message}
+                                  </div>
+                                  <div className="mt-1 text-xs text-gray-400">
+                                    {new Date(notification.created_at).toLocaleString('es-ES')}
+                                  </div>
+                                </button>
+                              )}
+                            </Menu.Item>
+                          ))}
+                        </div>
+                      )}
+                    </Menu.Items>
+                  </Transition>
+                </Menu>
 
                 {/* User menu */}
                 <Menu as="div" className="relative">
@@ -207,7 +291,7 @@ const Navbar = ({
                         )}
                       </Menu.Item>
 
-                      {user?.role === 'admin' && (
+                      {adminNavigation.length > 0 && (
                         <>
                           <div className="border-t border-gray-100 my-1"></div>
                           <div className="px-4 py-2 text-xs font-semibold text-gray-500 uppercase tracking-wider">
@@ -302,6 +386,8 @@ const Navbar = ({
             <div className="border-t border-gray-200 pt-4 pb-3 mt-4">
               <SearchBar
                 onSearch={handleSearch}
+                fetchSuggestions={fetchSearchSuggestions}
+                onSuggestionSelect={handleSuggestionSelect}
                 placeholder="Buscar recursos..."
                 className="px-3"
               />
@@ -318,6 +404,9 @@ Navbar.propTypes = {
   showSidebar: PropTypes.bool,
   className: PropTypes.string,
   notifications: PropTypes.array,
+  unreadCount: PropTypes.number,
+  onNotificationRead: PropTypes.func,
+  onMarkAllNotificationsRead: PropTypes.func,
 };
 
 export default Navbar;
\ No newline at end of file
@@ -16,9 +16,11 @@ import {
   XMarkIcon,
   ChevronRightIcon,
   ChevronDownIcon,
+  BookmarkIcon,
 } from '@heroicons/react/24/outline';
 import { cn } from '../utils/classNames';
 import { useAuth } from '../store';
+import { useSavedSearches } from '../hooks';
 
 const Sidebar = ({ 
   isOpen, 
@@ -30,8 +32,8 @@ const Sidebar = ({
   const [authState] = useAuth();
   const [expandedSections, setExpandedSections] = useState({});
   
-  const { user } = authState;
-  const isAdmin = user?.role === 'admin';
+  const { user, permissions = [] } = authState;
+  const { savedSearches } = useSavedSearches(!!user);
 
   const navigation = [
     {
@@ -59,6 +61,12 @@ const Sidebar = ({
       children: [
         { name: 'Búsqueda Simple', href: '/search' },
         { name: 'Búsqueda Avanzada', href: '/search/advanced' },
+        // Saved searches re-run on the advanced search page
+        ...savedSearches.map((search) => ({
+          name: search.name,
+          href: `/search/advanced?saved=${search.id}`,
+          icon: BookmarkIcon,
+        })),
       ],
     },
     {
@@ -82,24 +90,28 @@ const Sidebar = ({
         {
           name: 'Dashboard',
           href: '/admin/dashboard',
+          permission: 'dashboard.read',
           icon: ChartBarIcon,
           current: location.pathname === '/admin/dashboard',
         },
         {
           name: 'Usuarios',
           href: '/admin/users',
+          permission: 'users.read',
           icon: UserGroupIcon,
           current: location.pathname.startsWith('/admin/users'),
         },
         {
           name: 'Moderación',
           href: '/admin/moderation',
+          permission: 'resources.moderate',
           icon: DocumentIcon,
           current: location.pathname.startsWith('/admin/moderation'),
         },
         {
           name: 'Reportes',
           href: '/admin/reports',
+          permission: 'reports.read',
           icon: ChartBarIcon,
           current: location.pathname.startsWith('/admin/reports'),
         },
@@ -107,6 +119,14 @@ const Sidebar = ({
     },
   ];
 
+  // Moderators and users with grants only see the admin pages they can open
+  const visibleAdminNavigation = adminNavigation
+    .map((section) => ({
+      ...section,
+      children: section.children.filter((item) => permissions.includes(item.permission)),
+    }))
+    .filter((section) => section.children.length > 0);
+
   const toggleSection = (sectionName) => {
     setExpandedSections(prev => ({
       ...prev,
@@ -191,10 +211,10 @@ const Sidebar = ({
         </div>
 
         {/* Admin section */}
-        {isAdmin && (
+        {visibleAdminNavigation.length > 0 && (
           <div className="border-t border-gray-200 pt-4 mt-4">
             <div className="space-y-1">
-              {adminNavigation.map((item) => renderNavigationItem(item))}
+              {visibleAdminNavigation.map((item) => renderNavigationItem(item))}
             </div>
           </div>
         )}
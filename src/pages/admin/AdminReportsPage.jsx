@@ -1,9 +1,30 @@
 // 📂 Admin Reports Page - System reports and analytics
 // Following MVVM pattern
 
+import { useEffect, useState } from 'react';
 import { MainLayout } from '../../layouts';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '../../components/atoms';
+import { apiService } from '../../services';
 
 const AdminReportsPage = () => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadReports = async () => {
+      const result = await apiService.getReports();
+      if (result.success) {
+        setReport(result.data);
+      } else {
+        setError(result.error);
+      }
+    };
+
+    loadReports();
+  }, []);
+
+  const zeroResultSearches = report?.reports?.zero_result_searches || [];
+
   return (
     <MainLayout>
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -12,11 +33,53 @@ const AdminReportsPage = () => {
           <p className="mt-2 text-gray-600">
             Visualiza métricas de uso, reportes de actividad y estadísticas del sistema.
           </p>
-          {/* TODO: Implement reports and analytics dashboard */}
+
+          {error && (
+            <p className="mt-6 text-sm text-red-600">{error}</p>
+          )}
+
+          {report && (
+            <Card className="mt-8">
+              <CardHeader>
+                <CardTitle className="text-lg">Búsquedas sin resultados</CardTitle>
+                <CardDescription>
+                  {report.summary.zero_result_searches_in_period} de {report.summary.total_searches_in_period} búsquedas
+                  en el periodo no encontraron recursos. Son temas que los usuarios buscan y aún no tenemos.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {zeroResultSearches.length === 0 ? (
+                  <p className="text-sm text-gray-500">No hay búsquedas sin resultados en este periodo.</p>
+                ) : (
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-2 font-medium">Término</th>
+                        <th className="py-2 font-medium">Búsquedas</th>
+                        <th className="py-2 font-medium">Última vez</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {zeroResultSearches.map((search) => (
+                        <tr key={search.term}>
+                          <td className="py-2 text-gray-900">{search.term}</td>
+                          <td className="py-2 text-gray-700">{search.searches}</td>
+                          <td className="py-2 text-gray-500">
+                            {new Date(search.last_searched_at).toLocaleDateString('es-ES')}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </CardContent>
+            </Card>
+          )}
+          {/* TODO: Implement remaining reports and analytics dashboard */}
         </div>
       </div>
     </MainLayout>
   );
 };
 
-export default AdminReportsPage;
\ No newline at end of file
+export default AdminReportsPage;
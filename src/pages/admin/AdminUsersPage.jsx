@@ -1,9 +1,221 @@
 // 📂 Admin Users Page - Admin user management (different from UserManagementPage)
 // Following MVVM pattern
 
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
 import { MainLayout } from '../../layouts';
+import { Button, Card, CardContent, CardDescription, CardHeader, CardTitle } from '../../components/atoms';
+import { SearchBar, UserPermissionsPanel, IdentityProviderForm } from '../../components/molecules';
+import { useAuth } from '../../hooks';
+import { apiService } from '../../services';
+import { cn } from '../../utils/classNames';
+
+const PAGE_SIZE = 20;
+
+const ROLE_LABELS = {
+  admin: 'Administradores',
+  moderator: 'Moderadores',
+};
 
 const AdminUsersPage = () => {
+  const { hasPermission } = useAuth();
+  const canManagePermissions = hasPermission('permissions.manage');
+  const canManageSecurity = hasPermission('security.manage');
+
+  const [search, setSearch] = useState('');
+  const [users, setUsers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingUsers, setLoadingUsers] = useState(false);
+  const [error, setError] = useState(null);
+
+  const [permissions, setPermissions] = useState([]);
+  const [selectedUserId, setSelectedUserId] = useState(null);
+  const [userPermissions, setUserPermissions] = useState(null);
+
+  const [security, setSecurity] = useState(null);
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [savingSecurity, setSavingSecurity] = useState(false);
+  const [loginLocks, setLoginLocks] = useState([]);
+  const [identityProviders, setIdentityProviders] = useState([]);
+  // null, 'new' or the id of the provider being edited
+  const [editingProvider, setEditingProvider] = useState(null);
+
+  const fetchUsers = useCallback(async (cursor = null) => {
+    setLoadingUsers(true);
+    const result = await apiService.getUsers({
+      limit: PAGE_SIZE,
+      paginate: 'cursor',
+      sort: 'name',
+      order: 'ASC',
+      withTotal: false,
+      ...(search && { search }),
+      ...(cursor && { cursor }),
+    });
+    setLoadingUsers(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setError(null);
+    const { users: page = [], pagination } = result.data;
+    setUsers((current) => (cursor ? [...current, ...page] : page));
+    setNextCursor(pagination?.nextCursor || null);
+  }, [search]);
+
+  const fetchUserPermissions = useCallback(async (userId) => {
+    const result = await apiService.getUserPermissions(userId);
+    if (result.success) {
+      setUserPermissions(result.data);
+    } else {
+      toast.error(result.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  useEffect(() => {
+    if (!canManagePermissions) return;
+
+    const loadPermissions = async () => {
+      const result = await apiService.getPermissions({ status: 'active' });
+      if (result.success) {
+        setPermissions(result.data.permissions || []);
+      }
+    };
+    loadPermissions();
+  }, [canManagePermissions]);
+
+  const fetchLoginLocks = useCallback(async () => {
+    const result = await apiService.getLoginLocks();
+    if (result.success) {
+      setLoginLocks(result.data.locks || []);
+    }
+  }, []);
+
+  const fetchIdentityProviders = useCallback(async () => {
+    const result = await apiService.getIdentityProviders();
+    if (result.success) {
+      setIdentityProviders(result.data.providers || []);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!canManageSecurity) return;
+
+    fetchLoginLocks();
+    fetchIdentityProviders();
+
+    const loadSecurity = async () => {
+      const result = await apiService.getSecuritySettings();
+      if (result.success) {
+        setSecurity(result.data);
+        setRequiredRoles(result.data.settings.two_factor_required_roles);
+      }
+    };
+    loadSecurity();
+  }, [canManageSecurity, fetchLoginLocks, fetchIdentityProviders]);
+
+  useEffect(() => {
+    setUserPermissions(null);
+    if (selectedUserId && canManagePermissions) {
+      fetchUserPermissions(selectedUserId);
+    }
+  }, [selectedUserId, canManagePermissions, fetchUserPermissions]);
+
+  const handleGrant = async (permissionId, expiresAt) => {
+    const result = await apiService.grantUserPermission(selectedUserId, permissionId, expiresAt);
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+
+    toast.success('Permiso concedido');
+    await fetchUserPermissions(selectedUserId);
+    return true;
+  };
+
+  const handleRevoke = async (permissionId) => {
+    const result = await apiService.revokeUserPermission(selectedUserId, permissionId);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success('Permiso revocado');
+    await fetchUserPermissions(selectedUserId);
+  };
+
+  const toggleRequiredRole = (role) => {
+    setRequiredRoles((current) => (
+      current.includes(role) ? current.filter((item) => item !== role) : [...current, role]
+    ));
+  };
+
+  const handleSaveSecurity = async () => {
+    setSavingSecurity(true);
+    const result = await apiService.updateSecuritySettings({ two_factor_required_roles: requiredRoles });
+    setSavingSecurity(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success('Configuración de seguridad guardada');
+    setSecurity((current) => ({ ...current, ...result.data }));
+  };
+
+  const handleClearLock = async (lockId) => {
+    const result = await apiService.clearLoginLock(lockId);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success('Bloqueo eliminado');
+    setLoginLocks((current) => current.filter((lock) => lock.id !== lockId));
+  };
+
+  const handleSaveProvider = async (values) => {
+    const result = editingProvider === 'new'
+      ? await apiService.createIdentityProvider(values)
+      : await apiService.updateIdentityProvider(editingProvider, values);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success(result.data.message);
+    setEditingProvider(null);
+    await fetchIdentityProviders();
+  };
+
+  const handleToggleProvider = async (provider) => {
+    const result = await apiService.updateIdentityProvider(provider.id, { enabled: !provider.enabled });
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    setIdentityProviders((current) => current.map((item) => (item.id === provider.id ? result.data.provider : item)));
+  };
+
+  const handleDeleteProvider = async (provider) => {
+    const result = await apiService.deleteIdentityProvider(provider.id);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success('Proveedor eliminado');
+    setIdentityProviders((current) => current.filter((item) => item.id !== provider.id));
+  };
+
   return (
     <MainLayout>
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -12,11 +224,226 @@ const AdminUsersPage = () => {
           <p className="mt-2 text-gray-600">
             Gestiona cuentas de usuario y sus permisos.
           </p>
-          {/* TODO: Implement admin users interface */}
+
+          {canManageSecurity && security && (
+            <Card className="mt-6">
+              <CardHeader>
+                <CardTitle>Verificación en dos pasos obligatoria</CardTitle>
+                <CardDescription>
+                  Las cuentas de los roles marcados deberán activarla en su próximo inicio de sesión.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {security.enforceableRoles.map((role) => (
+                  <label key={role} className="flex items-center gap-3 text-sm text-gray-900">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      checked={requiredRoles.includes(role)}
+                      onChange={() => toggleRequiredRole(role)}
+                    />
+                    {ROLE_LABELS[role] || role}
+                    <span className="text-xs text-gray-500">
+                      {security.withoutTwoFactor[role]} activos sin verificación en dos pasos
+                    </span>
+                  </label>
+                ))}
+                <Button size="sm" loading={savingSecurity} onClick={handleSaveSecurity}>
+                  Guardar
+                </Button>
+              </CardContent>
+            </Card>
+          )}
+
+          {canManageSecurity && (
+            <Card className="mt-6">
+              <CardHeader>
+                <CardTitle>Bloqueos de inicio de sesión</CardTitle>
+                <CardDescription>
+                  Emails e IPs bloqueados o con intentos fallidos recientes.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {loginLocks.length === 0 ? (
+                  <p className="text-sm text-gray-500">No hay bloqueos ni intentos fallidos recientes.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200">
+                    {loginLocks.map((lock) => (
+                      <li key={lock.id} className="flex flex-wrap items-center justify-between gap-4 py-3">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">
+                            {lock.identifier}
+                            <span className="ml-2 text-xs text-gray-500">{lock.scope === 'ip' ? 'IP' : 'Email'}</span>
+                            {lock.locked && (
+                              <span className="ml-2 rounded bg-red-100 px-2 py-0.5 text-xs text-red-800">Bloqueado</span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {lock.locked
+                              ? `Hasta ${new Date(lock.locked_until).toLocaleString('es-ES')}`
+                              : `${lock.failed_count} intentos fallidos`}
+                            {lock.lockouts > 0 && ` · ${lock.lockouts} bloqueos`}
+                          </p>
+                        </div>
+                        <Button variant="outline" size="sm" onClick={() => handleClearLock(lock.id)}>
+                          {lock.locked ? 'Desbloquear' : 'Reiniciar contador'}
+                        </Button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          {canManageSecurity && (
+            <Card className="mt-6">
+              <CardHeader>
+                <CardTitle>Proveedores de identidad</CardTitle>
+                <CardDescription>
+                  Inicio de sesión con proveedores OpenID Connect, como el SSO del campus.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {identityProviders.length === 0 && editingProvider !== 'new' && (
+                  <p className="text-sm text-gray-500">No hay proveedores configurados.</p>
+                )}
+
+                {identityProviders.length > 0 && (
+                  <ul className="divide-y divide-gray-200">
+                    {identityProviders.map((provider) => (
+                      <li key={provider.id} className="py-3">
+                        {editingProvider === provider.id ? (
+                          <IdentityProviderForm
+                            provider={provider}
+                            onSubmit={handleSaveProvider}
+                            onCancel={() => setEditingProvider(null)}
+                          />
+                        ) : (
+                          <div className="flex flex-wrap items-center justify-between gap-4">
+                            <div>
+                              <p className="text-sm font-medium text-gray-900">
+                                {provider.name}
+                                <span className="ml-2 text-xs text-gray-500">{provider.slug}</span>
+                                <span className={cn(
+                                  'ml-2 rounded px-2 py-0.5 text-xs',
+                                  provider.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                                )}>
+                                  {provider.enabled ? 'Habilitado' : 'Deshabilitado'}
+                                </span>
+                              </p>
+                              <p className="text-xs text-gray-500">
+                                {provider.issuer}
+                                {' · '}
+                                {provider.allow_provisioning
+                                  ? `Crea cuentas nuevas (${provider.default_role === 'moderator' ? 'moderador' : 'usuario'})`
+                                  : 'Solo cuentas existentes'}
+                                {provider.allowed_domains.length > 0 && ` · ${provider.allowed_domains.join(', ')}`}
+                              </p>
+                            </div>
+                            <div className="flex gap-2">
+                              <Button variant="outline" size="sm" onClick={() => handleToggleProvider(provider)}>
+                                {provider.enabled ? 'Deshabilitar' : 'Habilitar'}
+                              </Button>
+                              <Button variant="outline" size="sm" onClick={() => setEditingProvider(provider.id)}>
+                                Editar
+                              </Button>
+                              <Button variant="outline" size="sm" onClick={() => handleDeleteProvider(provider)}>
+                                Eliminar
+                              </Button>
+                            </div>
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {editingProvider === 'new' ? (
+                  <IdentityProviderForm
+                    onSubmit={handleSaveProvider}
+                    onCancel={() => setEditingProvider(null)}
+                  />
+                ) : (
+                  <Button size="sm" onClick={() => setEditingProvider('new')}>
+                    Añadir proveedor
+                  </Button>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          <div className="mt-6 grid grid-cols-1 gap-6 lg:grid-cols-3">
+            <Card>
+              <CardContent className="space-y-4 pt-6">
+                <SearchBar
+                  placeholder="Buscar por nombre o email..."
+                  onSearch={setSearch}
+                  onClear={() => setSearch('')}
+                />
+
+                {error && <p className="text-sm text-red-600">{error}</p>}
+
+                <ul className="divide-y divide-gray-200">
+                  {users.map((user) => (
+                    <li key={user.id}>
+                      <button
+                        type="button"
+                        onClick={() => setSelectedUserId(user.id)}
+                        className={cn(
+                          'w-full px-2 py-3 text-left hover:bg-gray-50',
+                          user.id === selectedUserId && 'bg-blue-50'
+                        )}
+                      >
+                        <p className="text-sm font-medium text-gray-900">{user.name}</p>
+                        <p className="text-xs text-gray-500">{user.email} · {user.role}</p>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+
+                {!loadingUsers && users.length === 0 && !error && (
+                  <p className="text-sm text-gray-500">No se encontraron usuarios.</p>
+                )}
+
+                {nextCursor && (
+                  <Button
+                    variant="outline"
+                    className="w-full"
+                    loading={loadingUsers}
+                    onClick={() => fetchUsers(nextCursor)}
+                  >
+                    Cargar más
+                  </Button>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card className="lg:col-span-2">
+              <CardContent className="pt-6">
+                {!canManagePermissions ? (
+                  <p className="text-sm text-gray-500">No tienes permiso para gestionar permisos de usuarios.</p>
+                ) : userPermissions ? (
+                  <UserPermissionsPanel
+                    user={userPermissions.user}
+                    roleDefaults={userPermissions.roleDefaults}
+                    grants={userPermissions.grants}
+                    permissions={permissions}
+                    onGrant={handleGrant}
+                    onRevoke={handleRevoke}
+                  />
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    {selectedUserId ? 'Cargando permisos...' : 'Selecciona un usuario para ver y gestionar sus permisos.'}
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+          </div>
         </div>
       </div>
     </MainLayout>
   );
 };
 
-export default AdminUsersPage;
\ No newline at end of file
+export default AdminUsersPage;
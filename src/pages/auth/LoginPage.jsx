@@ -1,23 +1,77 @@
 // 🔐 Login Page - Authentication login form
 // Following MVVM pattern and Container/Presenter separation
 
-import { useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { AuthLayout } from '../../layouts';
 import { Button, Input } from '../../components/atoms';
-import { FormField } from '../../components/molecules';
+import { FormField, EmailVerificationNotice, TwoFactorEnrollment, RecoveryCodesList } from '../../components/molecules';
 import { useAuth, useForm } from '../../hooks';
+import { apiService } from '../../services';
 import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
 
 const LoginPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login } = useAuth();
+  const { login, loginTwoFactor, completeLogin, resendVerification, startOidcLogin } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null);
+  // Second step: { challengeToken, setupRequired } returned by login
+  const [challenge, setChallenge] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  // Login finished by enrolling: the recovery codes are shown before entering
+  const [enrolledLogin, setEnrolledLogin] = useState(null);
+  // Identity providers (OpenID Connect) enabled by the administrators
+  const [providers, setProviders] = useState([]);
+  const [redirectingTo, setRedirectingTo] = useState(null);
+  const challengeStarted = useRef(false);
 
   const from = location.state?.from?.pathname || '/';
 
+  // Second step, for a password login or for an identity provider login handed over by OidcCallbackPage
+  const beginChallenge = useCallback(async (result) => {
+    setChallenge(result);
+    if (result.setupRequired) {
+      const setup = await apiService.loginTwoFactorSetup(result.challengeToken);
+      if (setup.success) {
+        setEnrollment(setup.data.data);
+      } else {
+        toast.error(setup.error);
+        setChallenge(null);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    const pending = location.state?.twoFactorChallenge;
+    // Each setup request issues a new secret, so only start once (StrictMode runs effects twice)
+    if (!pending || challengeStarted.current) return;
+    challengeStarted.current = true;
+    beginChallenge(pending);
+  }, [location.state, beginChallenge]);
+
+  useEffect(() => {
+    const loadProviders = async () => {
+      const result = await apiService.getOidcProviders();
+      if (result.success) {
+        setProviders(result.data.data || []);
+      }
+    };
+    loadProviders();
+  }, []);
+
+  const handleProviderLogin = async (slug) => {
+    setRedirectingTo(slug);
+    const result = await startOidcLogin(slug, from);
+    if (!result.success) {
+      toast.error(result.error || 'No se pudo contactar con el proveedor de identidad');
+      setRedirectingTo(null);
+    }
+  };
+
   // Form validation rules
   const validationRules = {
     email: {
@@ -38,6 +92,12 @@ const LoginPage = () => {
   const handleSubmit = async (values) => {
     try {
       const result = await login(values, from);
+      setUnverifiedEmail(result.code === 'EMAIL_NOT_VERIFIED' ? values.email : null);
+
+      if (result.twoFactorRequired) {
+        await beginChallenge(result);
+        return;
+      }
       
       if (result.success) {
         toast.success('¡Bienvenido de nuevo!');
@@ -49,6 +109,39 @@ const LoginPage = () => {
     }
   };
 
+  const resetChallenge = () => {
+    setChallenge(null);
+    setEnrollment(null);
+    setTwoFactorCode('');
+  };
+
+  const submitTwoFactorCode = async (code) => {
+    const result = await loginTwoFactor(challenge.challengeToken, code.trim(), from);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+
+    if (result.recoveryCodes) {
+      setEnrolledLogin(result);
+    } else {
+      toast.success('¡Bienvenido de nuevo!');
+    }
+    return true;
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setVerifying(true);
+    const success = await submitTwoFactorCode(twoFactorCode);
+    setVerifying(false);
+
+    if (!success) {
+      setTwoFactorCode('');
+    }
+  };
+
   const {
     values,
     errors,
@@ -65,12 +158,92 @@ const LoginPage = () => {
     handleSubmit
   );
 
+  if (enrolledLogin) {
+    return (
+      <AuthLayout title="Códigos de Recuperación" subtitle="La verificación en dos pasos está activada">
+        <RecoveryCodesList
+          codes={enrolledLogin.recoveryCodes}
+          doneLabel="Continuar"
+          onDone={() => {
+            completeLogin(enrolledLogin.session, from);
+            toast.success('¡Bienvenido de nuevo!');
+          }}
+        />
+      </AuthLayout>
+    );
+  }
+
+  if (challenge?.setupRequired) {
+    return (
+      <AuthLayout
+        title="Verificación en Dos Pasos"
+        subtitle="Tu rol requiere activarla antes de continuar"
+      >
+        {enrollment ? (
+          <TwoFactorEnrollment
+            enrollment={enrollment}
+            onConfirm={submitTwoFactorCode}
+            onCancel={resetChallenge}
+          />
+        ) : (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+      </AuthLayout>
+    );
+  }
+
+  if (challenge) {
+    return (
+      <AuthLayout
+        title="Verificación en Dos Pasos"
+        subtitle="Introduce el código de tu aplicación de autenticación"
+      >
+        <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+          <Input
+            label="Código de verificación"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            value={twoFactorCode}
+            onChange={(e) => setTwoFactorCode(e.target.value)}
+            autoFocus
+            required
+          />
+          <p className="text-xs text-gray-500">
+            ¿Perdiste el acceso a la aplicación? Introduce uno de tus códigos de recuperación.
+          </p>
+
+          <Button type="submit" className="w-full" loading={verifying} disabled={!twoFactorCode.trim() || verifying}>
+            {verifying ? 'Verificando...' : 'Verificar'}
+          </Button>
+
+          <button
+            type="button"
+            className="w-full text-sm text-blue-600 hover:text-blue-500"
+            onClick={resetChallenge}
+          >
+            Volver al inicio de sesión
+          </button>
+        </form>
+      </AuthLayout>
+    );
+  }
+
   return (
     <AuthLayout
       title="Iniciar Sesión"
       subtitle="Bienvenido de nuevo a Resource Share"
     >
       <form onSubmit={onSubmit} className="space-y-6">
+        {unverifiedEmail && (
+          <EmailVerificationNotice
+            email={unverifiedEmail}
+            message="Tu correo aún no está verificado."
+            onResend={async (email) => (await resendVerification(email)).success}
+          />
+        )}
+
         {/* Email Field */}
         <FormField
           {...getFieldProps('email')}
@@ -150,14 +323,35 @@ const LoginPage = () => {
         </div>
 
         {/* Divider */}
-        <div className="relative">
-          <div className="absolute inset-0 flex items-center">
-            <div className="w-full border-t border-gray-300" />
+        {providers.length > 0 && (
+          <div className="relative">
+            <div className="absolute inset-0 flex items-center">
+              <div className="w-full border-t border-gray-300" />
+            </div>
+            <div className="relative flex justify-center text-sm">
+              <span className="px-2 bg-white text-gray-500">O continúa con</span>
+            </div>
           </div>
-          <div className="relative flex justify-center text-sm">
-            <span className="px-2 bg-white text-gray-500">O continúa con</span>
+        )}
+
+        {/* Identity providers (e.g. the campus SSO) */}
+        {providers.length > 0 && (
+          <div className="space-y-3">
+            {providers.map((provider) => (
+              <Button
+                key={provider.slug}
+                type="button"
+                variant="outline"
+                className="w-full"
+                loading={redirectingTo === provider.slug}
+                disabled={Boolean(redirectingTo)}
+                onClick={() => handleProviderLogin(provider.slug)}
+              >
+                Continuar con {provider.name}
+              </Button>
+            ))}
           </div>
-        </div>
+        )}
 
         {/* 🧪 DEV ONLY - Test Users Info */}
         {import.meta.env.VITE_NODE_ENV === 'development' && (
@@ -208,48 +402,6 @@ const LoginPage = () => {
             </div>
           </div>
         )}
-
-        {/* Social Login Buttons */}
-        <div className="grid grid-cols-2 gap-3">
-          <Button
-            type="button"
-            variant="outline"
-            className="w-full"
-            onClick={() => toast.info('Próximamente: Login con Google')}
-          >
-            <svg className="w-4 h-4 mr-2" viewBox="0 0 24 24">
-              <path
-                fill="currentColor"
-                d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
-              />
-              <path
-                fill="currentColor"
-                d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
-              />
-              <path
-                fill="currentColor"
-                d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
-              />
-              <path
-                fill="currentColor"
-                d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
-              />
-            </svg>
-            Google
-          </Button>
-          
-          <Button
-            type="button"
-            variant="outline"
-            className="w-full"
-            onClick={() => toast.info('Próximamente: Login con GitHub')}
-          >
-            <svg className="w-4 h-4 mr-2" fill="currentColor" viewBox="0 0 24 24">
-              <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z" />
-            </svg>
-            GitHub
-          </Button>
-        </div>
       </form>
     </AuthLayout>
   );
@@ -0,0 +1,84 @@
+// 🔑 OIDC Callback Page - Finishes a login started at an identity provider
+// Following MVVM pattern and Container/Presenter separation
+
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { AuthLayout } from '../../layouts';
+import { useAuth } from '../../hooks';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+
+const OidcCallbackPage = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { loginWithOidc } = useAuth();
+  const [error, setError] = useState(null);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // The state is single-use, so don't send it twice (StrictMode runs effects twice)
+    if (requested.current) return;
+    requested.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+
+    // The provider reports cancelled or refused logins as ?error=...
+    if (searchParams.get('error') || !code || !state) {
+      setError(searchParams.get('error_description') || 'El proveedor de identidad no completó el inicio de sesión.');
+      return;
+    }
+
+    const finish = async () => {
+      const result = await loginWithOidc(code, state);
+
+      if (result.twoFactorRequired) {
+        // LoginPage owns the second step
+        navigate('/login', {
+          replace: true,
+          state: {
+            from: { pathname: result.redirectPath },
+            twoFactorChallenge: {
+              challengeToken: result.challengeToken,
+              setupRequired: result.setupRequired,
+            },
+          },
+        });
+      } else if (result.success) {
+        toast.success('¡Bienvenido de nuevo!');
+      } else {
+        setError(result.error);
+      }
+    };
+    finish();
+  }, [searchParams, loginWithOidc, navigate]);
+
+  if (!error) {
+    return (
+      <AuthLayout title="Iniciando Sesión" subtitle="Un momento, por favor">
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout title="No Se Pudo Iniciar Sesión" subtitle="El proveedor de identidad no completó el acceso">
+      <div className="space-y-6">
+        <p className="text-sm text-red-600">{error}</p>
+
+        <Link
+          to="/login"
+          replace
+          className="flex items-center justify-center text-sm text-blue-600 hover:text-blue-500"
+        >
+          <ArrowLeftIcon className="mr-2 h-4 w-4" />
+          Volver al inicio de sesión
+        </Link>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default OidcCallbackPage;
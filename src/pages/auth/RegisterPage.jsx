@@ -6,13 +6,14 @@ import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { AuthLayout } from '../../layouts';
 import { Button } from '../../components/atoms';
-import { FormField } from '../../components/molecules';
+import { FormField, EmailVerificationNotice } from '../../components/molecules';
 import { useAuth, useForm } from '../../hooks';
 import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
 
 const RegisterPage = () => {
   const navigate = useNavigate();
-  const { register } = useAuth();
+  const { register, resendVerification } = useAuth();
+  const [pendingEmail, setPendingEmail] = useState(null);
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
 
@@ -68,7 +69,9 @@ const RegisterPage = () => {
       
       const result = await register(userData);
       
-      if (result.success) {
+      if (result.success && result.requiresVerification) {
+        setPendingEmail(userData.email);
+      } else if (result.success) {
         toast.success('¡Cuenta creada exitosamente! Bienvenido a Resource Share.');
       } else {
         toast.error(result.error || 'Error al crear la cuenta');
@@ -99,6 +102,26 @@ const RegisterPage = () => {
     handleSubmit
   );
 
+  if (pendingEmail) {
+    return (
+      <AuthLayout
+        title="Verifica tu Correo"
+        subtitle="Tu cuenta se ha creado"
+      >
+        <div className="space-y-6">
+          <EmailVerificationNotice
+            email={pendingEmail}
+            message="Para activar tu cuenta, abre el enlace que te enviamos por correo."
+            onResend={async (email) => (await resendVerification(email)).success}
+          />
+          <Button className="w-full" onClick={() => navigate('/login')}>
+            Ir al inicio de sesión
+          </Button>
+        </div>
+      </AuthLayout>
+    );
+  }
+
   return (
     <AuthLayout
       title="Crear Cuenta"
@@ -150,8 +150,8 @@ const ResetPasswordPage = () => {
               ¡Contraseña actualizada!
             </h3>
             <p className="mt-2 text-sm text-gray-600">
-              Tu contraseña ha sido actualizada exitosamente. 
-              Ya puedes iniciar sesión con tu nueva contraseña.
+              Tu contraseña ha sido actualizada exitosamente y se han cerrado
+              todas las sesiones abiertas. Ya puedes iniciar sesión con tu nueva contraseña.
             </p>
           </div>
 
@@ -0,0 +1,93 @@
+// ✉️ Verify Email Page - Confirms the address from the emailed link
+// Following MVVM pattern and Container/Presenter separation
+
+import { useEffect, useRef, useState } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { AuthLayout } from '../../layouts';
+import { Button, Input } from '../../components/atoms';
+import { EmailVerificationNotice } from '../../components/molecules';
+import { useAuth } from '../../hooks';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { verifyEmail, resendVerification } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState(null);
+  const [email, setEmail] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so don't send it twice (StrictMode runs effects twice)
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      const result = await verifyEmail(token);
+      if (result.success) {
+        setStatus('verified');
+      } else {
+        setError(result.error);
+        setStatus('failed');
+      }
+    };
+    verify();
+  }, [token, verifyEmail]);
+
+  if (status === 'verifying') {
+    return (
+      <AuthLayout title="Verificando Correo" subtitle="Un momento, por favor">
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      </AuthLayout>
+    );
+  }
+
+  if (status === 'verified') {
+    return (
+      <AuthLayout title="Correo Verificado" subtitle="Tu cuenta está activa">
+        <div className="text-center space-y-6">
+          <p className="text-sm text-gray-600">
+            Tu correo electrónico ha sido verificado. Ya puedes iniciar sesión.
+          </p>
+          <Button onClick={() => navigate('/login')} className="w-full">
+            Ir al inicio de sesión
+          </Button>
+        </div>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout title="Enlace Inválido" subtitle="No pudimos verificar tu correo">
+      <div className="space-y-6">
+        <p className="text-sm text-red-600">{error}</p>
+
+        <Input
+          label="Correo electrónico"
+          type="email"
+          placeholder="tu@ejemplo.com"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+        />
+        <EmailVerificationNotice
+          email={email}
+          message="Solicita un nuevo enlace de verificación."
+          onResend={async (address) => (await resendVerification(address)).success}
+        />
+
+        <Link
+          to="/login"
+          className="flex items-center justify-center text-sm text-blue-600 hover:text-blue-500"
+        >
+          <ArrowLeftIcon className="mr-2 h-4 w-4" />
+          Volver al inicio de sesión
+        </Link>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default VerifyEmailPage;
@@ -1,9 +1,163 @@
 // 📂 Advanced Search Page - Detailed search with filters
 // Following MVVM pattern
 
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { MainLayout } from '../../layouts';
+import { Button, Card, CardContent, Input } from '../../components/atoms';
+import { SearchBar, FacetFilter } from '../../components/molecules';
+import { useSavedSearches } from '../../hooks';
+import { useAuth } from '../../store';
+import { apiService } from '../../services';
+
+const TYPE_LABELS = {
+  document: 'Documento',
+  video: 'Video',
+  image: 'Imagen',
+  audio: 'Audio',
+  link: 'Enlace',
+  other: 'Otro',
+};
+
+const EMPTY_FILTERS = {
+  categories: [],
+  types: [],
+  tags: [],
+  years: [],
+};
+
+const ALERT_FREQUENCY_OPTIONS = [
+  { value: 'none', label: 'Sin alertas' },
+  { value: 'immediate', label: 'Al publicarse un recurso' },
+  { value: 'daily', label: 'Resumen diario' },
+];
+
+const SELECT_CLASS_NAME = 'h-10 rounded-md border border-gray-300 bg-white px-3 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Order categories parent-first so subcategories render indented below them
+const toCategoryOptions = (categories = []) => {
+  const ids = new Set(categories.map((category) => category.id));
+  const childrenOf = (parentId) => categories.filter((category) =>
+    parentId === null ? !ids.has(category.parent_id) : category.parent_id === parentId
+  );
+
+  const walk = (parentId, depth) => childrenOf(parentId).flatMap((category) => [
+    { value: category.id, label: category.name, count: category.count, level: depth },
+    ...walk(category.id, depth + 1),
+  ]);
+
+  return walk(null, 0);
+};
 
 const AdvancedSearchPage = () => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [authState] = useAuth();
+  const { savedSearches, saveSearch, updateSavedSearch } = useSavedSearches(false);
+  const [saveName, setSaveName] = useState('');
+  const [alertFrequency, setAlertFrequency] = useState('none');
+  const [saving, setSaving] = useState(false);
+
+  const savedSearchId = searchParams.get('saved');
+  const activeSavedSearch = savedSearches.find((search) => search.id === savedSearchId);
+
+  // Re-run a saved search opened from the sidebar
+  useEffect(() => {
+    if (!savedSearchId) return;
+
+    const loadSavedSearch = async () => {
+      const result = await apiService.getSavedSearch(savedSearchId);
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+
+      const { query: savedQuery = '', ...savedFilters } = result.data.savedSearch.filters;
+      setQuery(savedQuery);
+      setFilters({ ...EMPTY_FILTERS, ...savedFilters });
+      setPage(1);
+    };
+
+    loadSavedSearch();
+  }, [savedSearchId]);
+
+  const runSearch = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const result = await apiService.advancedSearch({ query, ...filters, page });
+    if (result.success) {
+      setResults(result.data);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  }, [query, filters, page]);
+
+  useEffect(() => {
+    runSearch();
+  }, [runSearch]);
+
+  const handleSearch = (value) => {
+    setQuery(value.trim());
+    setPage(1);
+  };
+
+  const toggleFilter = (facet) => (value) => {
+    setFilters((current) => ({
+      ...current,
+      [facet]: current[facet].includes(value)
+        ? current[facet].filter((item) => item !== value)
+        : [...current[facet], value],
+    }));
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  const handleSaveSearch = async (e) => {
+    e.preventDefault();
+    if (!saveName.trim()) return;
+
+    setSaving(true);
+    const result = await saveSearch({
+      name: saveName.trim(),
+      filters: { query, ...filters },
+      alert_frequency: alertFrequency,
+    });
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Búsqueda guardada');
+      setSaveName('');
+      setSearchParams({ saved: result.data.savedSearch.id });
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleUpdateSavedSearch = async (updates) => {
+    const result = await updateSavedSearch(activeSavedSearch.id, updates);
+    if (result.success) {
+      toast.success('Búsqueda guardada actualizada');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const facets = results?.facets;
+  const hasActiveFilters = Object.values(filters).some((values) => values.length > 0);
+
   return (
     <MainLayout>
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -12,11 +166,183 @@ const AdvancedSearchPage = () => {
           <p className="mt-2 text-gray-600">
             Utiliza filtros avanzados para encontrar recursos específicos.
           </p>
-          {/* TODO: Implement advanced search with filters */}
+
+          <SearchBar
+            // Remount when a saved search is loaded so the input shows its query
+            key={savedSearchId || 'new'}
+            value={query}
+            className="mt-6"
+            placeholder="Buscar por título, etiquetas o contenido..."
+            onSearch={handleSearch}
+            onClear={() => handleSearch('')}
+          />
+
+          {authState.isAuthenticated && (
+            activeSavedSearch ? (
+              <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+                <span className="text-gray-700">
+                  Búsqueda guardada: <strong>{activeSavedSearch.name}</strong>
+                </span>
+                <select
+                  aria-label="Frecuencia de alertas"
+                  className={SELECT_CLASS_NAME}
+                  value={activeSavedSearch.alert_frequency}
+                  onChange={(e) => handleUpdateSavedSearch({ alert_frequency: e.target.value })}
+                >
+                  {ALERT_FREQUENCY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleUpdateSavedSearch({ filters: { query, ...filters } })}
+                >
+                  Guardar filtros actuales
+                </Button>
+              </div>
+            ) : (
+              <form className="mt-4 flex flex-wrap items-center gap-3" onSubmit={handleSaveSearch}>
+                <div className="w-64">
+                  <Input
+                    placeholder="Nombre de la búsqueda"
+                    aria-label="Nombre de la búsqueda"
+                    maxLength={100}
+                    value={saveName}
+                    onChange={(e) => setSaveName(e.target.value)}
+                  />
+                </div>
+                <select
+                  aria-label="Frecuencia de alertas"
+                  className={SELECT_CLASS_NAME}
+                  value={alertFrequency}
+                  onChange={(e) => setAlertFrequency(e.target.value)}
+                >
+                  {ALERT_FREQUENCY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <Button type="submit" variant="outline" disabled={saving || !saveName.trim()}>
+                  Guardar búsqueda
+                </Button>
+              </form>
+            )
+          )}
+
+          <div className="mt-8 grid grid-cols-1 gap-8 lg:grid-cols-4">
+            {/* Facets */}
+            <aside className="space-y-6">
+              {hasActiveFilters && (
+                <Button variant="link" size="sm" className="px-0" onClick={clearFilters}>
+                  Limpiar filtros
+                </Button>
+              )}
+              {facets && (
+                <>
+                  <FacetFilter
+                    title="Categorías"
+                    options={toCategoryOptions(facets.categories)}
+                    selected={filters.categories}
+                    onToggle={toggleFilter('categories')}
+                  />
+                  <FacetFilter
+                    title="Tipo"
+                    options={facets.types.map((type) => ({
+                      value: type.value,
+                      label: TYPE_LABELS[type.value] || type.value,
+                      count: type.count,
+                    }))}
+                    selected={filters.types}
+                    onToggle={toggleFilter('types')}
+                  />
+                  <FacetFilter
+                    title="Etiquetas"
+                    options={facets.tags.map((tag) => ({ value: tag.value, label: `#${tag.value}`, count: tag.count }))}
+                    selected={filters.tags}
+                    onToggle={toggleFilter('tags')}
+                  />
+                  <FacetFilter
+                    title="Año de publicación"
+                    options={facets.years.map((year) => ({ value: year.value, label: String(year.value), count: year.count }))}
+                    selected={filters.years}
+                    onToggle={toggleFilter('years')}
+                  />
+                </>
+              )}
+            </aside>
+
+            {/* Results */}
+            <section className="lg:col-span-3 space-y-4">
+              {error && <p className="text-sm text-red-600">{error}</p>}
+
+              {results && (
+                <p className="text-sm text-gray-500">
+                  {results.pagination.total} resultados
+                  {results.didYouMean && (
+                    <>
+                      {' · ¿Quisiste decir '}
+                      <button
+                        type="button"
+                        className="text-blue-600 hover:underline"
+                        onClick={() => handleSearch(results.didYouMean)}
+                      >
+                        {results.didYouMean}
+                      </button>
+                      ?
+                    </>
+                  )}
+                </p>
+              )}
+
+              {results?.resources.map((resource) => (
+                <Card key={resource.id}>
+                  <CardContent className="p-4">
+                    <Link to={`/resources/${resource.id}`} className="text-lg font-medium text-blue-700 hover:underline">
+                      {/* Highlights are HTML-escaped by the API; only <mark> tags are added */}
+                      {resource.highlights?.title
+                        ? <span dangerouslySetInnerHTML={{ __html: resource.highlights.title }} />
+                        : resource.title}
+                    </Link>
+                    <p className="mt-1 text-sm text-gray-600">
+                      {resource.highlights?.snippet
+                        ? <span dangerouslySetInnerHTML={{ __html: resource.highlights.snippet }} />
+                        : resource.description}
+                    </p>
+                    <p className="mt-2 text-xs text-gray-500">
+                      {TYPE_LABELS[resource.type] || resource.type}
+                      {resource.category && ` · ${resource.category.name}`}
+                    </p>
+                  </CardContent>
+                </Card>
+              ))}
+
+              {results && results.pagination.totalPages > 1 && (
+                <div className="flex items-center justify-between pt-4">
+                  <Button
+                    variant="outline"
+                    disabled={!results.pagination.hasPrev || loading}
+                    onClick={() => setPage((current) => current - 1)}
+                  >
+                    Anterior
+                  </Button>
+                  <span className="text-sm text-gray-500">
+                    Página {results.pagination.page} de {results.pagination.totalPages}
+                  </span>
+                  <Button
+                    variant="outline"
+                    disabled={!results.pagination.hasNext || loading}
+                    onClick={() => setPage((current) => current + 1)}
+                  >
+                    Siguiente
+                  </Button>
+                </div>
+              )}
+            </section>
+          </div>
         </div>
       </div>
     </MainLayout>
   );
 };
 
-export default AdvancedSearchPage;
\ No newline at end of file
+export default AdvancedSearchPage;
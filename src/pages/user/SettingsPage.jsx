@@ -1,9 +1,157 @@
 // 📂 Settings Page - Application and user settings
 // Following MVVM pattern
 
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
 import { MainLayout } from '../../layouts';
+import { Button, Card, CardContent, CardDescription, CardHeader, CardTitle, Input } from '../../components/atoms';
+import { TwoFactorEnrollment, RecoveryCodesList } from '../../components/molecules';
+import { useAuth } from '../../hooks';
+import { apiService } from '../../services';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari'],
+];
+
+const PLATFORMS = [
+  ['Android', 'Android'],
+  ['iPhone', 'iOS'],
+  ['iPad', 'iPadOS'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+
+// Short "Chrome en Windows" style label for a user-agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Dispositivo desconocido';
+
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token))?.[1];
+
+  if (browser && platform) return `${browser} en ${platform}`;
+  return browser || platform || userAgent;
+};
+
+const formatDate = (value) => new Date(value).toLocaleString('es-ES');
 
 const SettingsPage = () => {
+  const { logoutAllDevices } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+
+  const fetchTwoFactor = useCallback(async () => {
+    const result = await apiService.getTwoFactorStatus();
+    if (result.success) {
+      setTwoFactor(result.data.data);
+    }
+  }, []);
+
+  const fetchSessions = useCallback(async () => {
+    const result = await apiService.getSessions();
+    setLoading(false);
+
+    if (result.success) {
+      setError(null);
+      setSessions(result.data.sessions || []);
+    } else {
+      setError(result.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+    fetchTwoFactor();
+  }, [fetchSessions, fetchTwoFactor]);
+
+  const handleRevoke = async (sessionId) => {
+    const result = await apiService.revokeSession(sessionId);
+    if (result.success) {
+      toast.success('Sesión cerrada');
+      setSessions((current) => current.filter((session) => session.id !== sessionId));
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    const result = await apiService.revokeOtherSessions();
+    if (result.success) {
+      toast.success('Se cerraron las demás sesiones');
+      setSessions((current) => current.filter((session) => session.current));
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    const result = await logoutAllDevices();
+    if (!result.success) {
+      toast.error(result.error);
+    }
+  };
+
+  const handleStartTwoFactor = async () => {
+    const result = await apiService.setupTwoFactor();
+    if (result.success) {
+      setEnrollment(result.data.data);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleEnableTwoFactor = async (code) => {
+    const result = await apiService.enableTwoFactor(code);
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+
+    toast.success('Verificación en dos pasos activada');
+    setEnrollment(null);
+    setRecoveryCodes(result.data.data.recoveryCodes);
+    fetchTwoFactor();
+    return true;
+  };
+
+  const handleDisableTwoFactor = async () => {
+    const result = await apiService.disableTwoFactor(twoFactorPassword, twoFactorCode.trim());
+    setTwoFactorPassword('');
+    setTwoFactorCode('');
+
+    if (result.success) {
+      toast.success('Verificación en dos pasos desactivada');
+      fetchTwoFactor();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleRegenerateCodes = async () => {
+    const result = await apiService.regenerateRecoveryCodes(twoFactorCode.trim());
+    setTwoFactorCode('');
+
+    if (result.success) {
+      setRecoveryCodes(result.data.data.recoveryCodes);
+      fetchTwoFactor();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
   return (
     <MainLayout>
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -13,10 +161,128 @@ const SettingsPage = () => {
             Personaliza tu experiencia y configuración de la aplicación.
           </p>
           {/* TODO: Implement settings management */}
+
+          <Card className="mt-6">
+            <CardHeader>
+              <CardTitle>Verificación en dos pasos</CardTitle>
+              <CardDescription>
+                Además de tu contraseña, pide un código de tu aplicación de autenticación al iniciar sesión.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {recoveryCodes ? (
+                <RecoveryCodesList codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+              ) : enrollment ? (
+                <TwoFactorEnrollment
+                  enrollment={enrollment}
+                  onConfirm={handleEnableTwoFactor}
+                  onCancel={() => setEnrollment(null)}
+                />
+              ) : twoFactor?.enabled ? (
+                <>
+                  <p className="text-sm text-gray-700">
+                    <span className="mr-2 rounded bg-green-100 px-2 py-0.5 text-xs text-green-800">Activada</span>
+                    Desde {formatDate(twoFactor.enabledAt)} · {twoFactor.recoveryCodesRemaining} códigos de recuperación disponibles
+                  </p>
+                  {twoFactor.required && (
+                    <p className="text-sm text-gray-500">Tu rol requiere la verificación en dos pasos.</p>
+                  )}
+
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <Input
+                      label="Código de verificación"
+                      autoComplete="one-time-code"
+                      placeholder="123456"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                    />
+                    {!twoFactor.required && (
+                      <Input
+                        label="Contraseña"
+                        type="password"
+                        autoComplete="current-password"
+                        value={twoFactorPassword}
+                        onChange={(e) => setTwoFactorPassword(e.target.value)}
+                      />
+                    )}
+                  </div>
+
+                  <div className="flex flex-wrap gap-3">
+                    <Button variant="outline" disabled={!twoFactorCode.trim()} onClick={handleRegenerateCodes}>
+                      Generar nuevos códigos de recuperación
+                    </Button>
+                    {!twoFactor.required && (
+                      <Button
+                        variant="destructive"
+                        disabled={!twoFactorCode.trim() || !twoFactorPassword}
+                        onClick={handleDisableTwoFactor}
+                      >
+                        Desactivar
+                      </Button>
+                    )}
+                  </div>
+                </>
+              ) : (
+                <Button onClick={handleStartTwoFactor} disabled={!twoFactor}>
+                  Activar verificación en dos pasos
+                </Button>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="mt-6">
+            <CardHeader>
+              <CardTitle>Sesiones activas</CardTitle>
+              <CardDescription>
+                Dispositivos donde has iniciado sesión. Cierra las que no reconozcas.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {loading && <p className="text-sm text-gray-500">Cargando sesiones...</p>}
+              {error && <p className="text-sm text-red-600">{error}</p>}
+
+              <ul className="divide-y divide-gray-200">
+                {sessions.map((session) => (
+                  <li key={session.id} className="flex flex-wrap items-center justify-between gap-4 py-3">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {describeDevice(session.user_agent)}
+                        {session.current && (
+                          <span className="ml-2 rounded bg-green-100 px-2 py-0.5 text-xs text-green-800">
+                            Esta sesión
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        IP {session.ip_address || 'desconocida'} · Iniciada {formatDate(session.created_at)} ·
+                        Último uso {formatDate(session.last_used_at)}
+                      </p>
+                    </div>
+                    {!session.current && (
+                      <Button variant="outline" size="sm" onClick={() => handleRevoke(session.id)}>
+                        Cerrar sesión
+                      </Button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              <div className="flex flex-wrap gap-3">
+                {hasOtherSessions && (
+                  <Button variant="outline" onClick={handleRevokeOthers}>
+                    Cerrar las demás sesiones
+                  </Button>
+                )}
+                <Button variant="destructive" onClick={handleLogoutAll}>
+                  Cerrar sesión en todos los dispositivos
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
         </div>
       </div>
     </MainLayout>
   );
 };
 
-export default SettingsPage;
\ No newline at end of file
+export default SettingsPage;
@@ -12,6 +12,8 @@ const LoginPage = lazy(() => import('../pages/auth/LoginPage'));
 const RegisterPage = lazy(() => import('../pages/auth/RegisterPage'));
 const ForgotPasswordPage = lazy(() => import('../pages/auth/ForgotPasswordPage'));
 const ResetPasswordPage = lazy(() => import('../pages/auth/ResetPasswordPage'));
+const VerifyEmailPage = lazy(() => import('../pages/auth/VerifyEmailPage'));
+const OidcCallbackPage = lazy(() => import('../pages/auth/OidcCallbackPage'));
 
 const ResourcesPage = lazy(() => import('../pages/resources/ResourcesPage'));
 const ResourceDetailPage = lazy(() => import('../pages/resources/ResourceDetailPage'));
@@ -96,6 +98,22 @@ const AppRoutes = () => {
             </PublicRoute>
           } 
         />
+        <Route 
+          path="/verify-email/:token" 
+          element={
+            <PublicRoute restricted={false}>
+              <VerifyEmailPage />
+            </PublicRoute>
+          } 
+        />
+        <Route 
+          path="/auth/oidc/callback" 
+          element={
+            <PublicRoute restricted={false}>
+              <OidcCallbackPage />
+            </PublicRoute>
+          } 
+        />
 
         {/* Protected User Routes */}
         <Route 
@@ -197,7 +215,7 @@ const AppRoutes = () => {
         <Route 
           path="/admin/dashboard" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute requiredPermissions={['dashboard.read']}>
               <AdminDashboardPage />
             </ProtectedRoute>
           } 
@@ -205,7 +223,7 @@ const AppRoutes = () => {
         <Route 
           path="/admin/users" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute requiredPermissions={['users.read']}>
               <AdminUsersPage />
             </ProtectedRoute>
           } 
@@ -213,7 +231,7 @@ const AppRoutes = () => {
         <Route 
           path="/admin/moderation" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute requiredPermissions={['resources.moderate']}>
               <AdminModerationPage />
             </ProtectedRoute>
           } 
@@ -221,7 +239,7 @@ const AppRoutes = () => {
         <Route 
           path="/admin/reports" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute requiredPermissions={['reports.read']}>
               <AdminReportsPage />
             </ProtectedRoute>
           } 
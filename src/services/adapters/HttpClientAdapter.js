@@ -13,6 +13,9 @@ class HttpClientAdapter {
       },
     });
 
+    // Refresh tokens are single-use, so concurrent 401s share one refresh request
+    this.refreshPromise = null;
+
     this.setupInterceptors();
   }
 
@@ -37,8 +40,12 @@ class HttpClientAdapter {
 
         // Handle 401 errors (unauthorized) - but only for protected routes
         if (error.response?.status === 401 && !originalRequest._retry) {
-          // Don't clear tokens for login/register endpoints
-          if (originalRequest.url?.includes('/auth/login') || originalRequest.url?.includes('/auth/register')) {
+          // Don't clear tokens for login/register endpoints or retry the refresh itself
+          if (
+            originalRequest.url?.includes('/auth/login') ||
+            originalRequest.url?.includes('/auth/register') ||
+            originalRequest.url?.includes('/auth/refresh-token')
+          ) {
             return Promise.reject(this.normalizeError(error));
           }
           
@@ -47,12 +54,9 @@ class HttpClientAdapter {
           try {
             const refreshToken = localStorage.getItem('refreshToken');
             if (refreshToken) {
-              const response = await this.refreshAuthToken(refreshToken);
-              const newToken = response.data.token;
-              
-              localStorage.setItem('authToken', newToken);
+              const newToken = await this.refreshAuthToken(refreshToken);
               originalRequest.headers.Authorization = `Bearer ${newToken}`;
-              
+
               return this.client(originalRequest);
             } else {
               // Only clear tokens if refresh token is not available
@@ -71,10 +75,13 @@ class HttpClientAdapter {
 
   normalizeError(error) {
     if (error.response) {
-      // Server responded with error status
+      // Server responded with error status; the API sends { message, code, details, requestId }
       return {
         message: error.response.data?.message || error.message,
         status: error.response.status,
+        code: error.response.data?.code || null,
+        details: error.response.data?.details || null,
+        requestId: error.response.data?.requestId || error.response.headers?.['x-request-id'] || null,
         data: error.response.data,
       };
     } else if (error.request) {
@@ -82,6 +89,9 @@ class HttpClientAdapter {
       return {
         message: 'Network error - no response from server',
         status: 0,
+        code: 'NETWORK_ERROR',
+        details: null,
+        requestId: null,
         data: null,
       };
     } else {
@@ -89,6 +99,9 @@ class HttpClientAdapter {
       return {
         message: error.message,
         status: 0,
+        code: null,
+        details: null,
+        requestId: null,
         data: null,
       };
     }
@@ -99,10 +112,31 @@ class HttpClientAdapter {
     localStorage.removeItem('refreshToken');
     localStorage.removeItem('userData');
     // Don't redirect automatically - let the app handle it
+    window.dispatchEvent(new Event('auth:session-ended'));
   }
 
+  // Exchanges the refresh token for a new pair and returns the new access token
   async refreshAuthToken(refreshToken) {
-    return this.client.post('/auth/refresh', { refreshToken });
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.client.post('/auth/refresh-token', { refreshToken })
+        .then((response) => {
+          const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+
+          localStorage.setItem('authToken', accessToken);
+          localStorage.setItem('refreshToken', newRefreshToken);
+          // Keep AuthState in sync so it doesn't persist the consumed refresh token again
+          window.dispatchEvent(new CustomEvent('auth:tokens-refreshed', {
+            detail: { token: accessToken, refreshToken: newRefreshToken },
+          }));
+
+          return accessToken;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
   }
 
   // HTTP methods
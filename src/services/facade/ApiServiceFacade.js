@@ -3,6 +3,22 @@
 
 import { httpClient } from '../adapters/HttpClientAdapter';
 
+const CHUNK_MAX_ATTEMPTS = 3;
+
+// Same file (name, size, last modification) resumes the same upload session
+const getUploadResumeKey = (file) => `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+// SHA-256 of a chunk, or null where SubtleCrypto is unavailable (non-secure origins)
+const sha256Hex = async (blob) => {
+  if (!globalThis.crypto?.subtle) {
+    return null;
+  }
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
 class ApiServiceFacade {
   constructor() {
     this.client = httpClient;
@@ -14,7 +30,8 @@ class ApiServiceFacade {
       const response = await this.client.post('/auth/login', credentials);
       return response; // Return backend response directly (already has success, data, message)
     } catch (error) {
-      return { success: false, error: error.message };
+      // `code` distinguishes failures the UI can act on, e.g. EMAIL_NOT_VERIFIED
+      return { success: false, error: error.message, code: error.code };
     }
   }
 
@@ -29,13 +46,89 @@ class ApiServiceFacade {
 
   async logout() {
     try {
-      await this.client.post('/auth/logout');
+      await this.client.post('/auth/logout', {
+        refreshToken: localStorage.getItem('refreshToken'),
+      });
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
+  async logoutAllDevices() {
+    try {
+      const response = await this.client.post('/auth/logout-all');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Second login step for accounts with two-factor authentication
+  async loginTwoFactor(challengeToken, code) {
+    try {
+      const response = await this.client.post('/auth/login/2fa', { challengeToken, code });
+      return response; // Same shape as login
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async loginTwoFactorSetup(challengeToken) {
+    try {
+      const response = await this.client.post('/auth/login/2fa/setup', { challengeToken });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Identity providers (OpenID Connect) shown on the login page
+  async getOidcProviders() {
+    try {
+      const response = await this.client.get('/auth/oidc/providers');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async startOidcLogin(provider, redirect) {
+    try {
+      const response = await this.client.post(`/auth/oidc/${encodeURIComponent(provider)}/start`, { redirect });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async completeOidcLogin(code, state, browserBinding) {
+    try {
+      const response = await this.client.post('/auth/oidc/callback', { code, state, browserBinding });
+      return response; // Same shape as login, plus redirectPath
+    } catch (error) {
+      return { success: false, error: error.message, code: error.code };
+    }
+  }
+
+  async verifyEmail(token) {
+    try {
+      const response = await this.client.post('/auth/verify-email', { token });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async resendVerification(email) {
+    try {
+      const response = await this.client.post('/auth/resend-verification', { email });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   async forgotPassword(email) {
     try {
       const response = await this.client.post('/auth/forgot-password', { email });
@@ -85,6 +178,80 @@ class ApiServiceFacade {
     }
   }
 
+  // Session services
+  async getSessions() {
+    try {
+      const response = await this.client.get('/users/sessions');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async revokeSession(sessionId) {
+    try {
+      const response = await this.client.delete(`/users/sessions/${sessionId}`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async revokeOtherSessions() {
+    try {
+      const response = await this.client.delete('/users/sessions');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Two-factor authentication services
+  async getTwoFactorStatus() {
+    try {
+      const response = await this.client.get('/auth/2fa');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setupTwoFactor() {
+    try {
+      const response = await this.client.post('/auth/2fa/setup');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async enableTwoFactor(code) {
+    try {
+      const response = await this.client.post('/auth/2fa/enable', { code });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async disableTwoFactor(password, code) {
+    try {
+      const response = await this.client.post('/auth/2fa/disable', { password, code });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async regenerateRecoveryCodes(code) {
+    try {
+      const response = await this.client.post('/auth/2fa/recovery-codes', { code });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   // Resource services
   async getResources(filters = {}) {
     try {
@@ -133,17 +300,207 @@ class ApiServiceFacade {
     }
   }
 
-  async uploadResource(file, metadata = {}) {
+  async downloadResource(id) {
     try {
+      const response = await this.client.get(`/resources/${id}/download`, {
+        responseType: 'blob',
+        timeout: 0,
+      });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Chunked, resumable upload: init a session (or resume a stored one), send the
+  // missing chunks, then finalize into a resource with the metadata/thumbnail
+  async uploadResource(file, metadata = {}, { thumbnail = null, onProgress = null } = {}) {
+    const resumeKey = getUploadResumeKey(file);
+
+    try {
+      const session = await this.getOrCreateUploadSession(file, resumeKey);
+      const received = new Set(session.received_chunks);
+      let uploadedBytes = 0;
+
+      for (let index = 0; index < session.total_chunks; index++) {
+        const start = index * session.chunk_size;
+        const chunk = file.slice(start, Math.min(start + session.chunk_size, file.size));
+
+        if (!received.has(index)) {
+          await this.uploadChunk(session.id, index, chunk, (loaded) => {
+            onProgress?.(Math.round(((uploadedBytes + loaded) * 100) / file.size));
+          });
+        }
+
+        uploadedBytes += chunk.size;
+        onProgress?.(Math.round((uploadedBytes * 100) / file.size));
+      }
+
       const formData = new FormData();
-      formData.append('file', file);
+      if (thumbnail) {
+        formData.append('thumbnail', thumbnail);
+      }
       Object.keys(metadata).forEach(key => {
-        formData.append(key, metadata[key]);
+        const value = metadata[key];
+        formData.append(key, Array.isArray(value) ? JSON.stringify(value) : value);
       });
 
-      const response = await this.client.post('/resources/upload', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' }
+      const response = await this.client.post(`/uploads/${session.id}/complete`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 0,
       });
+      localStorage.removeItem(resumeKey);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getOrCreateUploadSession(file, resumeKey) {
+    const storedId = localStorage.getItem(resumeKey);
+    if (storedId) {
+      try {
+        const response = await this.client.get(`/uploads/${storedId}`);
+        return response.upload;
+      } catch {
+        // Expired or unknown session - start a new one
+        localStorage.removeItem(resumeKey);
+      }
+    }
+
+    const response = await this.client.post('/uploads', {
+      filename: file.name,
+      mimetype: file.type,
+      size: file.size,
+    });
+    localStorage.setItem(resumeKey, response.upload.id);
+    return response.upload;
+  }
+
+  async uploadChunk(uploadId, index, chunk, onChunkProgress) {
+    const checksum = await sha256Hex(chunk);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.client.put(`/uploads/${uploadId}/chunks/${index}`, chunk, {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            ...(checksum && { 'X-Chunk-Checksum': checksum }),
+          },
+          timeout: 0,
+          onUploadProgress: (progressEvent) => onChunkProgress(progressEvent.loaded),
+        });
+      } catch (error) {
+        // Only network errors and server failures are worth retrying
+        const retryable = error.status === 0 || error.status >= 500;
+        if (!retryable || attempt >= CHUNK_MAX_ATTEMPTS) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+      }
+    }
+  }
+
+  async abortUpload(uploadId) {
+    try {
+      const response = await this.client.delete(`/uploads/${uploadId}`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Comment services
+  async getResourceComments(resourceId, params = {}) {
+    try {
+      const queryParams = new URLSearchParams(params).toString();
+      const url = queryParams
+        ? `/resources/${resourceId}/comments?${queryParams}`
+        : `/resources/${resourceId}/comments`;
+      const response = await this.client.get(url);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createComment(resourceId, content, parentId = null) {
+    try {
+      const response = await this.client.post(`/resources/${resourceId}/comments`, {
+        content,
+        ...(parentId && { parent_id: parentId }),
+      });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateComment(resourceId, commentId, content) {
+    try {
+      const response = await this.client.put(`/resources/${resourceId}/comments/${commentId}`, { content });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteComment(resourceId, commentId) {
+    try {
+      const response = await this.client.delete(`/resources/${resourceId}/comments/${commentId}`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async moderateComment(resourceId, commentId, status) {
+    try {
+      const response = await this.client.patch(`/resources/${resourceId}/comments/${commentId}/moderate`, { status });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Rating services
+  async getResourceRatings(resourceId, params = {}) {
+    try {
+      const queryParams = new URLSearchParams(params).toString();
+      const url = queryParams
+        ? `/resources/${resourceId}/ratings?${queryParams}`
+        : `/resources/${resourceId}/ratings`;
+      const response = await this.client.get(url);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getMyRating(resourceId) {
+    try {
+      const response = await this.client.get(`/resources/${resourceId}/ratings/me`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async rateResource(resourceId, rating, review) {
+    try {
+      const response = await this.client.put(`/resources/${resourceId}/ratings/me`, {
+        rating,
+        ...(review !== undefined && { review }),
+      });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async removeRating(resourceId) {
+    try {
+      const response = await this.client.delete(`/resources/${resourceId}/ratings/me`);
       return { success: true, data: response };
     } catch (error) {
       return { success: false, error: error.message };
@@ -162,9 +519,64 @@ class ApiServiceFacade {
     }
   }
 
+  async advancedSearch(filters = {}) {
+    try {
+      const response = await this.client.post('/search/advanced', filters);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   async getSearchSuggestions(query) {
     try {
-      const response = await this.client.get(`/search/suggestions?q=${query}`);
+      const response = await this.client.get(`/search/suggestions?q=${encodeURIComponent(query)}`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Saved search services
+  async getSavedSearches() {
+    try {
+      const response = await this.client.get('/search/saved');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getSavedSearch(id) {
+    try {
+      const response = await this.client.get(`/search/saved/${id}`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createSavedSearch(savedSearch) {
+    try {
+      const response = await this.client.post('/search/saved', savedSearch);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateSavedSearch(id, updates) {
+    try {
+      const response = await this.client.put(`/search/saved/${id}`, updates);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteSavedSearch(id) {
+    try {
+      const response = await this.client.delete(`/search/saved/${id}`);
       return { success: true, data: response };
     } catch (error) {
       return { success: false, error: error.message };
@@ -204,6 +616,149 @@ class ApiServiceFacade {
     }
   }
 
+  // Permission management services
+  async getPermissions(filters = {}) {
+    try {
+      const queryParams = new URLSearchParams(filters).toString();
+      const url = queryParams ? `/admin/permissions?${queryParams}` : '/admin/permissions';
+      const response = await this.client.get(url);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createPermission(permission) {
+    try {
+      const response = await this.client.post('/admin/permissions', permission);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updatePermission(id, updates) {
+    try {
+      const response = await this.client.patch(`/admin/permissions/${id}`, updates);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getUserPermissions(userId) {
+    try {
+      const response = await this.client.get(`/admin/users/${userId}/permissions`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async grantUserPermission(userId, permissionId, expiresAt = null) {
+    try {
+      const response = await this.client.post(`/admin/users/${userId}/permissions`, {
+        permission_id: permissionId,
+        expires_at: expiresAt,
+      });
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async revokeUserPermission(userId, permissionId) {
+    try {
+      const response = await this.client.delete(`/admin/users/${userId}/permissions/${permissionId}`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getSecuritySettings() {
+    try {
+      const response = await this.client.get('/admin/security');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateSecuritySettings(settings) {
+    try {
+      const response = await this.client.put('/admin/security', settings);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getLoginLocks() {
+    try {
+      const response = await this.client.get('/admin/security/locks');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async clearLoginLock(lockId) {
+    try {
+      const response = await this.client.delete(`/admin/security/locks/${lockId}`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getAuditLog(filters = {}) {
+    try {
+      const queryParams = new URLSearchParams(filters).toString();
+      const url = queryParams ? `/admin/audit-log?${queryParams}` : '/admin/audit-log';
+      const response = await this.client.get(url);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getIdentityProviders() {
+    try {
+      const response = await this.client.get('/admin/identity-providers');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createIdentityProvider(providerData) {
+    try {
+      const response = await this.client.post('/admin/identity-providers', providerData);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateIdentityProvider(providerId, changes) {
+    try {
+      const response = await this.client.patch(`/admin/identity-providers/${providerId}`, changes);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteIdentityProvider(providerId) {
+    try {
+      const response = await this.client.delete(`/admin/identity-providers/${providerId}`);
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   async getReports(dateRange = {}) {
     try {
       const queryParams = new URLSearchParams(dateRange).toString();
@@ -216,9 +771,11 @@ class ApiServiceFacade {
   }
 
   // Notification services
-  async getNotifications() {
+  async getNotifications(filters = {}) {
     try {
-      const response = await this.client.get('/notifications');
+      const queryParams = new URLSearchParams(filters).toString();
+      const url = queryParams ? `/notifications?${queryParams}` : '/notifications';
+      const response = await this.client.get(url);
       return { success: true, data: response };
     } catch (error) {
       return { success: false, error: error.message };
@@ -233,6 +790,15 @@ class ApiServiceFacade {
       return { success: false, error: error.message };
     }
   }
+
+  async markAllNotificationsAsRead() {
+    try {
+      const response = await this.client.post('/notifications/mark-all-read');
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 // Singleton instance
@@ -150,6 +150,23 @@ export const AuthStateProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
+  // Follow token changes made outside React by the HTTP client
+  useEffect(() => {
+    const handleTokensRefreshed = (event) => {
+      dispatch({ type: AuthActionTypes.REFRESH_TOKEN, payload: event.detail });
+    };
+    const handleSessionEnded = () => {
+      dispatch({ type: AuthActionTypes.LOGOUT });
+    };
+
+    window.addEventListener('auth:tokens-refreshed', handleTokensRefreshed);
+    window.addEventListener('auth:session-ended', handleSessionEnded);
+    return () => {
+      window.removeEventListener('auth:tokens-refreshed', handleTokensRefreshed);
+      window.removeEventListener('auth:session-ended', handleSessionEnded);
+    };
+  }, []);
+
   // Persist auth data to localStorage
   useEffect(() => {
     if (state.isAuthenticated && state.token) {
@@ -31,6 +31,8 @@ const initialState = {
   error: null,
   theme: 'light',
   notifications: [],
+  unreadNotificationsCount: 0,
+  savedSearches: [],
   ui: {
     sidebarOpen: false,
     searchQuery: '',
@@ -48,6 +50,10 @@ export const ActionTypes = {
   SET_THEME: 'SET_THEME',
   ADD_NOTIFICATION: 'ADD_NOTIFICATION',
   REMOVE_NOTIFICATION: 'REMOVE_NOTIFICATION',
+  SET_NOTIFICATIONS: 'SET_NOTIFICATIONS',
+  MARK_NOTIFICATION_READ: 'MARK_NOTIFICATION_READ',
+  MARK_ALL_NOTIFICATIONS_READ: 'MARK_ALL_NOTIFICATIONS_READ',
+  SET_SAVED_SEARCHES: 'SET_SAVED_SEARCHES',
   TOGGLE_SIDEBAR: 'TOGGLE_SIDEBAR',
   SET_SEARCH_QUERY: 'SET_SEARCH_QUERY',
   SET_CURRENT_PAGE: 'SET_CURRENT_PAGE',
@@ -111,6 +117,45 @@ const globalReducer = (state, action) => {
           ),
         };
 
+      case ActionTypes.SET_NOTIFICATIONS:
+        return {
+          ...state,
+          notifications: action.payload.notifications,
+          unreadNotificationsCount: action.payload.unreadCount,
+        };
+
+      case ActionTypes.MARK_NOTIFICATION_READ:
+        return {
+          ...state,
+          notifications: state.notifications.map(notification =>
+            notification.id === action.payload
+              ? { ...notification, read: true, read_at: notification.read_at || new Date().toISOString() }
+              : notification
+          ),
+          unreadNotificationsCount: Math.max(
+            0,
+            state.unreadNotificationsCount -
+              (state.notifications.some(n => n.id === action.payload && !n.read) ? 1 : 0)
+          ),
+        };
+
+      case ActionTypes.MARK_ALL_NOTIFICATIONS_READ:
+        return {
+          ...state,
+          notifications: state.notifications.map(notification => ({
+            ...notification,
+            read: true,
+            read_at: notification.read_at || new Date().toISOString(),
+          })),
+          unreadNotificationsCount: 0,
+        };
+
+      case ActionTypes.SET_SAVED_SEARCHES:
+        return {
+          ...state,
+          savedSearches: action.payload,
+        };
+
       case ActionTypes.TOGGLE_SIDEBAR:
         return {
           ...state,